@@ -0,0 +1,137 @@
+/**
+ * Pluggable storage for site-visit bookings
+ *
+ * BOOKING_STORE selects the backend:
+ *   json   (default) a JSON file, BOOKING_STORE_FILE or .data/site-visits.json
+ *   memory keep bookings in memory (local testing)
+ * BOOKING_STORE_MODULE may instead point at a module exporting
+ * reserve(booking, capacity) and countBookings(project, date), e.g. a
+ * calendar or CRM adapter.
+ *
+ * reserve() resolves with the booking, or with null when its slot already
+ * has `capacity` bookings, so a slot cannot be booked twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function isSameSlot(a, b) {
+  return a.project === b.project && a.date === b.date && a.time === b.time;
+}
+
+/**
+ * Count the bookings of a project on a date by start time: { "16:00": 1 }
+ */
+function countByTime(bookings, project, date) {
+  const counts = {};
+
+  bookings.forEach(booking => {
+    if (booking.project === project && booking.date === date) {
+      counts[booking.time] = (counts[booking.time] || 0) + 1;
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Store bookings in a JSON array on disk; the capacity check and the write
+ * share one queue so two requests in one instance cannot take the same slot
+ */
+function createJsonFileStore(filePath) {
+  let queue = Promise.resolve();
+
+  function readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  function reserve(booking, capacity = 1) {
+    const write = queue.then(() => {
+      const bookings = readAll();
+      if (bookings.filter(existing => isSameSlot(existing, booking)).length >= capacity) return null;
+
+      bookings.push(booking);
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, `${JSON.stringify(bookings, null, 2)}\n`);
+      fs.renameSync(tempPath, filePath);
+
+      return booking;
+    });
+
+    queue = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    name: 'json',
+    reserve,
+    // Wait for queued writes so a slot taken a moment ago shows as taken
+    countBookings: (project, date) => queue.then(() => countByTime(readAll(), project, date)),
+    list: () => queue.then(readAll)
+  };
+}
+
+/**
+ * Keep bookings in memory only
+ */
+function createMemoryStore() {
+  const bookings = [];
+
+  return {
+    name: 'memory',
+    reserve: (booking, capacity = 1) => {
+      if (bookings.filter(existing => isSameSlot(existing, booking)).length >= capacity) {
+        return Promise.resolve(null);
+      }
+      bookings.push(booking);
+      return Promise.resolve(booking);
+    },
+    countBookings: (project, date) => Promise.resolve(countByTime(bookings, project, date)),
+    list: () => Promise.resolve(bookings.slice())
+  };
+}
+
+/**
+ * Get the default JSON file location; Vercel functions can only write to /tmp
+ */
+function getDefaultFilePath() {
+  if (process.env.BOOKING_STORE_FILE) return path.resolve(process.env.BOOKING_STORE_FILE);
+  if (process.env.VERCEL) return path.join('/tmp', 'calma-site-visits.json');
+
+  return path.resolve(__dirname, '..', '..', '.data', 'site-visits.json');
+}
+
+/**
+ * Create the store selected by the environment
+ */
+function createBookingStore(env = process.env) {
+  if (env.BOOKING_STORE_MODULE) {
+    const adapter = require(path.resolve(env.BOOKING_STORE_MODULE));
+    if (typeof adapter.reserve !== 'function' || typeof adapter.countBookings !== 'function') {
+      throw new Error(`BOOKING_STORE_MODULE ${env.BOOKING_STORE_MODULE} does not export reserve(booking, capacity) and countBookings(project, date)`);
+    }
+    return adapter;
+  }
+
+  switch (env.BOOKING_STORE || 'json') {
+    case 'memory':
+      return createMemoryStore();
+    case 'json':
+      return createJsonFileStore(getDefaultFilePath());
+    default:
+      throw new Error(`Unknown BOOKING_STORE "${env.BOOKING_STORE}"`);
+  }
+}
+
+module.exports = {
+  createBookingStore,
+  createJsonFileStore,
+  createMemoryStore
+};
@@ -0,0 +1,104 @@
+/**
+ * Request and response helpers shared by the API endpoints
+ * JSON responses in the { ok, ... } / { ok: false, error } shape and body
+ * parsing for JSON or urlencoded submissions
+ */
+
+const DEFAULT_MAX_BODY_BYTES = 20 * 1024;
+
+function sendJson(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, code, message, fields) {
+  sendJson(res, status, {
+    ok: false,
+    error: fields ? { code, message, fields } : { code, message }
+  });
+}
+
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Read the raw request body, capped at maxBytes. Past the cap the rest of
+ * the body is read and dropped rather than the socket reset, so the 413
+ * response still reaches the client
+ */
+function readRawBody(req, maxBytes = DEFAULT_MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      if (size > maxBytes) return;
+
+      size += chunk.length;
+      if (size > maxBytes) {
+        chunks.length = 0;
+        reject(new RequestError(413, 'payload_too_large', 'Request body is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse the body as JSON or urlencoded; Vercel pre-parses req.body,
+ * the local dev server does not
+ */
+async function parseBody(req, maxBytes = DEFAULT_MAX_BODY_BYTES) {
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim();
+  const raw = req.body !== undefined ? req.body : await readRawBody(req, maxBytes);
+
+  if (raw && typeof raw === 'object' && !Buffer.isBuffer(raw)) return raw;
+
+  const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw || '');
+
+  if (contentType === 'application/json') {
+    try {
+      const parsed = JSON.parse(text || '{}');
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Fall through to the invalid body error below
+    }
+    throw new RequestError(400, 'invalid_body', 'Request body must be a JSON object');
+  }
+
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+
+  throw new RequestError(415, 'unsupported_media_type', 'Send application/json or application/x-www-form-urlencoded');
+}
+
+/**
+ * Get the query string parameters; Vercel fills req.query, the local dev
+ * server does not
+ */
+function getQuery(req) {
+  if (req.query && typeof req.query === 'object') return req.query;
+
+  const url = new URL(req.url || '/', 'http://localhost');
+  return Object.fromEntries(url.searchParams);
+}
+
+module.exports = {
+  RequestError,
+  sendJson,
+  sendError,
+  readRawBody,
+  parseBody,
+  getQuery
+};
@@ -0,0 +1,102 @@
+/**
+ * Pluggable storage for contact leads
+ *
+ * LEAD_STORE selects the backend:
+ *   json   (default) append to a JSON file, LEAD_STORE_FILE or .data/leads.json
+ *   memory keep leads in memory (local testing)
+ * LEAD_STORE_MODULE may instead point at a module exporting save(lead),
+ * e.g. a CRM or database adapter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store leads in a JSON array on disk; writes are queued so concurrent
+ * requests in one instance do not overwrite each other
+ */
+function createJsonFileStore(filePath) {
+  let queue = Promise.resolve();
+
+  function readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  function save(lead) {
+    const write = queue.then(() => {
+      const leads = readAll();
+      leads.push(lead);
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, `${JSON.stringify(leads, null, 2)}\n`);
+      fs.renameSync(tempPath, filePath);
+
+      return lead;
+    });
+
+    queue = write.catch(() => {});
+    return write;
+  }
+
+  return { name: 'json', save, list: () => Promise.resolve(readAll()) };
+}
+
+/**
+ * Keep leads in memory only
+ */
+function createMemoryStore() {
+  const leads = [];
+
+  return {
+    name: 'memory',
+    save: lead => {
+      leads.push(lead);
+      return Promise.resolve(lead);
+    },
+    list: () => Promise.resolve(leads.slice())
+  };
+}
+
+/**
+ * Get the default JSON file location; Vercel functions can only write to /tmp
+ */
+function getDefaultFilePath() {
+  if (process.env.LEAD_STORE_FILE) return path.resolve(process.env.LEAD_STORE_FILE);
+  if (process.env.VERCEL) return path.join('/tmp', 'calma-leads.json');
+
+  return path.resolve(__dirname, '..', '..', '.data', 'leads.json');
+}
+
+/**
+ * Create the store selected by the environment
+ */
+function createLeadStore(env = process.env) {
+  if (env.LEAD_STORE_MODULE) {
+    const adapter = require(path.resolve(env.LEAD_STORE_MODULE));
+    if (typeof adapter.save !== 'function') {
+      throw new Error(`LEAD_STORE_MODULE ${env.LEAD_STORE_MODULE} does not export save(lead)`);
+    }
+    return adapter;
+  }
+
+  switch (env.LEAD_STORE || 'json') {
+    case 'memory':
+      return createMemoryStore();
+    case 'json':
+      return createJsonFileStore(getDefaultFilePath());
+    default:
+      throw new Error(`Unknown LEAD_STORE "${env.LEAD_STORE}"`);
+  }
+}
+
+module.exports = {
+  createLeadStore,
+  createJsonFileStore,
+  createMemoryStore
+};
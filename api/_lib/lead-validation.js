@@ -0,0 +1,118 @@
+/**
+ * Lead validation for the contact endpoint
+ * Normalises the submitted fields and reports per-field errors, plus the
+ * honeypot and fill-time checks that keep simple bots out
+ */
+
+const FIELD_LIMITS = {
+  name: 100,
+  phone: 32,
+  email: 254,
+  project: 64,
+  // Shortlisted project codes, comma separated (js/project-shortlist.js)
+  projects: 512,
+  purpose: 64,
+  purchaseMethod: 64,
+  message: 5000,
+  locale: 5,
+  page: 512,
+  intent: 16
+};
+
+// "contact" is a register-interest request; "updates" subscribes to the
+// construction updates of a project (or of every ongoing project)
+const INTENTS = ['contact', 'updates'];
+
+const REQUIRED_FIELDS = {
+  contact: ['name', 'phone', 'email'],
+  updates: ['name', 'email']
+};
+
+// Hidden field that real visitors never see or fill in
+const HONEYPOT_FIELD = 'website';
+
+// Timestamp (ms) written into the form when the page loads
+const STARTED_FIELD = '_started';
+const MIN_FILL_TIME_MS = 3000;
+const MAX_FILL_TIME_MS = 24 * 60 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Convert Arabic-Indic and Eastern Arabic-Indic digits to Latin digits
+ */
+function toLatinDigits(value) {
+  return value
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+/**
+ * Keep the known fields as trimmed strings and drop everything else
+ */
+function normalizeLead(body) {
+  const lead = {};
+
+  Object.keys(FIELD_LIMITS).forEach(field => {
+    const value = body[field];
+    lead[field] = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+  });
+
+  lead.email = lead.email.toLowerCase();
+  lead.phone = toLatinDigits(lead.phone);
+  lead.locale = lead.locale === 'en' ? 'en' : 'ar';
+  lead.intent = INTENTS.indexOf(lead.intent) !== -1 ? lead.intent : 'contact';
+  lead.projects = lead.projects.split(',').map(code => code.trim()).filter(Boolean).join(',');
+
+  return lead;
+}
+
+/**
+ * Return a { field: code } map of problems; empty when the lead is valid
+ */
+function validateLead(lead) {
+  const errors = {};
+
+  Object.keys(FIELD_LIMITS).forEach(field => {
+    if (lead[field].length > FIELD_LIMITS[field]) errors[field] = 'too_long';
+  });
+
+  REQUIRED_FIELDS[lead.intent].forEach(field => {
+    if (!lead[field]) errors[field] = 'required';
+  });
+
+  if (!errors.email && !EMAIL_PATTERN.test(lead.email)) {
+    errors.email = 'invalid';
+  }
+
+  if (!errors.phone && lead.phone && lead.phone.replace(/\D/g, '').length < 7) {
+    errors.phone = 'invalid';
+  }
+
+  return errors;
+}
+
+/**
+ * Detect bot submissions: a filled honeypot or an implausible fill time
+ */
+function isLikelySpam(body, now = Date.now()) {
+  if (body[HONEYPOT_FIELD]) return true;
+
+  const started = Number(body[STARTED_FIELD]);
+  if (!Number.isFinite(started)) return true;
+
+  const elapsed = now - started;
+  return elapsed < MIN_FILL_TIME_MS || elapsed > MAX_FILL_TIME_MS;
+}
+
+module.exports = {
+  FIELD_LIMITS,
+  INTENTS,
+  HONEYPOT_FIELD,
+  STARTED_FIELD,
+  MIN_FILL_TIME_MS,
+  toLatinDigits,
+  normalizeLead,
+  validateLead,
+  isLikelySpam
+};
@@ -0,0 +1,72 @@
+/**
+ * In-memory rate limiter keyed by client IP
+ * Counts are kept per function instance, which is enough to slow down
+ * repeated submissions from one visitor
+ */
+
+/**
+ * Create a limiter that allows `limit` hits per `windowMs` for each key
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+
+  function prune(now) {
+    hits.forEach((timestamps, key) => {
+      const recent = timestamps.filter(time => now - time < windowMs);
+      if (recent.length === 0) {
+        hits.delete(key);
+      } else {
+        hits.set(key, recent);
+      }
+    });
+  }
+
+  /**
+   * Report whether a hit would be allowed without recording it
+   */
+  function peek(key, now = Date.now()) {
+    prune(now);
+
+    const timestamps = hits.get(key) || [];
+    if (timestamps.length >= limit) {
+      const retryAfter = Math.ceil((timestamps[0] + windowMs - now) / 1000);
+      return { allowed: false, retryAfter };
+    }
+
+    return { allowed: true, remaining: limit - timestamps.length };
+  }
+
+  /**
+   * Record a hit and report whether it is allowed
+   */
+  function check(key, now = Date.now()) {
+    const result = peek(key, now);
+    if (!result.allowed) return result;
+
+    const timestamps = hits.get(key) || [];
+    timestamps.push(now);
+    hits.set(key, timestamps);
+    return { allowed: true, remaining: result.remaining - 1 };
+  }
+
+  return {
+    peek,
+    check,
+    reset: () => hits.clear()
+  };
+}
+
+/**
+ * Read the client IP from the proxy headers Vercel sets
+ */
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+
+  return req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+module.exports = {
+  createRateLimiter,
+  getClientIp
+};
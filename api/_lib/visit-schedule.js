@@ -0,0 +1,120 @@
+/**
+ * Site-visit schedule from data/site-visits.json
+ * Works out the bookable days and time slots of the sales offices. Dates
+ * and times are local office time ("2026-10-21", "16:00"); utcOffset (in
+ * minutes) converts them to instants.
+ *
+ * A weekday with no hours (Friday) and the dates of a holiday range are
+ * closed. js/site-visit.js applies the same rules to list the days.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse "YYYY-MM-DD" into a UTC midnight timestamp; NaN when invalid
+ */
+function parseDate(date) {
+  const match = DATE_PATTERN.exec(String(date || ''));
+  if (!match) return NaN;
+
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return new Date(time).toISOString().slice(0, 10) === date ? time : NaN;
+}
+
+function toMinutes(time) {
+  const match = TIME_PATTERN.exec(String(time || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+function formatMinutes(minutes) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Get the office date ("YYYY-MM-DD") at an instant
+ */
+function getOfficeDate(config, now = Date.now()) {
+  return new Date(now + config.utcOffset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the instant (ms) a slot starts at
+ */
+function getSlotStart(config, date, time) {
+  return parseDate(date) + (toMinutes(time) - config.utcOffset) * 60 * 1000;
+}
+
+/**
+ * Get the holiday that covers a date, if any
+ */
+function getHoliday(config, date) {
+  return (config.holidays || []).find(holiday => (
+    date >= holiday.from && date <= (holiday.to || holiday.from)
+  )) || null;
+}
+
+/**
+ * List the slot start times of a date: ["09:00", "10:00", ...]; empty on
+ * closed days
+ */
+function getDaySlots(config, date) {
+  const day = parseDate(date);
+  if (Number.isNaN(day) || getHoliday(config, date)) return [];
+
+  const ranges = config.hours[WEEKDAYS[new Date(day).getUTCDay()]] || [];
+  const slots = [];
+
+  ranges.forEach(([open, close]) => {
+    for (let start = toMinutes(open); start + config.slotMinutes <= toMinutes(close); start += config.slotMinutes) {
+      slots.push(formatMinutes(start));
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Get the end time of a slot
+ */
+function getSlotEnd(config, time) {
+  return formatMinutes(toMinutes(time) + config.slotMinutes);
+}
+
+/**
+ * Check whether a date falls inside the booking window: from today up to
+ * daysAhead days ahead
+ */
+function isInWindow(config, date, now = Date.now()) {
+  const day = parseDate(date);
+  const today = parseDate(getOfficeDate(config, now));
+
+  return !Number.isNaN(day) && day >= today && day <= today + config.daysAhead * DAY_MS;
+}
+
+/**
+ * Check whether a slot can still be booked: an open slot in the window
+ * that starts at least minNoticeHours from now
+ */
+function isBookable(config, date, time, now = Date.now()) {
+  if (!isInWindow(config, date, now) || getDaySlots(config, date).indexOf(time) === -1) return false;
+
+  return getSlotStart(config, date, time) >= now + config.minNoticeHours * 60 * 60 * 1000;
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseDate,
+  getOfficeDate,
+  getSlotStart,
+  getSlotEnd,
+  getHoliday,
+  getDaySlots,
+  isInWindow,
+  isBookable
+};
@@ -0,0 +1,96 @@
+/**
+ * Contact form endpoint: POST /api/contact
+ * Accepts JSON or urlencoded bodies from the contact form, filters out
+ * bots, rate-limits per IP and saves the lead to the configured store.
+ * Only submissions that pass validation count towards the rate limit, so
+ * a visitor correcting a field is not locked out.
+ * The updates form on updates.html sends intent: "updates", which only
+ * needs a name and an email. Leads sent from a shortlist carry the
+ * shortlisted project codes as projects: "YS190,NR160".
+ *
+ * Responses are JSON:
+ *   201 { ok: true, id }
+ *   4xx/5xx { ok: false, error: { code, message, fields? } }
+ */
+
+const crypto = require('crypto');
+const { normalizeLead, validateLead, isLikelySpam } = require('./_lib/lead-validation');
+const { createRateLimiter, getClientIp } = require('./_lib/rate-limit');
+const { createLeadStore } = require('./_lib/lead-store');
+const { RequestError, sendJson, sendError, parseBody } = require('./_lib/http');
+
+const rateLimiter = createRateLimiter({
+  limit: Number(process.env.CONTACT_RATE_LIMIT) || 5,
+  windowMs: 10 * 60 * 1000
+});
+
+let store = null;
+
+function getStore() {
+  if (!store) store = createLeadStore();
+  return store;
+}
+
+function sendRateLimited(res, limit) {
+  res.setHeader('Retry-After', String(limit.retryAfter));
+  sendError(res, 429, 'rate_limited', 'Too many submissions, please try again later');
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendError(res, 405, 'method_not_allowed', 'Use POST to submit the contact form');
+    return;
+  }
+
+  const ip = getClientIp(req);
+  const limit = rateLimiter.peek(ip);
+  if (!limit.allowed) {
+    sendRateLimited(res, limit);
+    return;
+  }
+
+  let body;
+  try {
+    body = await parseBody(req);
+  } catch (error) {
+    if (error instanceof RequestError) {
+      sendError(res, error.status, error.code, error.message);
+      return;
+    }
+    throw error;
+  }
+
+  if (isLikelySpam(body)) {
+    sendError(res, 400, 'spam_detected', 'Submission was rejected');
+    return;
+  }
+
+  const lead = normalizeLead(body);
+  const fields = validateLead(lead);
+  if (Object.keys(fields).length > 0) {
+    sendError(res, 422, 'validation_failed', 'Some fields are missing or invalid', fields);
+    return;
+  }
+
+  const counted = rateLimiter.check(ip);
+  if (!counted.allowed) {
+    sendRateLimited(res, counted);
+    return;
+  }
+
+  const record = Object.assign({
+    id: crypto.randomUUID(),
+    receivedAt: new Date().toISOString()
+  }, lead);
+
+  try {
+    await getStore().save(record);
+  } catch (error) {
+    console.error('Lead could not be saved:', error);
+    sendError(res, 500, 'store_failed', 'The submission could not be saved');
+    return;
+  }
+
+  sendJson(res, 201, { ok: true, id: record.id });
+};
@@ -0,0 +1,224 @@
+/**
+ * Site-visit booking endpoint
+ *   GET  /api/site-visit?project=YS190&date=2026-10-21 lists the day's slots
+ *   POST /api/site-visit books one: { project, date, time, name, phone }
+ *
+ * Slots come from the sales-office hours in data/site-visits.json
+ * (api/_lib/visit-schedule.js). Each slot takes `capacity` bookings per
+ * project; booking a full slot answers 409 slot_taken. Bookings are
+ * filtered for bots and rate-limited like the contact form: only bookings
+ * that pass validation count towards the limit.
+ *
+ * Responses are JSON:
+ *   200 { ok: true, project, date, slots: [{ time, end, available }] }
+ *   201 { ok: true, id, booking: { project, date, time, end, startsAt, endsAt } }
+ *   4xx/5xx { ok: false, error: { code, message, fields? } }
+ */
+
+const crypto = require('crypto');
+const config = require('../data/site-visits.json');
+const catalog = require('../data/projects.json');
+const schedule = require('./_lib/visit-schedule');
+const { toLatinDigits, isLikelySpam } = require('./_lib/lead-validation');
+const { createRateLimiter, getClientIp } = require('./_lib/rate-limit');
+const { createBookingStore } = require('./_lib/booking-store');
+const { RequestError, sendJson, sendError, parseBody, getQuery } = require('./_lib/http');
+
+const FIELD_LIMITS = {
+  name: 100,
+  phone: 32,
+  project: 64,
+  date: 10,
+  time: 5,
+  locale: 5
+};
+
+const rateLimiter = createRateLimiter({
+  limit: Number(process.env.SITE_VISIT_RATE_LIMIT) || 5,
+  windowMs: 10 * 60 * 1000
+});
+
+let store = null;
+
+function getStore() {
+  if (!store) store = createBookingStore();
+  return store;
+}
+
+function sendRateLimited(res, limit) {
+  res.setHeader('Retry-After', String(limit.retryAfter));
+  sendError(res, 429, 'rate_limited', 'Too many bookings, please try again later');
+}
+
+/**
+ * Find a catalog project by id or code and return the key bookings are
+ * filed under (its code, or its id when it has none)
+ */
+function getProjectKey(value) {
+  const key = String(value || '').trim().toLowerCase();
+  const project = key && catalog.projects.find(item => (
+    item.id === key || (item.code && item.code.toLowerCase() === key)
+  ));
+
+  return project ? project.code || project.id : '';
+}
+
+/**
+ * Keep the known fields as trimmed strings and drop everything else
+ */
+function normalizeBooking(body) {
+  const booking = {};
+
+  Object.keys(FIELD_LIMITS).forEach(field => {
+    const value = body[field];
+    booking[field] = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+  });
+
+  booking.phone = toLatinDigits(booking.phone);
+  booking.date = toLatinDigits(booking.date);
+  booking.time = toLatinDigits(booking.time);
+  booking.locale = booking.locale === 'en' ? 'en' : 'ar';
+
+  return booking;
+}
+
+/**
+ * Return a { field: code } map of problems; empty when the booking is valid.
+ * A slot that is closed or too soon is reported on "time"
+ */
+function validateBooking(booking, now = Date.now()) {
+  const errors = {};
+
+  Object.keys(FIELD_LIMITS).forEach(field => {
+    if (booking[field].length > FIELD_LIMITS[field]) errors[field] = 'too_long';
+  });
+
+  ['name', 'phone', 'project', 'date', 'time'].forEach(field => {
+    if (!errors[field] && !booking[field]) errors[field] = 'required';
+  });
+
+  if (!errors.phone && booking.phone.replace(/\D/g, '').length < 7) errors.phone = 'invalid';
+  if (!errors.project && !getProjectKey(booking.project)) errors.project = 'invalid';
+
+  if (!errors.date && !schedule.isInWindow(config, booking.date, now)) {
+    errors.date = 'invalid';
+  } else if (!errors.date && !errors.time && !schedule.isBookable(config, booking.date, booking.time, now)) {
+    errors.time = 'unavailable';
+  }
+
+  return errors;
+}
+
+async function listSlots(req, res) {
+  const query = getQuery(req);
+  const project = getProjectKey(query.project);
+  const date = String(query.date || '');
+  const fields = {};
+
+  if (!project) fields.project = query.project ? 'invalid' : 'required';
+  if (!schedule.isInWindow(config, date)) fields.date = date ? 'invalid' : 'required';
+
+  if (Object.keys(fields).length > 0) {
+    sendError(res, 422, 'validation_failed', 'Send a known project and a date inside the booking window', fields);
+    return;
+  }
+
+  const counts = await getStore().countBookings(project, date);
+  const now = Date.now();
+
+  sendJson(res, 200, {
+    ok: true,
+    project,
+    date,
+    slots: schedule.getDaySlots(config, date).map(time => ({
+      time,
+      end: schedule.getSlotEnd(config, time),
+      available: schedule.isBookable(config, date, time, now) && (counts[time] || 0) < config.capacity
+    }))
+  });
+}
+
+async function createBooking(req, res) {
+  const ip = getClientIp(req);
+  const limit = rateLimiter.peek(ip);
+  if (!limit.allowed) {
+    sendRateLimited(res, limit);
+    return;
+  }
+
+  let body;
+  try {
+    body = await parseBody(req);
+  } catch (error) {
+    if (error instanceof RequestError) {
+      sendError(res, error.status, error.code, error.message);
+      return;
+    }
+    throw error;
+  }
+
+  if (isLikelySpam(body)) {
+    sendError(res, 400, 'spam_detected', 'Submission was rejected');
+    return;
+  }
+
+  const booking = normalizeBooking(body);
+  const fields = validateBooking(booking);
+  if (Object.keys(fields).length > 0) {
+    sendError(res, 422, 'validation_failed', 'Some fields are missing or invalid', fields);
+    return;
+  }
+
+  const counted = rateLimiter.check(ip);
+  if (!counted.allowed) {
+    sendRateLimited(res, counted);
+    return;
+  }
+
+  booking.project = getProjectKey(booking.project);
+
+  const startsAt = schedule.getSlotStart(config, booking.date, booking.time);
+  const record = Object.assign({
+    id: crypto.randomUUID(),
+    receivedAt: new Date().toISOString()
+  }, booking, {
+    end: schedule.getSlotEnd(config, booking.time),
+    startsAt: new Date(startsAt).toISOString(),
+    endsAt: new Date(startsAt + config.slotMinutes * 60 * 1000).toISOString()
+  });
+
+  let saved;
+  try {
+    saved = await getStore().reserve(record, config.capacity);
+  } catch (error) {
+    console.error('Booking could not be saved:', error);
+    sendError(res, 500, 'store_failed', 'The booking could not be saved');
+    return;
+  }
+
+  if (!saved) {
+    sendError(res, 409, 'slot_taken', 'This time has just been booked, please choose another', { time: 'taken' });
+    return;
+  }
+
+  sendJson(res, 201, {
+    ok: true,
+    id: record.id,
+    booking: {
+      project: record.project,
+      date: record.date,
+      time: record.time,
+      end: record.end,
+      startsAt: record.startsAt,
+      endsAt: record.endsAt
+    }
+  });
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'GET') return listSlots(req, res);
+  if (req.method === 'POST') return createBooking(req, res);
+
+  res.setHeader('Allow', 'GET, POST');
+  sendError(res, 405, 'method_not_allowed', 'Use GET to list slots or POST to book a visit');
+};
@@ -0,0 +1,269 @@
+/**
+ * Analytics Events for Calma Website
+ * Turns what visitors do into typed custom events: soft page transitions,
+ * document downloads, contact / updates form submissions, site-visit
+ * bookings, slider and image navigation and language switches. Events only
+ * leave the page when the visitor allowed the analytics category
+ * (js/cookie-consent.js).
+ *
+ * Events go through an adapter: Vercel Web Analytics by default, or the
+ * console adapter on localhost / with ?analytics=console, which logs them and
+ * keeps them in sessionStorage for inspection. Other adapters plug in with
+ *
+ *   Analytics.setAdapter({ send(name, data) { ... } })
+ */
+
+(function() {
+  'use strict';
+
+  // Event names and the properties each may carry; anything else is dropped
+  const EVENTS = {
+    page_transition: ['path', 'locale'],
+    document_download: ['project', 'document_type', 'document_lang', 'locale'],
+    lead_submit: ['form', 'intent', 'purpose', 'project', 'projects', 'ok', 'status', 'locale'],
+    site_visit_book: ['project', 'ok', 'status', 'locale'],
+    slider_navigate: ['project', 'slider', 'direction', 'locale'],
+    image_navigate: ['project', 'direction', 'locale'],
+    language_switch: ['from', 'to', 'path']
+  };
+
+  const DEBUG_PARAM = 'analytics';
+  const DEBUG_SESSION_KEY = 'calma-analytics-debug';
+  const LOG_KEY = 'calma-analytics-log';
+  const LOG_LIMIT = 100;
+
+  const SLIDER_ARROWS = '.w-slider-arrow-left, .w-slider-arrow-right';
+
+  /**
+   * Vercel Web Analytics; calls made before the script has loaded wait in
+   * window.vaq like the official snippet does
+   */
+  const vercelAdapter = {
+    name: 'vercel',
+    send(name, data) {
+      window.va = window.va || function() {
+        (window.vaq = window.vaq || []).push(arguments);
+      };
+      window.va('event', { name, data });
+    }
+  };
+
+  /**
+   * Development adapter: log the event and keep the last ones for the session
+   */
+  const consoleAdapter = {
+    name: 'console',
+    send(name, data) {
+      console.info('[analytics]', name, data);
+
+      try {
+        const log = JSON.parse(sessionStorage.getItem(LOG_KEY) || '[]');
+        log.push({ name, data, time: new Date().toISOString() });
+        sessionStorage.setItem(LOG_KEY, JSON.stringify(log.slice(-LOG_LIMIT)));
+      } catch (error) {
+        // Logging to the console is enough
+      }
+    }
+  };
+
+  let adapter = isDebug() ? consoleAdapter : vercelAdapter;
+
+  /**
+   * Use the console adapter on localhost or once ?analytics=console was
+   * opened in this session (?analytics=vercel switches back)
+   */
+  function isDebug() {
+    const requested = new URLSearchParams(window.location.search).get(DEBUG_PARAM);
+
+    try {
+      if (requested === 'console') sessionStorage.setItem(DEBUG_SESSION_KEY, '1');
+      if (requested === 'vercel') sessionStorage.removeItem(DEBUG_SESSION_KEY);
+      if (sessionStorage.getItem(DEBUG_SESSION_KEY) === '1') return true;
+    } catch (error) {
+      if (requested === 'console') return true;
+    }
+
+    if (requested === 'vercel') return false;
+    return /^(localhost|127\.0\.0\.1|\[::1\])$/.test(window.location.hostname);
+  }
+
+  function canTrack() {
+    return Boolean(window.CookieConsent && CookieConsent.hasConsent('analytics'));
+  }
+
+  /**
+   * Keep the known properties with flat values; Vercel rejects nested data
+   */
+  function sanitize(name, data) {
+    const clean = {};
+
+    EVENTS[name].forEach(key => {
+      const value = data ? data[key] : undefined;
+      if (value === undefined || value === null || value === '') return;
+      clean[key] = typeof value === 'number' || typeof value === 'boolean' ? value : String(value);
+    });
+
+    return clean;
+  }
+
+  /**
+   * Send an event through the adapter; returns false when it was dropped
+   */
+  function track(name, data) {
+    if (!Object.prototype.hasOwnProperty.call(EVENTS, name)) {
+      console.warn(`Unknown analytics event "${name}"`);
+      return false;
+    }
+    if (!canTrack()) return false;
+
+    try {
+      adapter.send(name, sanitize(name, data));
+    } catch (error) {
+      console.warn('Analytics event could not be sent:', error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Replace the adapter; anything with a send(name, data) method works
+   */
+  function setAdapter(next) {
+    if (next === 'vercel') next = vercelAdapter;
+    if (next === 'console') next = consoleAdapter;
+    if (!next || typeof next.send !== 'function') throw new TypeError('An analytics adapter needs a send(name, data) method');
+
+    adapter = next;
+    return adapter;
+  }
+
+  function getAdapter() {
+    return adapter;
+  }
+
+  /**
+   * Resolve the project code ("SH90") for a catalog id, falling back to the id
+   */
+  function getProjectCode(id) {
+    if (!id) return Promise.resolve('');
+    if (typeof ProjectCatalog === 'undefined') return Promise.resolve(id);
+
+    return ProjectCatalog.findProject(id)
+      .then(project => (project && project.code) || id)
+      .catch(() => id);
+  }
+
+  function getProjectId(element) {
+    const owner = element && element.closest ? element.closest('[data-project-id]') : null;
+    return owner ? owner.getAttribute('data-project-id') : '';
+  }
+
+  /* ===== SIGNALS ===== */
+
+  function onPageTransition() {
+    track('page_transition', { path: window.location.pathname, locale: ProjectCatalog.getLocale() });
+  }
+
+  function onImageNavigate(event) {
+    const { direction, container } = event.detail || {};
+
+    getProjectCode(getProjectId(container)).then(project => {
+      track('image_navigate', { project, direction, locale: ProjectCatalog.getLocale() });
+    });
+  }
+
+  function onContactFormSubmitted(event) {
+    const { form, ok, status, locale } = event.detail || {};
+    if (!form) return;
+
+    const field = name => (form.elements[name] ? form.elements[name].value : '');
+
+    track('lead_submit', {
+      form: form.getAttribute('data-name') || form.id,
+      intent: field('intent') || 'contact',
+      purpose: field('purpose'),
+      project: field('project'),
+      projects: field('projects'),
+      ok,
+      status,
+      locale: locale || ProjectCatalog.getLocale()
+    });
+  }
+
+  function onSiteVisitBooked(event) {
+    const { project, ok, status, locale } = event.detail || {};
+
+    track('site_visit_book', {
+      project,
+      ok,
+      status,
+      locale: locale || ProjectCatalog.getLocale()
+    });
+  }
+
+  /**
+   * Downloads, slider arrows and language switches are delegated from the
+   * document because they are rendered or swapped after load
+   */
+  function onDocumentClick(event) {
+    const target = event.target;
+    if (!target || !target.closest) return;
+
+    const download = target.closest('a[download][data-document-type]');
+    if (download) {
+      getProjectCode(download.getAttribute('data-project-id')).then(project => {
+        track('document_download', {
+          project,
+          document_type: download.getAttribute('data-document-type'),
+          document_lang: download.getAttribute('data-document-lang'),
+          locale: ProjectCatalog.getLocale()
+        });
+      });
+      return;
+    }
+
+    const arrow = target.closest(SLIDER_ARROWS);
+    if (arrow) {
+      const slider = arrow.closest('.w-slider');
+      getProjectCode(getProjectId(arrow)).then(project => {
+        track('slider_navigate', {
+          project,
+          slider: slider ? (slider.id || slider.classList[0]) : '',
+          direction: arrow.matches('.w-slider-arrow-right') ? 'right' : 'left',
+          locale: ProjectCatalog.getLocale()
+        });
+      });
+      return;
+    }
+
+    const languageSwitch = target.closest('.language-switch-div');
+    if (languageSwitch) {
+      const from = ProjectCatalog.getLocale();
+      track('language_switch', {
+        from,
+        to: languageSwitch.getAttribute('hreflang') || (from === 'ar' ? 'en' : 'ar'),
+        path: window.location.pathname
+      });
+    }
+  }
+
+  // Capture phase so the event is recorded before the link navigates away
+  document.addEventListener('click', onDocumentClick, true);
+  document.addEventListener('pageTransitionComplete', onPageTransition);
+  document.addEventListener('imageNavigate', onImageNavigate);
+  document.addEventListener('contactFormSubmitted', onContactFormSubmitted);
+  document.addEventListener('siteVisitBooked', onSiteVisitBooked);
+
+  // Export functions for external use
+  window.Analytics = {
+    EVENTS,
+    track,
+    setAdapter,
+    getAdapter,
+    adapters: {
+      vercel: vercelAdapter,
+      console: consoleAdapter
+    }
+  };
+
+})();
@@ -0,0 +1,513 @@
+/**
+ * Animations for Calma Website
+ * Declarative GSAP animations: elements opt in with data attributes and
+ * named presets, and a registry makes sure nothing is animated twice.
+ * On lite motion (js/motion-policy.js) presets become short fades without
+ * split text; on reduced motion nothing is animated.
+ *
+ *   <h2 class="section-heading" data-animate="words-up" data-split="words">
+ *   <p class="paragraph" data-animate="fade-up" data-animate-delay="0.2">
+ *   <div data-animate="blur-in" data-animate-stagger="0.2">
+ *     <div data-animate-item>...</div>
+ *   </div>
+ *   <section class="section footer" data-animate="footer">
+ *
+ * Supported attributes:
+ *   data-animate            preset name (see PRESETS)
+ *   data-split              split the text with SplitType ("words", "chars" or "lines")
+ *   data-animate-stagger    animate the [data-animate-item] descendants (or the
+ *                           children) one after another, in seconds
+ *   data-animate-delay      delay in seconds
+ *   data-animate-duration   duration in seconds
+ *   data-animate-start      ScrollTrigger start, e.g. "top 80%"
+ *   data-animate-trigger    selector of the element that triggers the animation
+ */
+
+(function() {
+  'use strict';
+
+  const SCROLL_DEFAULTS = {
+    toggleActions: 'play none none none',
+    once: true
+  };
+
+  // On lite motion every preset becomes an opacity fade of at most this length
+  const LITE_DURATION = 0.6;
+  const LITE_KEYS = ['delay', 'ease', 'stagger', 'scrollTrigger', 'clearProps'];
+
+  const TRANSITION_TIMING = {
+    full: { enter: 1.2, leave: 0.8 },
+    lite: { enter: 0.4, leave: 0.3 }
+  };
+
+  /**
+   * Tween presets: "from" holds the starting values, the element animates
+   * to its natural state
+   */
+  const PRESETS = {
+    'fade-up': {
+      from: { opacity: 0, y: 30 },
+      duration: 0.8,
+      ease: 'power2.out',
+      start: 'top 90%'
+    },
+    'words-up': {
+      from: { opacity: 0, y: 60, skewY: 6 },
+      duration: 1,
+      ease: 'power3.out',
+      stagger: 0.05,
+      start: 'top 85%'
+    },
+    'zoom-in': {
+      from: { opacity: 0, scale: 0.85 },
+      duration: 1,
+      ease: 'power2.out',
+      start: 'top 85%'
+    },
+    'rise': {
+      from: { opacity: 0, y: 80 },
+      duration: 1.2,
+      ease: 'power3.out',
+      start: 'top 85%'
+    },
+    'row-in': {
+      from: { opacity: 0, y: 60 },
+      duration: 0.8,
+      ease: 'power2.out',
+      start: 'top 90%',
+      clearProps: 'transform'
+    },
+    'blur-in': {
+      from: { opacity: 0, scale: 1.1, filter: 'blur(10px)' },
+      duration: 1.5,
+      ease: 'power3.out',
+      stagger: 0.2,
+      start: 'top 80%'
+    },
+    'portrait-in': {
+      from: { opacity: 0, y: 100, scale: 0.9 },
+      duration: 1.4,
+      ease: 'power3.out',
+      start: 'top 85%'
+    },
+    'slide-in': {
+      from: { opacity: 0, x: 100, scale: 1.1 },
+      duration: 1.6,
+      ease: 'power3.out',
+      start: 'top 85%'
+    },
+    'cta-in': {
+      from: { opacity: 0, y: 100, scale: 1.1 },
+      duration: 1.5,
+      ease: 'power3.out',
+      start: 'top 85%',
+      trigger: '.cta-right-grid'
+    },
+    'hero-image': {
+      from: { opacity: 0, y: 100, scale: 1.1 },
+      duration: 1.2,
+      delay: 0.8,
+      ease: 'power4.out',
+      start: 'top 80%'
+    },
+    'ceo-in': {
+      from: { opacity: 0, x: 100, scale: 0.95 },
+      duration: 1.3,
+      ease: 'power3.out',
+      start: 'top 85%'
+    },
+    'progress-fill': {
+      from: { scaleX: 0 },
+      duration: 1.2,
+      ease: 'power2.out',
+      start: 'top 95%',
+      clearProps: 'transform'
+    },
+
+    // Timeline presets animate parts of the element in sequence; each step is
+    // [selector or elements, from values, position]. A null start plays on load.
+    'intro': {
+      start: null,
+      steps: [
+        ['.logo-wrapper', { opacity: 0, y: -30, duration: 0.8 }],
+        ['.navlink', { opacity: 0, y: -20, duration: 0.6, stagger: 0.15 }],
+        ['.hero-logo-div', { opacity: 0, y: 40, duration: 0.8 }, '-=0.3'],
+        ['.hero-heading-div', { opacity: 0, y: 40, duration: 0.8 }, '-=0.5'],
+        ['.hero-image-wrapper', { opacity: 0, y: 30, duration: 1, stagger: 0.3 }, '-=0.5']
+      ]
+    },
+    'footer': {
+      start: 'top 80%',
+      steps: [
+        ['.footer-logo-div', { y: 50, opacity: 0, duration: 1 }],
+        ['.footer-left-grid', { y: 50, opacity: 0, duration: 1 }, '-=0.8'],
+        ['.download-heading', { y: 30, opacity: 0, duration: 0.8 }, '-=0.6'],
+        ['.download-text', { y: 20, opacity: 0, stagger: 0.1, duration: 0.6 }, '-=0.5'],
+        ['.line.footer', { scaleX: 0, transformOrigin: 'left', opacity: 0, duration: 0.6 }, '-=0.5'],
+        ['.footer-middle-div', { y: 40, opacity: 0, duration: 0.8 }, '-=0.4'],
+        ['.footer-text', { y: 20, opacity: 0, stagger: 0.05, duration: 0.6 }, '-=0.4'],
+        ['.footer-bottom-div', { y: 40, opacity: 0, duration: 0.8 }, '-=0.5'],
+        ['.terms-heading', { y: 20, opacity: 0, stagger: 0.1, duration: 0.6 }, '-=0.5'],
+        ['.icon', { y: 20, opacity: 0, stagger: 0.1, duration: 0.6 }, '-=0.5']
+      ]
+    },
+    'stats-sequence': {
+      start: 'top 80%',
+      // Each divider line draws in, then the stat below it
+      steps: element => {
+        const lines = element.querySelectorAll('.line');
+        const stats = element.querySelectorAll('.stats');
+        const steps = [];
+
+        for (let i = 0; i < Math.max(lines.length, stats.length); i++) {
+          if (lines[i]) steps.push([lines[i], { opacity: 0, scaleX: 0, transformOrigin: 'left center', duration: 0.4 }]);
+          if (stats[i]) steps.push([stats[i], { opacity: 0, y: 30, duration: 0.5 }]);
+        }
+
+        return steps;
+      }
+    }
+  };
+
+  // Every element that already has an animation, including split parts and timeline steps
+  const registry = new WeakSet();
+  const animations = [];
+
+  /**
+   * Get the level from js/motion-policy.js: 'full', 'lite' or 'reduced'
+   */
+  function getMotionLevel() {
+    return window.MotionPolicy ? MotionPolicy.getLevel() : 'full';
+  }
+
+  /**
+   * Step tween values down to a short fade on lite motion
+   */
+  function adaptToMotion(vars) {
+    if (getMotionLevel() === 'full') return vars;
+
+    const lite = {
+      opacity: 0,
+      duration: Math.min(vars.duration || LITE_DURATION, LITE_DURATION)
+    };
+    LITE_KEYS.forEach(key => {
+      if (vars[key] !== undefined) lite[key] = vars[key];
+    });
+
+    return lite;
+  }
+
+  /**
+   * Check whether an element has already been animated
+   */
+  function isAnimated(element) {
+    return registry.has(element);
+  }
+
+  /**
+   * Register the targets that are not animated yet and return them
+   */
+  function claim(targets) {
+    return Array.from(targets).filter(target => {
+      if (!target || registry.has(target)) return false;
+      registry.add(target);
+      return true;
+    });
+  }
+
+  /**
+   * Add or replace a named preset
+   */
+  function registerPreset(name, preset) {
+    PRESETS[name] = preset;
+  }
+
+  /**
+   * Read a numeric data attribute, falling back to the preset value
+   */
+  function readNumber(element, attribute, fallback) {
+    const value = parseFloat(element.getAttribute(attribute));
+    return isNaN(value) ? fallback : value;
+  }
+
+  /**
+   * Resolve a trigger selector from the element outwards, then page-wide
+   */
+  function resolveTrigger(element, selector) {
+    if (!selector) return element;
+    return element.closest(selector) || document.querySelector(selector) || element;
+  }
+
+  function getScrollTrigger(trigger, start) {
+    if (start === null || typeof ScrollTrigger === 'undefined') return undefined;
+    return Object.assign({ trigger, start }, SCROLL_DEFAULTS);
+  }
+
+  /**
+   * Get the elements a tween preset should move: split text parts,
+   * staggered items or the element itself
+   */
+  function getTargets(element) {
+    const split = element.getAttribute('data-split');
+
+    if (split && typeof SplitType !== 'undefined' && getMotionLevel() === 'full') {
+      const parts = new SplitType(element, { types: split, tagName: 'span' });
+      return parts[split] || [element];
+    }
+
+    if (element.hasAttribute('data-animate-stagger')) {
+      const items = element.querySelectorAll('[data-animate-item]');
+      return items.length > 0 ? Array.from(items) : Array.from(element.children);
+    }
+
+    return [element];
+  }
+
+  /**
+   * Build a timeline preset from its steps
+   */
+  function createTimeline(element, preset) {
+    const steps = typeof preset.steps === 'function' ? preset.steps(element) : preset.steps;
+    const timeline = gsap.timeline({
+      defaults: { ease: preset.ease || 'power2.out' },
+      scrollTrigger: getScrollTrigger(resolveTrigger(element, element.getAttribute('data-animate-trigger')), element.getAttribute('data-animate-start') || preset.start)
+    });
+
+    steps.forEach(([selector, vars, position]) => {
+      const found = typeof selector === 'string' ? element.querySelectorAll(selector) : [selector];
+      const targets = claim(found);
+
+      if (targets.length > 0) {
+        timeline.from(targets, adaptToMotion(Object.assign({}, vars)), position);
+      }
+    });
+
+    return timeline;
+  }
+
+  /**
+   * Create a tween from a tween preset and the element's overrides
+   */
+  function createTween(element, preset) {
+    const targets = getTargets(element).filter(target => target === element || !registry.has(target));
+    claim(targets);
+
+    if (targets.length === 0) return null;
+
+    const vars = Object.assign({}, preset.from, {
+      duration: readNumber(element, 'data-animate-duration', preset.duration),
+      delay: readNumber(element, 'data-animate-delay', preset.delay || 0),
+      ease: preset.ease,
+      stagger: readNumber(element, 'data-animate-stagger', preset.stagger),
+      scrollTrigger: getScrollTrigger(
+        resolveTrigger(element, element.getAttribute('data-animate-trigger') || preset.trigger),
+        element.getAttribute('data-animate-start') || preset.start
+      )
+    });
+
+    if (preset.clearProps) vars.clearProps = preset.clearProps;
+
+    return gsap.from(targets, adaptToMotion(vars));
+  }
+
+  /**
+   * Animate one element with its data-animate preset (or the one given);
+   * returns the tween or timeline, or null when it was already animated
+   */
+  function animateElement(element, presetName) {
+    const name = presetName || element.getAttribute('data-animate');
+    const preset = PRESETS[name];
+
+    if (typeof gsap === 'undefined' || registry.has(element)) return null;
+    if (getMotionLevel() === 'reduced') return null;
+    if (!preset) {
+      console.warn(`Unknown animation preset "${name}"`);
+      return null;
+    }
+
+    registry.add(element);
+
+    const animation = preset.steps ? createTimeline(element, preset) : createTween(element, preset);
+    if (animation) animations.push(animation);
+
+    return animation;
+  }
+
+  /**
+   * Jump every pending animation to its end state, e.g. when the visitor
+   * switches to reduced motion halfway down the page
+   */
+  function finishAll() {
+    animations.splice(0).forEach(animation => {
+      if (animation.scrollTrigger) animation.scrollTrigger.kill();
+      animation.progress(1);
+    });
+  }
+
+  /**
+   * Check whether an animation only targets content that has been removed
+   */
+  function isDetached(animation) {
+    const trigger = animation.scrollTrigger && animation.scrollTrigger.trigger;
+    if (trigger) return !trigger.isConnected;
+
+    return typeof animation.targets === 'function' &&
+      animation.targets().every(target => !target.isConnected);
+  }
+
+  /**
+   * Stop the animations of content that a soft navigation replaced
+   */
+  function pruneDetached() {
+    for (let i = animations.length - 1; i >= 0; i--) {
+      if (!isDetached(animations[i])) continue;
+
+      if (animations[i].scrollTrigger) animations[i].scrollTrigger.kill();
+      animations[i].kill();
+      animations.splice(i, 1);
+    }
+  }
+
+  /**
+   * Animate every [data-animate] element inside root that has not run yet;
+   * parents are handled before their children
+   */
+  function scan(root = document) {
+    const elements = Array.from(root.querySelectorAll('[data-animate]'));
+    if (root.nodeType === 1 && root.hasAttribute('data-animate')) elements.unshift(root);
+
+    return elements.map(element => animateElement(element)).filter(Boolean);
+  }
+
+  /**
+   * Check whether a link click should fade the page out before leaving
+   */
+  function shouldTransition(link, event) {
+    if (event.defaultPrevented || event.button !== 0) return false;
+    if (getMotionLevel() === 'reduced') return false;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+    if (link.target || link.hasAttribute('download')) return false;
+    if (link.href.indexOf('#') !== -1) return false;
+
+    // Soft navigation (js/page-router.js) has its own transition
+    if (window.PageRouter && PageRouter.shouldRoute(link, event)) return false;
+
+    return link.origin === window.location.origin;
+  }
+
+  /**
+   * Fade the page in on load and out before same-site navigation
+   */
+  function initPageTransition() {
+    if (getMotionLevel() === 'reduced') {
+      // Let listeners registered on DOMContentLoaded hear it too
+      setTimeout(() => document.dispatchEvent(new Event('pageTransitionComplete')), 0);
+      return;
+    }
+
+    const timing = TRANSITION_TIMING[getMotionLevel()] || TRANSITION_TIMING.full;
+    const overlay = document.createElement('div');
+    overlay.className = 'page-transition';
+    document.body.appendChild(overlay);
+
+    gsap.set(overlay, {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      backgroundColor: '#D4CFBD',
+      zIndex: 9999,
+      pointerEvents: 'none',
+      opacity: 0
+    });
+
+    gsap.fromTo(overlay, { opacity: 1 }, {
+      opacity: 0,
+      duration: timing.enter,
+      ease: 'power2.out',
+      onComplete: () => {
+        overlay.style.display = 'none';
+        if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+        document.dispatchEvent(new Event('pageTransitionComplete'));
+      }
+    });
+
+    // Delegated so rendered links are covered and link handlers (such as the
+    // language switch) have updated the href by the time we read it
+    document.addEventListener('click', event => {
+      const link = event.target.closest ? event.target.closest('a[href]') : null;
+      if (!link || !shouldTransition(link, event)) return;
+
+      event.preventDefault();
+      const href = link.href;
+
+      gsap.to(overlay, {
+        opacity: 1,
+        duration: timing.leave,
+        ease: 'power2.inOut',
+        onStart: () => {
+          overlay.style.display = 'block';
+        },
+        onComplete: () => {
+          window.location.href = href;
+        }
+      });
+    });
+
+    // Pages restored from the back/forward cache would otherwise stay covered
+    window.addEventListener('pageshow', event => {
+      if (!event.persisted) return;
+      gsap.set(overlay, { opacity: 0 });
+      overlay.style.display = 'none';
+    });
+  }
+
+  /**
+   * Start the page transition and animate the page
+   */
+  function initAnimations() {
+    if (typeof gsap === 'undefined') return;
+
+    if (typeof ScrollTrigger !== 'undefined') {
+      gsap.registerPlugin(ScrollTrigger);
+    }
+
+    initPageTransition();
+    scan();
+  }
+
+  document.addEventListener('motionPolicyChange', event => {
+    if (event.detail.level === 'reduced') finishAll();
+  });
+
+  // Content rendered from the catalog and manifests opts in with the same attributes
+  ['projectCatalogRendered', 'documentGridRendered', 'projectDetailRendered', 'projectProgressRendered', 'unitInventoryRendered'].forEach(eventName => {
+    document.addEventListener(eventName, () => scan());
+  });
+
+  // Soft navigation (js/page-router.js) swapped the page content
+  document.addEventListener('pageContentReplaced', event => {
+    if (typeof gsap === 'undefined') return;
+
+    pruneDetached();
+    scan(event.detail.container);
+  });
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAnimations);
+  } else {
+    initAnimations();
+  }
+
+  // Export functions for external use
+  window.CalmaAnimations = {
+    scan,
+    animateElement,
+    registerPreset,
+    isAnimated,
+    PRESETS
+  };
+
+})();
@@ -0,0 +1,418 @@
+/**
+ * Contact Form for Calma Website
+ * Fills the project list from the catalog, validates the register-interest
+ * form inline (Saudi phone formats, Arabic-Indic digits), submits it to
+ * /api/contact with fetch and shows the result in the page language
+ */
+
+(function() {
+  'use strict';
+
+  const MESSAGES = {
+    ar: {
+      sending: 'جارٍ الإرسال...',
+      success: 'شكرًا لك! تم استلام طلبك وسيتواصل معك فريقنا قريبًا.',
+      subscribed: 'شكرًا لك! ستصلك تحديثات سير العمل في المشاريع على بريدك الإلكتروني.',
+      interestedProjects: 'المشاريع المهتم بها',
+      fields: {
+        required: 'هذا الحقل مطلوب.',
+        tooLong: 'النص أطول من الحد المسموح.',
+        email: 'يرجى إدخال بريد إلكتروني صحيح.',
+        phone: 'يرجى إدخال رقم جوال سعودي (05xxxxxxxx أو ‎+9665xxxxxxxx) أو رقم موحد (920xxxxxx).'
+      },
+      errors: {
+        validation_failed: 'يرجى التحقق من الحقول المطلوبة والمحاولة مرة أخرى.',
+        rate_limited: 'لقد أرسلت عدة طلبات خلال وقت قصير. يرجى المحاولة لاحقًا.',
+        spam_detected: 'تعذّر إرسال النموذج. يرجى تحديث الصفحة والمحاولة مرة أخرى.',
+        network: 'تعذّر الاتصال بالخادم. تحقق من اتصالك بالإنترنت وحاول مرة أخرى.',
+        default: 'حدث خطأ أثناء إرسال النموذج. يرجى المحاولة مرة أخرى.'
+      }
+    },
+    en: {
+      sending: 'Sending...',
+      success: 'Thank you! We have received your request and our team will be in touch soon.',
+      subscribed: 'Thank you! Construction updates will be sent to your email.',
+      interestedProjects: 'Interested projects',
+      fields: {
+        required: 'This field is required.',
+        tooLong: 'This text is too long.',
+        email: 'Please enter a valid email address.',
+        phone: 'Please enter a Saudi mobile number (05xxxxxxxx or +9665xxxxxxxx) or a unified number (920xxxxxx).'
+      },
+      errors: {
+        validation_failed: 'Please check the required fields and try again.',
+        rate_limited: 'You have sent several requests in a short time. Please try again later.',
+        spam_detected: 'The form could not be sent. Please refresh the page and try again.',
+        network: 'We could not reach the server. Check your connection and try again.',
+        default: 'Something went wrong while sending the form. Please try again.'
+      }
+    }
+  };
+
+  // Saudi mobile: 05xxxxxxxx, 5xxxxxxxx, +9665xxxxxxxx or 009665xxxxxxxx
+  const MOBILE_PATTERN = /^(?:\+966|00966|966|0)?(5\d{8})$/;
+  // Unified (toll) numbers such as 920006553
+  const UNIFIED_PATTERN = /^920\d{6}$/;
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  /**
+   * Convert Arabic-Indic and Eastern Arabic-Indic digits to Latin digits
+   */
+  function normalizeDigits(value) {
+    return String(value || '')
+      .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+  }
+
+  /**
+   * Normalise a Saudi phone number to +9665xxxxxxxx or 920xxxxxx;
+   * returns '' when the number is not a supported format
+   */
+  function normalizePhone(value) {
+    const compact = normalizeDigits(value).replace(/[\s\-().]/g, '');
+
+    const mobile = compact.match(MOBILE_PATTERN);
+    if (mobile) return `+966${mobile[1]}`;
+
+    return UNIFIED_PATTERN.test(compact) ? compact : '';
+  }
+
+  /**
+   * Get the inline message for a field error code
+   */
+  function getFieldMessage(field, code, locale) {
+    const messages = MESSAGES[locale].fields;
+
+    if (code === 'required') return messages.required;
+    if (code === 'too_long') return messages.tooLong;
+    return messages[field] || messages.required;
+  }
+
+  /**
+   * Get the localised message for an API error code
+   */
+  function getErrorMessage(code, locale) {
+    const errors = MESSAGES[locale].errors;
+    return errors[code] || errors.default;
+  }
+
+  /**
+   * List the controls the visitor fills in: no hidden, submit or honeypot fields
+   */
+  function getFieldControls(form) {
+    return Array.from(form.elements).filter(control => (
+      control.name &&
+      control.type !== 'hidden' &&
+      control.type !== 'submit' &&
+      !control.closest('.form-honeypot')
+    ));
+  }
+
+  /**
+   * Validate the form controls; returns a { field: code } map
+   */
+  function validateForm(form) {
+    const errors = {};
+
+    getFieldControls(form).forEach(control => {
+      const value = String(control.value || '').trim();
+      const maxLength = Number(control.getAttribute('maxlength'));
+
+      if (control.required && !value) {
+        errors[control.name] = 'required';
+      } else if (maxLength && value.length > maxLength) {
+        errors[control.name] = 'too_long';
+      } else if (value && control.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        errors[control.name] = 'invalid';
+      } else if (value && control.type === 'tel' && !normalizePhone(value)) {
+        errors[control.name] = 'invalid';
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get (or create) the inline error element for a control. The control is
+   * moved into a .form-field wrapper together with its message
+   */
+  function getErrorElement(control) {
+    const id = `${control.id || control.name}-error`;
+    let element = document.getElementById(id);
+
+    if (!element) {
+      const field = document.createElement('div');
+      field.className = 'form-field';
+      control.parentNode.insertBefore(field, control);
+      field.appendChild(control);
+
+      element = document.createElement('div');
+      element.id = id;
+      element.className = 'form-field-error';
+      element.hidden = true;
+      field.appendChild(element);
+    }
+
+    return element;
+  }
+
+  /**
+   * Wrap controls in their .form-field up front, so the fields keep their
+   * place in the row when the first error appears
+   */
+  function prepareFields(controls) {
+    controls.forEach(getErrorElement);
+  }
+
+  /**
+   * Show or clear the inline error for one control
+   */
+  function setFieldError(control, code, locale) {
+    const element = getErrorElement(control);
+    const invalid = Boolean(code);
+
+    control.classList.toggle('is-invalid', invalid);
+    element.hidden = !invalid;
+    element.textContent = invalid ? getFieldMessage(control.name, code, locale) : '';
+
+    if (invalid) {
+      control.setAttribute('aria-invalid', 'true');
+      control.setAttribute('aria-describedby', element.id);
+    } else {
+      control.removeAttribute('aria-invalid');
+      control.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * Show the errors for every named control; controls without an error are cleared
+   */
+  function showFieldErrors(form, errors, locale) {
+    getFieldControls(form).forEach(control => {
+      setFieldError(control, errors && errors[control.name], locale);
+    });
+  }
+
+  /**
+   * Collect the form fields plus the page context into a plain object
+   */
+  function getPayload(form, locale) {
+    const payload = {};
+
+    new FormData(form).forEach((value, key) => {
+      payload[key] = typeof value === 'string' ? value : '';
+    });
+
+    if (payload.phone) payload.phone = normalizePhone(payload.phone) || payload.phone;
+    payload.locale = locale;
+    payload.page = window.location.pathname;
+
+    return payload;
+  }
+
+  /**
+   * POST the payload and resolve with { ok, status, error? }
+   */
+  function submitContactForm(url, payload) {
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      credentials: 'same-origin',
+      body: JSON.stringify(payload)
+    })
+      .then(response => response.json()
+        .catch(() => ({}))
+        .then(data => ({
+          ok: response.ok && data.ok !== false,
+          status: response.status,
+          id: data.id,
+          error: data.error || (response.ok ? null : { code: 'default' })
+        })))
+      .catch(() => ({ ok: false, status: 0, error: { code: 'network' } }));
+  }
+
+  /**
+   * Fill the "Interested Project" select from the catalog and preselect
+   * the project passed as ?project=HT210 (code or id)
+   */
+  function populateProjects(select, locale) {
+    if (typeof ProjectCatalog === 'undefined') return Promise.resolve();
+
+    const requested = new URLSearchParams(window.location.search).get('project');
+
+    return Promise.all([ProjectCatalog.getProjects(), requested ? ProjectCatalog.findProject(requested) : null])
+      .then(([projects, selected]) => {
+        const placeholder = select.options[0];
+        select.innerHTML = '';
+        if (placeholder) select.appendChild(placeholder);
+
+        projects.forEach(project => {
+          const option = document.createElement('option');
+          option.value = project.code || project.id;
+          option.textContent = ProjectCatalog.getProjectHeading(project, locale);
+          select.appendChild(option);
+        });
+
+        if (selected) select.value = selected.code || selected.id;
+      })
+      .catch(error => {
+        console.warn('Project options could not be loaded:', error);
+      });
+  }
+
+  /**
+   * Fill the hidden "projects" field from a shortlist sent as
+   * ?projects=YS190,NR160 (js/project-shortlist.js) and list the projects
+   * in the form
+   */
+  function populateShortlist(form, locale) {
+    const field = form.elements.projects;
+    const summary = form.querySelector('[data-shortlist-summary]');
+    const requested = (new URLSearchParams(window.location.search).get('projects') || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    if (!field || requested.length === 0 || typeof ProjectCatalog === 'undefined') return Promise.resolve();
+
+    return Promise.all(requested.map(key => ProjectCatalog.findProject(key)))
+      .then(found => {
+        const projects = found.filter((project, index) => project && found.indexOf(project) === index);
+        if (projects.length === 0) return;
+
+        field.value = projects.map(project => project.code || project.id).join(',');
+
+        if (summary) {
+          const headings = projects.map(project => ProjectCatalog.getProjectHeading(project, locale));
+          summary.textContent = `${MESSAGES[locale].interestedProjects}: ${headings.join(locale === 'ar' ? '، ' : ', ')}`;
+          summary.hidden = false;
+        }
+      })
+      .catch(error => {
+        console.warn('Shortlisted projects could not be loaded:', error);
+      });
+  }
+
+  function setMessage(block, text) {
+    if (!block) return;
+
+    const target = block.querySelector('div') || block;
+    target.textContent = text;
+  }
+
+  /**
+   * Wire one contact form
+   */
+  function setupContactForm(form) {
+    const locale = ProjectCatalog.getLocale();
+    const messages = MESSAGES[locale];
+    const wrapper = form.closest('.w-form') || form.parentElement;
+    const done = wrapper.querySelector('.w-form-done');
+    const fail = wrapper.querySelector('.w-form-fail');
+    const submit = form.querySelector('[type="submit"]');
+    const submitLabel = submit ? submit.value : '';
+    const started = form.querySelector('[name="_started"]');
+
+    // Inline messages replace the browser's validation bubbles
+    form.noValidate = true;
+    prepareFields(getFieldControls(form));
+
+    if (started) started.value = String(Date.now());
+    if (done) done.setAttribute('role', 'status');
+    if (fail) fail.setAttribute('role', 'alert');
+    // The updates form lists the ongoing projects only (js/project-progress.js)
+    const projectSelect = form.elements.project;
+    if (projectSelect && !projectSelect.hasAttribute('data-progress-projects')) {
+      populateProjects(projectSelect, locale);
+    }
+    populateShortlist(form, locale);
+
+    // Re-check a field once the visitor leaves it or corrects it
+    form.addEventListener('focusout', event => {
+      const control = event.target;
+      if (!control.name || !form.contains(control) || control.closest('.form-honeypot')) return;
+      if (control.type === 'hidden' || control.type === 'submit') return;
+      if (!control.value && !control.classList.contains('is-invalid')) return;
+
+      setFieldError(control, validateForm(form)[control.name], locale);
+    });
+    form.addEventListener('input', event => {
+      if (event.target.classList.contains('is-invalid')) {
+        setFieldError(event.target, validateForm(form)[event.target.name], locale);
+      }
+    });
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (form.getAttribute('aria-busy') === 'true') return;
+
+      const errors = validateForm(form);
+      showFieldErrors(form, errors, locale);
+
+      const invalidFields = Object.keys(errors);
+      if (invalidFields.length > 0) {
+        form.elements[invalidFields[0]].focus();
+        return;
+      }
+
+      form.setAttribute('aria-busy', 'true');
+      if (submit) submit.value = messages.sending;
+      if (fail) fail.style.display = 'none';
+
+      const payload = getPayload(form, locale);
+
+      submitContactForm(form.action, payload).then(result => {
+        form.removeAttribute('aria-busy');
+        if (submit) submit.value = submitLabel;
+
+        if (result.ok) {
+          setMessage(done, payload.intent === 'updates' ? messages.subscribed : messages.success);
+          form.style.display = 'none';
+          if (done) done.style.display = 'block';
+        } else {
+          showFieldErrors(form, result.error.fields, locale);
+          setMessage(fail, getErrorMessage(result.error.code, locale));
+          if (fail) fail.style.display = 'block';
+        }
+
+        document.dispatchEvent(new CustomEvent('contactFormSubmitted', {
+          detail: { form, ok: result.ok, status: result.status, error: result.error, locale }
+        }));
+      });
+    });
+  }
+
+  /**
+   * Set up every contact form on the page
+   */
+  function initContactForms() {
+    document.querySelectorAll('form[data-contact-form]').forEach(setupContactForm);
+  }
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initContactForms);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initContactForms);
+  } else {
+    initContactForms();
+  }
+
+  // Export functions for external use
+  window.ContactForm = {
+    submitContactForm,
+    validateForm,
+    prepareFields,
+    setFieldError,
+    normalizePhone,
+    normalizeDigits,
+    getErrorMessage
+  };
+
+})();
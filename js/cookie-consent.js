@@ -0,0 +1,417 @@
+/**
+ * Cookie Consent for Calma Website
+ * Asks for consent before anything beyond the necessary storage runs. Scripts
+ * that need consent are written as
+ *
+ *   <script type="text/plain" data-consent="analytics" data-src="..."></script>
+ *
+ * (data-type="module" for inline modules) and only start once the visitor
+ * allows their category. The choice is kept in localStorage together with
+ * POLICY_VERSION, so raising the version asks everyone again. Elements with
+ * data-cookie-preferences reopen the preferences dialog.
+ *
+ * Events on document:
+ *   cookieConsentChange  the visitor saved a choice ({ consent, previous })
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'calma-consent';
+
+  // Raise when cookie-policy.html changes what is collected
+  const POLICY_VERSION = 1;
+
+  // Necessary storage (language, motion and this choice) is always allowed
+  const CATEGORIES = ['necessary', 'analytics'];
+  const OPTIONAL_CATEGORIES = CATEGORIES.filter(category => category !== 'necessary');
+
+  const LABELS = {
+    ar: {
+      banner: 'ملفات تعريف الارتباط',
+      bannerText: 'نستخدم ملفات ضرورية لتشغيل الموقع، ونودّ بموافقتك استخدام أدوات تحليلية لفهم الزيارات وتحسين سرعة الصفحات.',
+      policy: 'سياسة ملفات تعريف الارتباط',
+      acceptAll: 'قبول الكل',
+      rejectAll: 'الضرورية فقط',
+      preferences: 'التفضيلات',
+      dialog: 'تفضيلات ملفات تعريف الارتباط',
+      dialogText: 'اختر الفئات التي تسمح بها. يمكنك تغيير اختيارك في أي وقت من رابط إعدادات ملفات تعريف الارتباط أسفل الصفحة.',
+      save: 'حفظ الاختيارات',
+      close: 'إغلاق',
+      alwaysOn: 'مفعّلة دائمًا',
+      necessary: 'ضرورية',
+      necessaryText: 'لازمة لعمل الموقع وتحفظ اختياراتك للغة والحركة وملفات تعريف الارتباط.',
+      analytics: 'تحليلية',
+      analyticsText: 'تساعدنا Vercel Web Analytics وSpeed Insights على معرفة الصفحات الأكثر زيارة وقياس سرعة الموقع، دون تحديد هويتك.'
+    },
+    en: {
+      banner: 'Cookies',
+      bannerText: 'We use necessary storage to run the site and, with your consent, analytics to understand visits and keep pages fast.',
+      policy: 'Cookie policy',
+      acceptAll: 'Accept all',
+      rejectAll: 'Necessary only',
+      preferences: 'Preferences',
+      dialog: 'Cookie preferences',
+      dialogText: 'Choose which categories you allow. You can change your choice at any time from the cookie settings link at the bottom of the page.',
+      save: 'Save choices',
+      close: 'Close',
+      alwaysOn: 'Always on',
+      necessary: 'Necessary',
+      necessaryText: 'Needed for the site to work. Remembers your language, motion and cookie choices.',
+      analytics: 'Analytics',
+      analyticsText: 'Vercel Web Analytics and Speed Insights tell us which pages are visited and how fast they load, without identifying you.'
+    }
+  };
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const siteRoot = new URL('../', scriptSrc);
+
+  // Used when storage is unavailable so the choice still holds on this page
+  let sessionConsent = null;
+  let banner = null;
+  let dialog = null;
+  let returnFocus = null;
+
+  function getPolicyUrl(locale) {
+    return new URL(locale === 'en' ? 'en/cookie-policy.html' : 'cookie-policy.html', siteRoot).href;
+  }
+
+  /**
+   * Get the saved choice, or null when the visitor has not chosen yet or
+   * chose under an older policy
+   */
+  function getConsent() {
+    let stored = sessionConsent;
+
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw) stored = JSON.parse(raw);
+    } catch (error) {
+      // Storage can be unavailable in private browsing
+    }
+
+    if (!stored || stored.version !== POLICY_VERSION) return null;
+    return stored;
+  }
+
+  /**
+   * Check whether a category may run ('necessary' always may)
+   */
+  function hasConsent(category) {
+    if (category === 'necessary') return true;
+
+    const consent = getConsent();
+    return Boolean(consent && consent.categories && consent.categories[category]);
+  }
+
+  /**
+   * Save a choice, e.g. { analytics: true }, and start the scripts it allows
+   */
+  function setConsent(choices) {
+    const previous = getConsent();
+    const categories = { necessary: true };
+
+    OPTIONAL_CATEGORIES.forEach(category => {
+      categories[category] = Boolean(choices && choices[category]);
+    });
+
+    const consent = {
+      version: POLICY_VERSION,
+      categories,
+      updatedAt: new Date().toISOString()
+    };
+
+    sessionConsent = consent;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+    } catch (error) {
+      // The choice still applies to this page
+    }
+
+    hideBanner();
+    markPreferenceLinks();
+
+    document.dispatchEvent(new CustomEvent('cookieConsentChange', {
+      detail: { consent, previous }
+    }));
+
+    // Scripts that already ran cannot be unloaded, so withdrawing consent reloads the page
+    const withdrawn = OPTIONAL_CATEGORIES.some(category => (
+      !categories[category] && document.querySelector(`script[data-consent-loaded="${category}"]`)
+    ));
+
+    if (withdrawn) {
+      window.location.reload();
+      return consent;
+    }
+
+    loadConsentedScripts();
+    return consent;
+  }
+
+  /**
+   * Swap the placeholders of allowed categories for real scripts, in document order
+   */
+  function loadConsentedScripts() {
+    document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(placeholder => {
+      const category = placeholder.getAttribute('data-consent');
+      if (!hasConsent(category)) return;
+
+      const script = document.createElement('script');
+      const src = placeholder.getAttribute('data-src');
+
+      if (placeholder.getAttribute('data-type')) script.type = placeholder.getAttribute('data-type');
+      if (src) {
+        script.src = src;
+      } else {
+        script.textContent = placeholder.textContent;
+      }
+      script.setAttribute('data-consent-loaded', category);
+
+      placeholder.replaceWith(script);
+    });
+  }
+
+  /* ===== BANNER ===== */
+
+  function createBanner() {
+    const locale = ProjectCatalog.getLocale();
+    const labels = LABELS[locale];
+    const element = document.createElement('section');
+
+    element.className = 'cookie-consent';
+    element.hidden = true;
+    element.setAttribute('aria-label', labels.banner);
+    element.setAttribute('dir', locale === 'ar' ? 'rtl' : 'ltr');
+    element.setAttribute('lang', locale);
+    element.innerHTML = `
+      <p class="cookie-consent-text">
+        ${labels.bannerText}
+        <a href="${getPolicyUrl(locale)}" class="cookie-consent-link">${labels.policy}</a>
+      </p>
+      <div class="cookie-consent-actions">
+        <button type="button" class="button dark" data-consent-accept>${labels.acceptAll}</button>
+        <button type="button" class="button dark" data-consent-reject>${labels.rejectAll}</button>
+        <button type="button" class="button dark" data-cookie-preferences>${labels.preferences}</button>
+      </div>`;
+
+    element.querySelector('[data-consent-accept]').addEventListener('click', acceptAll);
+    element.querySelector('[data-consent-reject]').addEventListener('click', rejectAll);
+
+    document.body.appendChild(element);
+    return element;
+  }
+
+  function showBanner() {
+    if (!banner) banner = createBanner();
+    banner.hidden = false;
+  }
+
+  function hideBanner() {
+    if (banner) banner.hidden = true;
+  }
+
+  function acceptAll() {
+    const choices = {};
+    OPTIONAL_CATEGORIES.forEach(category => {
+      choices[category] = true;
+    });
+    return setConsent(choices);
+  }
+
+  function rejectAll() {
+    return setConsent({});
+  }
+
+  /* ===== PREFERENCES ===== */
+
+  /**
+   * Build the preferences dialog once; like the banner it lives outside
+   * #scroll-container so soft navigation leaves it alone
+   */
+  function createDialog() {
+    const locale = ProjectCatalog.getLocale();
+    const labels = LABELS[locale];
+    const element = document.createElement('div');
+
+    const categories = CATEGORIES.map(category => {
+      const necessary = category === 'necessary';
+      return `
+        <div class="cookie-preferences-category">
+          <label class="cookie-preferences-label">
+            <input type="checkbox" class="cookie-preferences-checkbox" data-consent-category="${category}"${necessary ? ' checked disabled' : ''}>
+            <span class="cookie-preferences-name">${labels[category]}</span>
+            ${necessary ? `<span class="cookie-preferences-note">${labels.alwaysOn}</span>` : ''}
+          </label>
+          <p class="cookie-preferences-text">${labels[`${category}Text`]}</p>
+        </div>`;
+    }).join('');
+
+    element.className = 'cookie-preferences';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-labelledby', 'cookie-preferences-title');
+    element.setAttribute('dir', locale === 'ar' ? 'rtl' : 'ltr');
+    element.setAttribute('lang', locale);
+    element.innerHTML = `
+      <div class="cookie-preferences-panel">
+        <button type="button" class="cookie-preferences-close" data-consent-close aria-label="${labels.close}">&times;</button>
+        <h2 id="cookie-preferences-title" class="cookie-preferences-title">${labels.dialog}</h2>
+        <p class="cookie-preferences-text">
+          ${labels.dialogText}
+          <a href="${getPolicyUrl(locale)}" class="cookie-consent-link">${labels.policy}</a>
+        </p>
+        ${categories}
+        <div class="cookie-consent-actions">
+          <button type="button" class="button dark" data-consent-save>${labels.save}</button>
+          <button type="button" class="button dark" data-consent-accept>${labels.acceptAll}</button>
+          <button type="button" class="button dark" data-consent-reject>${labels.rejectAll}</button>
+        </div>
+      </div>`;
+
+    element.querySelector('[data-consent-close]').addEventListener('click', closePreferences);
+    element.querySelector('[data-consent-save]').addEventListener('click', () => {
+      const choices = {};
+      element.querySelectorAll('[data-consent-category]').forEach(checkbox => {
+        choices[checkbox.getAttribute('data-consent-category')] = checkbox.checked;
+      });
+      setConsent(choices);
+      closePreferences();
+    });
+    element.querySelector('[data-consent-accept]').addEventListener('click', () => {
+      acceptAll();
+      closePreferences();
+    });
+    element.querySelector('[data-consent-reject]').addEventListener('click', () => {
+      rejectAll();
+      closePreferences();
+    });
+
+    // Clicking the backdrop closes without saving
+    element.addEventListener('click', event => {
+      if (event.target === element) closePreferences();
+    });
+    element.addEventListener('keydown', onDialogKeydown);
+
+    document.body.appendChild(element);
+    return element;
+  }
+
+  function isPreferencesOpen() {
+    return Boolean(dialog && !dialog.hidden);
+  }
+
+  /**
+   * Open the preferences dialog with the current choice ticked
+   */
+  function openPreferences() {
+    if (!dialog) dialog = createDialog();
+
+    dialog.querySelectorAll('[data-consent-category]').forEach(checkbox => {
+      checkbox.checked = hasConsent(checkbox.getAttribute('data-consent-category'));
+    });
+
+    if (!isPreferencesOpen()) {
+      returnFocus = document.activeElement;
+      dialog.hidden = false;
+      if (window.ScrollManager) ScrollManager.lock();
+    }
+
+    dialog.querySelector('[data-consent-close]').focus();
+  }
+
+  function closePreferences() {
+    if (!isPreferencesOpen()) return;
+
+    dialog.hidden = true;
+    if (window.ScrollManager) ScrollManager.unlock();
+
+    if (returnFocus && typeof returnFocus.focus === 'function' && document.contains(returnFocus)) {
+      returnFocus.focus({ preventScroll: true });
+    }
+    returnFocus = null;
+  }
+
+  function onDialogKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closePreferences();
+    } else if (event.key === 'Tab') {
+      trapFocus(event);
+    }
+  }
+
+  function trapFocus(event) {
+    const focusable = Array.from(dialog.querySelectorAll('button, a[href], input:not([disabled])'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /* ===== FOOTER LINKS ===== */
+
+  /**
+   * Tell assistive technology that the cookie settings links open a dialog
+   */
+  function markPreferenceLinks() {
+    document.querySelectorAll('[data-cookie-preferences]').forEach(toggle => {
+      toggle.setAttribute('aria-haspopup', 'dialog');
+    });
+  }
+
+  /**
+   * One delegated listener covers the footer links, which soft navigation
+   * replaces, and the banner button
+   */
+  function onDocumentClick(event) {
+    const trigger = event.target.closest && event.target.closest('[data-cookie-preferences]');
+    if (!trigger) return;
+
+    event.preventDefault();
+    openPreferences();
+  }
+
+  /**
+   * Start the consent manager
+   */
+  function initCookieConsent() {
+    document.addEventListener('click', onDocumentClick);
+    markPreferenceLinks();
+
+    if (getConsent()) {
+      loadConsentedScripts();
+    } else {
+      showBanner();
+    }
+  }
+
+  // The footer is part of the content swapped by js/page-router.js
+  document.addEventListener('pageContentReplaced', markPreferenceLinks);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initCookieConsent);
+  } else {
+    initCookieConsent();
+  }
+
+  // Export functions for external use
+  window.CookieConsent = {
+    getConsent,
+    hasConsent,
+    setConsent,
+    acceptAll,
+    rejectAll,
+    openPreferences,
+    closePreferences
+  };
+
+})();
@@ -0,0 +1,329 @@
+/**
+ * Downloads Center for Calma Website
+ * Renders the brochure, floorplan, factsheet and report grids from the
+ * document manifest in data/documents.json
+ */
+
+(function() {
+  'use strict';
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const manifestUrl = new URL('../data/documents.json', scriptSrc).href;
+
+  const DOCUMENT_LABELS = {
+    brochure: { ar: 'تحميل الكتيب', en: 'Download Brochure' },
+    floorplan: { ar: 'تحميل المخططات', en: 'Download Floorplans' },
+    factsheet: { ar: 'تحميل النشرة', en: 'Download Factsheet' },
+    report: { ar: 'تحميل التقرير', en: 'Download Report' }
+  };
+
+  const UI_LABELS = {
+    ar: {
+      updated: 'آخر تحديث',
+      otherLanguage: 'باللغة الإنجليزية',
+      empty: 'لا توجد ملفات متاحة حاليًا.',
+      unavailable: 'غير متاح حاليًا',
+      viewFloorplans: 'عرض المخططات',
+      sizeUnits: ['بايت', 'ك.ب', 'م.ب']
+    },
+    en: {
+      updated: 'Updated',
+      otherLanguage: 'Arabic version',
+      empty: 'No documents are available yet.',
+      unavailable: 'Not available yet',
+      viewFloorplans: 'View Floorplans',
+      sizeUnits: ['B', 'KB', 'MB']
+    }
+  };
+
+  let manifestPromise = null;
+
+  /**
+   * Fetch the document manifest once
+   */
+  function loadManifest() {
+    if (!manifestPromise) {
+      manifestPromise = fetch(manifestUrl, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Document manifest request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          manifestPromise = null;
+          throw error;
+        });
+    }
+
+    return manifestPromise;
+  }
+
+  /**
+   * Check whether a manifest entry has its file on disk; `npm run documents`
+   * leaves size null for files that are listed but not uploaded yet
+   */
+  function isAvailable(doc) {
+    return Boolean(doc) && typeof doc.size === 'number';
+  }
+
+  /**
+   * Pick the best file for a project and type: an uploaded file in the page
+   * language first, then in the other language. Without an uploaded file
+   * the listed one is returned so the card can show it as unavailable
+   */
+  function pickDocument(documents, projectId, type, locale) {
+    const candidates = documents.filter(doc => doc.project === projectId && doc.type === type);
+    const uploaded = candidates.filter(isAvailable);
+    const pool = uploaded.length ? uploaded : candidates;
+
+    return pool.find(doc => doc.lang === locale) || pool[0] || null;
+  }
+
+  /**
+   * Find the document for a project and type in the given language
+   */
+  function findDocument(projectId, type, locale) {
+    return loadManifest().then(manifest => pickDocument(manifest.documents, projectId, type, locale));
+  }
+
+  /**
+   * Format a byte count as "2.4 MB"
+   */
+  function formatFileSize(bytes, locale) {
+    if (typeof bytes !== 'number' || bytes <= 0) return '';
+
+    const units = UI_LABELS[locale].sizeUnits;
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit += 1;
+    }
+
+    const number = new Intl.NumberFormat(locale === 'ar' ? 'ar-SA' : 'en-GB', {
+      maximumFractionDigits: unit === 0 ? 0 : 1
+    }).format(value);
+
+    return `${number} ${units[unit]}`;
+  }
+
+  /**
+   * Format an ISO date (YYYY-MM-DD) for the badge
+   */
+  function formatDate(isoDate, locale) {
+    if (!isoDate) return '';
+
+    const date = new Date(`${isoDate}T00:00:00`);
+    if (isNaN(date.getTime())) return '';
+
+    return new Intl.DateTimeFormat(locale === 'ar' ? 'ar-SA-u-ca-gregory' : 'en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    }).format(date);
+  }
+
+  /**
+   * Build the "PDF · 2.4 MB · Updated 12 Aug 2025" badge text
+   */
+  function getBadgeText(doc, locale) {
+    const labels = UI_LABELS[locale];
+    const extension = (doc.file.split('.').pop() || '').toUpperCase();
+
+    if (!isAvailable(doc)) return [extension, labels.unavailable].join(' · ');
+
+    const parts = [extension, formatFileSize(doc.size, locale)];
+
+    if (doc.updated) parts.push(`${labels.updated} ${formatDate(doc.updated, locale)}`);
+    if (doc.lang !== locale) parts.push(labels.otherLanguage);
+
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Merge the catalog entry with any card overrides from the manifest
+   */
+  function getCardProject(projectId, catalog, manifest) {
+    const catalogProject = catalog ? catalog.projects.find(project => project.id === projectId) : null;
+    const override = (manifest.projects || {})[projectId] || {};
+
+    if (!catalogProject && !override.name) return null;
+
+    return {
+      id: projectId,
+      inCatalog: Boolean(catalogProject),
+      name: override.name || catalogProject.name,
+      category: override.category || catalogProject.category,
+      image: override.image || (catalogProject.images || [])[0] || null
+    };
+  }
+
+  /**
+   * Get the floorplan description file of a project, if it has one
+   */
+  function getFloorplanFile(manifest, projectId) {
+    return (manifest.floorplans || {})[projectId] || null;
+  }
+
+  /**
+   * Render the download link, or a disabled button while the file is not
+   * uploaded so visitors never download an error page
+   */
+  function renderDownload(project, doc, type, locale) {
+    const escape = ProjectCatalog.escapeHtml;
+    const label = DOCUMENT_LABELS[type][locale];
+
+    if (!isAvailable(doc)) {
+      return `<button type="button" disabled class="project-button document-unavailable w-button">${label}</button>`;
+    }
+
+    return `<a href="${escape(ProjectCatalog.resolveAsset(doc.file))}" download data-document-type="${escape(type)}" data-document-lang="${escape(doc.lang)}" data-document-size="${doc.size}" data-project-id="${escape(project.id)}" class="project-button w-button">${label}</a>`;
+  }
+
+  /**
+   * Render one project card in the existing project-grid markup. Floorplan
+   * cards of projects with a description file also open the viewer
+   */
+  function renderCard(project, doc, type, locale, hasViewer) {
+    const escape = ProjectCatalog.escapeHtml;
+    const name = ProjectCatalog.localize(project.name, locale);
+    const nameHtml = project.inCatalog
+      ? `<a href="${escape(ProjectCatalog.getProjectUrl(project, locale))}" class="page-link w-inline-block"><h3 class="project-grid-name" data-animate="words-up" data-split="words">${escape(name)}</h3></a>`
+      : `<h3 class="project-grid-name" data-animate="words-up" data-split="words">${escape(name)}</h3>`;
+
+    return `
+      <div id="document-${escape(project.id)}" data-project-id="${escape(project.id)}" class="project-grid-main-wrapper">
+        <div class="grid-image-wrapper" data-animate="rise">${project.image ? ProjectCatalog.renderImage(project.image, name) : ''}</div>
+        <div class="project-grid-details-wrapper">
+          ${nameHtml}
+          ${hasViewer ? `<button type="button" data-floorplan-open="${escape(project.id)}" class="project-button w-button">${UI_LABELS[locale].viewFloorplans}</button>` : ''}
+          ${renderDownload(project, doc, type, locale)}
+        </div>
+        <div class="document-badge">${escape(getBadgeText(doc, locale))}</div>
+      </div>`;
+  }
+
+  /**
+   * Render the residential and commercial grids for one document type
+   */
+  function renderDocumentGrids(root, manifest, catalog, locale) {
+    const type = root.getAttribute('data-document-center');
+    const projectIds = manifest.documents
+      .filter(doc => doc.type === type)
+      .map(doc => doc.project)
+      .filter((id, index, ids) => ids.indexOf(id) === index);
+
+    root.querySelectorAll('[data-document-grid]').forEach(grid => {
+      const category = grid.getAttribute('data-document-grid');
+      const cards = projectIds
+        .map(id => getCardProject(id, catalog, manifest))
+        .filter(project => {
+          if (!project) return false;
+          return project.category === category;
+        })
+        .map(project => {
+          const doc = pickDocument(manifest.documents, project.id, type, locale);
+          const hasViewer = type === 'floorplan' && Boolean(getFloorplanFile(manifest, project.id));
+
+          return renderCard(project, doc, type, locale, hasViewer);
+        });
+
+      grid.innerHTML = cards.length
+        ? cards.join('')
+        : `<p class="paragraph dark center">${UI_LABELS[locale].empty}</p>`;
+    });
+  }
+
+  /**
+   * Switch the Webflow tabs to the pane that holds a given project
+   */
+  function focusRequestedProject(root) {
+    const params = new URLSearchParams(window.location.search);
+    const requestedTab = params.get('tab');
+    const projectId = (params.get('project') || '').toLowerCase();
+    const card = Array.from(root.querySelectorAll('.project-grid-main-wrapper'))
+      .find(element => element.getAttribute('data-project-id') === projectId);
+
+    let pane = card ? card.closest('.w-tab-pane') : null;
+    if (!pane && requestedTab) {
+      const grid = Array.from(root.querySelectorAll('[data-document-grid]'))
+        .find(element => element.getAttribute('data-document-grid') === requestedTab);
+      pane = grid ? grid.closest('.w-tab-pane') : null;
+    }
+    if (!pane) return;
+
+    const tabLink = root.querySelector(`.w-tab-link[data-w-tab="${pane.getAttribute('data-w-tab')}"]`);
+    if (tabLink && !tabLink.classList.contains('w--current')) {
+      tabLink.click();
+    }
+
+    if (card) {
+      card.classList.add('is-highlighted');
+
+      if (window.ScrollManager) {
+        // Center the card in the viewport
+        ScrollManager.scrollTo(card, { offset: -(window.innerHeight - card.offsetHeight) / 2 });
+      } else {
+        const reduced = window.MotionPolicy && MotionPolicy.isReduced();
+        card.scrollIntoView({ behavior: reduced ? 'auto' : 'smooth', block: 'center' });
+      }
+    }
+  }
+
+  /**
+   * Load the manifest and catalog, then render every downloads grid
+   */
+  function initDownloadsCenter() {
+    const roots = document.querySelectorAll('[data-document-center]');
+    if (roots.length === 0 || typeof ProjectCatalog === 'undefined') return;
+
+    const locale = ProjectCatalog.getLocale();
+    const catalogRequest = ProjectCatalog.loadCatalog().catch(() => null);
+
+    Promise.all([loadManifest(), catalogRequest])
+      .then(([manifest, catalog]) => {
+        roots.forEach(root => {
+          if (!root.querySelector('[data-document-grid]')) return;
+
+          renderDocumentGrids(root, manifest, catalog, locale);
+          focusRequestedProject(root);
+        });
+
+        if (typeof ScrollTrigger !== 'undefined') {
+          ScrollTrigger.refresh();
+        }
+
+        document.dispatchEvent(new CustomEvent('documentGridRendered', {
+          detail: { manifest, locale }
+        }));
+      })
+      .catch(error => {
+        console.warn('Downloads could not be rendered:', error);
+      });
+  }
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initDownloadsCenter);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDownloadsCenter);
+  } else {
+    initDownloadsCenter();
+  }
+
+  // Export functions for external use
+  window.DownloadsCenter = {
+    loadManifest,
+    findDocument,
+    isAvailable,
+    getFloorplanFile,
+    formatFileSize,
+    formatDate,
+    getBadgeText,
+    DOCUMENT_LABELS
+  };
+
+})();
@@ -0,0 +1,440 @@
+/**
+ * Financing Calculator for Calma Website
+ * Monthly installment calculator on the financing options pages: property
+ * price (typed in or taken from a project's unit type), down payment, term,
+ * profit rate and optional housing support, with the monthly installment,
+ * total cost and the full repayment schedule, which can be exported as CSV
+ * or printed.
+ *
+ * Rate presets, housing support options and unit prices live in
+ * data/financing.json. Presets use either a reducing balance ("reducing",
+ * a standard amortizing loan) or a flat profit on the financed amount
+ * ("flat", common for developer installment plans).
+ */
+
+(function() {
+  'use strict';
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const configUrl = new URL('../data/financing.json', scriptSrc).href;
+
+  const LABELS = {
+    ar: {
+      empty: 'أدخل سعر العقار ومدة التمويل لحساب القسط.',
+      minDownPayment: (percent, amount) => `الحد الأدنى للدفعة الأولى في هذا النوع من التمويل ${percent}٪ (${amount}).`,
+      maxTerm: years => `أقصى مدة لهذا النوع من التمويل ${years} سنة.`,
+      fullyCovered: 'الدفعة الأولى والدعم يغطيان سعر العقار بالكامل، فلا حاجة إلى تمويل.',
+      downPercent: percent => `${percent}٪ من سعر العقار`,
+      csvFile: 'جدول-الأقساط-كالما.csv'
+    },
+    en: {
+      empty: 'Enter the property price and term to calculate the installment.',
+      minDownPayment: (percent, amount) => `This finance type needs a down payment of at least ${percent}% (${amount}).`,
+      maxTerm: years => `The longest term for this finance type is ${years} years.`,
+      fullyCovered: 'The down payment and support cover the full price, so no finance is needed.',
+      downPercent: percent => `${percent}% of the property price`,
+      csvFile: 'calma-installment-schedule.csv'
+    }
+  };
+
+  let configPromise = null;
+
+  function getLocale() {
+    if (window.ProjectCatalog) return ProjectCatalog.getLocale();
+    return /\/en\//.test(window.location.pathname) ? 'en' : 'ar';
+  }
+
+  /**
+   * Fetch the financing presets once
+   */
+  function loadConfig() {
+    if (!configPromise) {
+      configPromise = fetch(configUrl, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Financing config request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          configPromise = null;
+          throw error;
+        });
+    }
+
+    return configPromise;
+  }
+
+  function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Calculate the installment and repayment schedule.
+   * input: { price, downPayment, termYears, rate (annual %), method, subsidy }
+   * where subsidy is a data/financing.json entry or null
+   */
+  function calculate(input) {
+    const months = Math.round(input.termYears * 12);
+    const subsidy = input.subsidy || null;
+    const supportAmount = subsidy && subsidy.type === 'down-payment' ? subsidy.amount : 0;
+    const rateReduction = subsidy && subsidy.type === 'rate' ? subsidy.rateReduction : 0;
+    const rate = Math.max(input.rate - rateReduction, 0);
+    const financed = Math.max(input.price - input.downPayment - supportAmount, 0);
+
+    const plan = buildSchedule(financed, rate, months, input.method);
+    const unsubsidized = rateReduction > 0 ? buildSchedule(financed, input.rate, months, input.method) : plan;
+    const totalPaid = plan.schedule.reduce((sum, row) => sum + row.payment, 0);
+
+    return {
+      financed,
+      months,
+      rate,
+      monthly: plan.monthly,
+      totalProfit: roundMoney(totalPaid - financed),
+      subsidyValue: roundMoney(supportAmount + (unsubsidized.totalProfit - plan.totalProfit)),
+      totalCost: roundMoney(input.downPayment + totalPaid),
+      schedule: plan.schedule
+    };
+  }
+
+  /**
+   * Build the month-by-month schedule; the last payment absorbs rounding so
+   * the balance ends at zero
+   */
+  function buildSchedule(financed, rate, months, method) {
+    if (financed <= 0 || months <= 0) return { monthly: 0, totalProfit: 0, schedule: [] };
+
+    const monthlyRate = rate / 100 / 12;
+    let monthly;
+
+    if (method === 'flat') {
+      monthly = (financed + financed * (rate / 100) * (months / 12)) / months;
+    } else if (monthlyRate === 0) {
+      monthly = financed / months;
+    } else {
+      monthly = financed * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+    }
+    monthly = roundMoney(monthly);
+
+    const flatProfit = roundMoney(financed * (rate / 100) / 12);
+    const schedule = [];
+    let balance = financed;
+    let totalProfit = 0;
+
+    for (let month = 1; month <= months; month++) {
+      const profit = method === 'flat' ? flatProfit : roundMoney(balance * monthlyRate);
+      let principal = roundMoney(monthly - profit);
+
+      if (month === months || principal > balance) principal = roundMoney(balance);
+
+      balance = roundMoney(balance - principal);
+      totalProfit += profit;
+
+      schedule.push({ month, payment: roundMoney(principal + profit), profit, principal, balance });
+    }
+
+    return { monthly, totalProfit: roundMoney(totalProfit), schedule };
+  }
+
+  function formatMoney(value, locale, currency, fractionDigits = 0) {
+    return new Intl.NumberFormat(locale === 'ar' ? 'ar-SA' : 'en-GB', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(value);
+  }
+
+  function formatNumber(value, locale, fractionDigits = 0) {
+    return new Intl.NumberFormat(locale === 'ar' ? 'ar-SA' : 'en-GB', {
+      maximumFractionDigits: fractionDigits
+    }).format(value);
+  }
+
+  // Schedule amounts always show halalas, so the columns line up
+  function formatAmount(value, locale) {
+    return new Intl.NumberFormat(locale === 'ar' ? 'ar-SA' : 'en-GB', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(value);
+  }
+
+  /**
+   * Turn a schedule into CSV, with the table's own column headings
+   */
+  function toCsv(schedule, headings) {
+    const quote = value => /[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const rows = schedule.map(row => [row.month, row.payment.toFixed(2), row.profit.toFixed(2), row.principal.toFixed(2), row.balance.toFixed(2)]);
+
+    return [headings].concat(rows).map(row => row.map(quote).join(',')).join('\r\n');
+  }
+
+  function downloadCsv(csv, filename) {
+    // The byte order mark lets spreadsheet apps read the Arabic headings
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function readNumber(field) {
+    const value = parseFloat(field.value);
+    return isNaN(value) ? null : value;
+  }
+
+  function fillSelect(select, options, locale) {
+    options.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.id;
+      element.textContent = ProjectCatalog.localize(option.name, locale);
+      select.appendChild(element);
+    });
+  }
+
+  /**
+   * Wire up one calculator: fill the selects from the config, keep the
+   * down payment share when the price changes and recalculate on every edit
+   */
+  function setupCalculator(form, config, locale) {
+    const root = form.closest('[data-financing]') || form.parentElement;
+    const fields = form.elements;
+    const labels = LABELS[locale];
+    const unitField = form.querySelector('[data-financing-unit-field]');
+    const message = root.querySelector('[data-financing-message]');
+    const schedulePanel = root.querySelector('[data-financing-schedule]');
+    const tableBody = root.querySelector('[data-financing-schedule] tbody');
+    let downPercent = config.defaults.downPaymentPercent;
+    let result = null;
+
+    const findById = (list, id) => list.find(item => item.id === id) || null;
+    const getPreset = () => findById(config.presets, fields.preset.value) || config.presets[0];
+    const getProjectEntry = () => config.projects.find(entry => entry.project === fields.project.value) || null;
+
+    fillSelect(fields.preset, config.presets, locale);
+    fillSelect(fields.subsidy, config.subsidies, locale);
+
+    fields.preset.value = config.defaults.preset;
+    fields.price.value = config.defaults.price;
+    fields.downPayment.value = Math.round(config.defaults.price * downPercent / 100);
+    fields.termYears.value = config.defaults.termYears;
+    fields.rate.value = getPreset().rate;
+
+    // Project names come from the catalog; unknown ids fall back to the id
+    Promise.all(config.projects.map(entry => ProjectCatalog.findProject(entry.project).catch(() => null)))
+      .then(projects => {
+        config.projects.forEach((entry, index) => {
+          const option = document.createElement('option');
+          option.value = entry.project;
+          option.textContent = projects[index]
+            ? ProjectCatalog.getProjectHeading(projects[index], locale)
+            : entry.project.toUpperCase();
+          fields.project.appendChild(option);
+        });
+
+        applyRequestedUnit();
+      });
+
+    function setOutput(name, value) {
+      const output = root.querySelector(`[data-financing-output="${name}"]`);
+      if (output) output.textContent = value;
+    }
+
+    function showMessage(text) {
+      message.textContent = text || '';
+      message.hidden = !text;
+    }
+
+    function fillUnitTypes() {
+      const entry = getProjectEntry();
+
+      fields.unitType.innerHTML = '';
+      unitField.hidden = !entry;
+      if (entry) fillSelect(fields.unitType, entry.unitTypes, locale);
+    }
+
+    function applyUnitPrice() {
+      const entry = getProjectEntry();
+      const unitType = entry ? findById(entry.unitTypes, fields.unitType.value) : null;
+      if (!unitType) return;
+
+      fields.price.value = unitType.price;
+      fields.downPayment.value = Math.round(unitType.price * downPercent / 100);
+    }
+
+    /**
+     * Preselect ?project=gh220&unit=a, as linked from the project pages
+     */
+    function applyRequestedUnit() {
+      const params = new URLSearchParams(window.location.search);
+      const projectId = (params.get('project') || '').toLowerCase();
+      if (!projectId || !config.projects.some(entry => entry.project === projectId)) return;
+
+      fields.project.value = projectId;
+      fillUnitTypes();
+      if (params.get('unit')) fields.unitType.value = params.get('unit');
+      applyUnitPrice();
+      update();
+    }
+
+    function renderSchedule() {
+      if (!tableBody || !schedulePanel.open) return;
+
+      const rows = result ? result.schedule : [];
+      tableBody.innerHTML = rows.map(row => `
+        <tr>
+          <td>${formatNumber(row.month, locale)}</td>
+          <td>${formatAmount(row.payment, locale)}</td>
+          <td>${formatAmount(row.profit, locale)}</td>
+          <td>${formatAmount(row.principal, locale)}</td>
+          <td>${formatAmount(row.balance, locale)}</td>
+        </tr>`).join('');
+    }
+
+    function update() {
+      const preset = getPreset();
+      const price = readNumber(fields.price);
+      const downPayment = readNumber(fields.downPayment) || 0;
+      const termYears = readNumber(fields.termYears);
+      const rate = readNumber(fields.rate);
+
+      fields.termYears.max = preset.maxTermYears;
+
+      const downHint = root.querySelector('[data-financing-down-percent]');
+      if (downHint) downHint.textContent = price ? labels.downPercent(formatNumber(downPayment / price * 100, locale, 1)) : '';
+
+      if (!price || price <= 0 || !termYears || termYears <= 0 || rate === null || rate < 0) {
+        result = null;
+        ['monthly', 'financed', 'profit', 'subsidy', 'total'].forEach(name => setOutput(name, '—'));
+        showMessage(labels.empty);
+        renderSchedule();
+        return;
+      }
+
+      result = calculate({
+        price,
+        downPayment,
+        termYears,
+        rate,
+        method: preset.method,
+        subsidy: findById(config.subsidies, fields.subsidy.value)
+      });
+
+      const money = value => formatMoney(value, locale, config.currency);
+      setOutput('monthly', money(result.monthly));
+      setOutput('financed', money(result.financed));
+      setOutput('profit', money(result.totalProfit));
+      setOutput('subsidy', money(result.subsidyValue));
+      setOutput('total', money(result.totalCost));
+
+      const minDownPayment = price * preset.minDownPaymentPercent / 100;
+      if (result.financed === 0) {
+        showMessage(labels.fullyCovered);
+      } else if (downPayment < minDownPayment) {
+        showMessage(labels.minDownPayment(formatNumber(preset.minDownPaymentPercent, locale), money(minDownPayment)));
+      } else if (termYears > preset.maxTermYears) {
+        showMessage(labels.maxTerm(formatNumber(preset.maxTermYears, locale)));
+      } else {
+        showMessage('');
+      }
+
+      renderSchedule();
+    }
+
+    form.addEventListener('input', event => {
+      const name = event.target.name;
+
+      if (name === 'project') {
+        fillUnitTypes();
+        applyUnitPrice();
+      } else if (name === 'unitType') {
+        applyUnitPrice();
+      } else if (name === 'price') {
+        // A typed price no longer belongs to a unit type
+        fields.project.value = '';
+        fillUnitTypes();
+        const price = readNumber(fields.price);
+        if (price) fields.downPayment.value = Math.round(price * downPercent / 100);
+      } else if (name === 'downPayment') {
+        const price = readNumber(fields.price);
+        if (price) downPercent = (readNumber(fields.downPayment) || 0) / price * 100;
+      } else if (name === 'preset') {
+        const preset = getPreset();
+        fields.rate.value = preset.rate;
+        if ((readNumber(fields.termYears) || 0) > preset.maxTermYears) fields.termYears.value = preset.maxTermYears;
+      }
+
+      update();
+    });
+
+    form.addEventListener('submit', event => event.preventDefault());
+
+    schedulePanel.addEventListener('toggle', renderSchedule);
+
+    root.querySelectorAll('[data-financing-export]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (!result || result.schedule.length === 0) return;
+
+        if (button.getAttribute('data-financing-export') === 'csv') {
+          const headings = Array.from(root.querySelectorAll('[data-financing-schedule] thead th')).map(th => th.textContent.trim());
+          downloadCsv(toCsv(result.schedule, headings), labels.csvFile);
+        } else {
+          schedulePanel.open = true;
+          renderSchedule();
+          window.print();
+        }
+      });
+    });
+
+    update();
+  }
+
+  /**
+   * Set up every calculator on the page
+   */
+  function initFinancingCalculator() {
+    const forms = document.querySelectorAll('[data-financing-calculator]');
+    if (forms.length === 0 || typeof ProjectCatalog === 'undefined') return;
+
+    const locale = getLocale();
+
+    loadConfig()
+      .then(config => {
+        forms.forEach(form => {
+          if (form.hasAttribute('data-financing-ready')) return;
+          form.setAttribute('data-financing-ready', '');
+          setupCalculator(form, config, locale);
+        });
+      })
+      .catch(error => {
+        console.warn('Financing calculator could not be loaded:', error);
+      });
+  }
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initFinancingCalculator);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFinancingCalculator);
+  } else {
+    initFinancingCalculator();
+  }
+
+  // Export functions for external use
+  window.FinancingCalculator = {
+    loadConfig,
+    calculate,
+    buildSchedule,
+    toCsv,
+    formatMoney
+  };
+
+})();
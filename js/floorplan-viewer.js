@@ -0,0 +1,782 @@
+/**
+ * Floorplan Viewer for Calma Website
+ * In-page viewer on the floorplans pages: floor and unit type switchers, a
+ * plan that zooms and pans with the mouse, touch and keyboard, clickable unit
+ * hotspots with area, bedrooms, bathrooms and orientation, and a side-by-side
+ * compare of two units.
+ *
+ * Each project is described by a file listed under "floorplans" in
+ * data/documents.json (for example data/floorplans/gh220.json): unit types
+ * with their layout plan and specs, and floors with a plan image and one
+ * polygon per unit in the plan's own coordinates. Units may override the
+ * specs of their type.
+ *
+ *   floorplans.html?project=gh220&floor=first&unit=F-01
+ */
+
+(function() {
+  'use strict';
+
+  const ROOT_SELECTOR = '[data-floorplan-viewer]';
+
+  const LABELS = {
+    ar: {
+      close: 'إغلاق المخططات',
+      floors: 'الطوابق',
+      types: 'نماذج الوحدات',
+      allTypes: 'جميع النماذج',
+      stage: 'مخطط الطابق. استخدم الأسهم للتحريك و + و - للتكبير والتصغير و 0 لإعادة الضبط',
+      zoomIn: 'تكبير',
+      zoomOut: 'تصغير',
+      resetZoom: 'إعادة ضبط العرض',
+      pickUnit: 'اختر وحدة من المخطط لعرض تفاصيلها.',
+      floor: 'الطابق',
+      area: 'المساحة',
+      areaUnit: 'م²',
+      bedrooms: 'غرف النوم',
+      bathrooms: 'دورات المياه',
+      orientation: 'الواجهة',
+      compare: 'أضف إلى المقارنة',
+      compared: 'في المقارنة',
+      compareTitle: 'مقارنة الوحدات',
+      compareHint: 'اختر وحدة أخرى من المخطط لمقارنتها.',
+      remove: 'إزالة',
+      plan: 'مخطط',
+      error: 'تعذر تحميل المخططات. يرجى المحاولة لاحقًا.'
+    },
+    en: {
+      close: 'Close floorplans',
+      floors: 'Floors',
+      types: 'Unit types',
+      allTypes: 'All types',
+      stage: 'Floor plan. Use the arrow keys to pan, + and - to zoom and 0 to reset',
+      zoomIn: 'Zoom in',
+      zoomOut: 'Zoom out',
+      resetZoom: 'Reset view',
+      pickUnit: 'Select a unit on the plan to see its details.',
+      floor: 'Floor',
+      area: 'Area',
+      areaUnit: 'm²',
+      bedrooms: 'Bedrooms',
+      bathrooms: 'Bathrooms',
+      orientation: 'Orientation',
+      compare: 'Add to compare',
+      compared: 'In compare',
+      compareTitle: 'Compare units',
+      compareHint: 'Select another unit on the plan to compare it.',
+      remove: 'Remove',
+      plan: 'plan',
+      error: 'The floorplans could not be loaded. Please try again later.'
+    }
+  };
+
+  const ORIENTATIONS = {
+    'north': { ar: 'شمالية', en: 'North' },
+    'south': { ar: 'جنوبية', en: 'South' },
+    'east': { ar: 'شرقية', en: 'East' },
+    'west': { ar: 'غربية', en: 'West' },
+    'north-east': { ar: 'شمالية شرقية', en: 'North-east' },
+    'north-west': { ar: 'شمالية غربية', en: 'North-west' },
+    'south-east': { ar: 'جنوبية شرقية', en: 'South-east' },
+    'south-west': { ar: 'جنوبية غربية', en: 'South-west' }
+  };
+
+  const ZOOM = {
+    max: 4,
+    step: 1.25
+  };
+
+  // Share of the visible plan moved by one arrow key press
+  const PAN_STEP = 0.1;
+
+  // Pointer travel (px) after which a press counts as a drag, not a click
+  const DRAG_THRESHOLD = 5;
+
+  const MAX_COMPARE = 2;
+
+  const floorplans = new Map();
+  let initialized = false;
+  let state = null;
+
+  function getLocale() {
+    if (window.ProjectCatalog) return ProjectCatalog.getLocale();
+    return /\/en\//.test(window.location.pathname) ? 'en' : 'ar';
+  }
+
+  function localize(field, locale) {
+    return ProjectCatalog.localize(field, locale);
+  }
+
+  function escape(value) {
+    return ProjectCatalog.escapeHtml(value);
+  }
+
+  function formatNumber(value, locale) {
+    return new Intl.NumberFormat(locale === 'ar' ? 'ar-SA' : 'en-GB').format(value);
+  }
+
+  function getRoot() {
+    return document.querySelector(ROOT_SELECTOR);
+  }
+
+  /**
+   * Fetch a project's floorplan description once
+   */
+  function loadFloorplan(projectId) {
+    if (!floorplans.has(projectId)) {
+      const request = DownloadsCenter.loadManifest()
+        .then(manifest => {
+          const file = DownloadsCenter.getFloorplanFile(manifest, projectId);
+          if (!file) {
+            throw new Error(`No floorplans for project "${projectId}"`);
+          }
+          return fetch(ProjectCatalog.resolveAsset(file), { credentials: 'same-origin' });
+        })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Floorplan request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          floorplans.delete(projectId);
+          throw error;
+        });
+
+      floorplans.set(projectId, request);
+    }
+
+    return floorplans.get(projectId);
+  }
+
+  /**
+   * Find a unit on any floor, with its type's specs filled in
+   */
+  function getUnit(plan, unitId) {
+    for (const floor of plan.floors) {
+      const unit = floor.units.find(candidate => candidate.id === unitId);
+      if (!unit) continue;
+
+      const type = plan.unitTypes[unit.type] || {};
+      return {
+        id: unit.id,
+        type: unit.type,
+        floor,
+        typeInfo: type,
+        area: unit.area !== undefined ? unit.area : type.area,
+        bedrooms: unit.bedrooms !== undefined ? unit.bedrooms : type.bedrooms,
+        bathrooms: unit.bathrooms !== undefined ? unit.bathrooms : type.bathrooms,
+        orientation: unit.orientation || type.orientation || null,
+        shape: unit.shape
+      };
+    }
+
+    return null;
+  }
+
+  function getFloor(floorId) {
+    return state.plan.floors.find(floor => floor.id === floorId) || state.plan.floors[0];
+  }
+
+  function getUnitName(unit, locale) {
+    return [unit.id, localize(unit.typeInfo.name, locale)].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Render the area, bedroom, bathroom and orientation rows of a unit
+   */
+  function renderSpecs(unit, locale) {
+    const labels = LABELS[locale];
+    const rows = [[labels.floor, localize(unit.floor.name, locale)]];
+
+    if (typeof unit.area === 'number') rows.push([labels.area, `${formatNumber(unit.area, locale)} ${labels.areaUnit}`]);
+    if (typeof unit.bedrooms === 'number') rows.push([labels.bedrooms, formatNumber(unit.bedrooms, locale)]);
+    if (typeof unit.bathrooms === 'number') rows.push([labels.bathrooms, formatNumber(unit.bathrooms, locale)]);
+    if (unit.orientation) rows.push([labels.orientation, localize(ORIENTATIONS[unit.orientation], locale) || unit.orientation]);
+
+    return `
+      <dl class="floorplan-specs">
+        ${rows.map(([term, value]) => `<div class="floorplan-spec"><dt>${escape(term)}</dt><dd>${escape(value)}</dd></div>`).join('')}
+      </dl>`;
+  }
+
+  function renderSwitch(label, attribute, options, selected) {
+    return `
+      <div class="floorplan-switch" role="group" aria-label="${escape(label)}">
+        ${options.map(option => `<button type="button" class="button dark" ${attribute}="${escape(option.value)}" aria-pressed="${option.value === selected}">${escape(option.label)}</button>`).join('')}
+      </div>`;
+  }
+
+  /**
+   * Render the viewer shell: heading, switchers, stage, unit panel and compare
+   */
+  function renderViewer(title) {
+    const { plan, locale } = state;
+    const labels = LABELS[locale];
+    const floors = plan.floors.map(floor => ({ value: floor.id, label: localize(floor.name, locale) }));
+    const types = Object.keys(plan.unitTypes).map(id => ({ value: id, label: localize(plan.unitTypes[id].name, locale) }));
+
+    state.container.innerHTML = `
+      <div class="floorplan-viewer-inner" dir="${locale === 'ar' ? 'rtl' : 'ltr'}" lang="${locale}">
+        <div class="floorplan-viewer-header">
+          <h2 class="section-heading dark floorplan-viewer-title" tabindex="-1">${escape(title)}</h2>
+          <button type="button" class="project-button w-button" data-floorplan-close>${labels.close}</button>
+        </div>
+        <div class="floorplan-toolbar">
+          ${floors.length > 1 ? renderSwitch(labels.floors, 'data-floorplan-floor', floors, state.floorId) : ''}
+          ${types.length > 1 ? renderSwitch(labels.types, 'data-floorplan-type', [{ value: 'all', label: labels.allTypes }].concat(types), state.type) : ''}
+        </div>
+        <div class="floorplan-layout">
+          <div class="floorplan-stage" tabindex="0" aria-label="${labels.stage}" data-lenis-prevent>
+            <svg class="floorplan-svg" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet"></svg>
+            <div class="floorplan-zoom" role="group">
+              <button type="button" class="floorplan-zoom-button" data-floorplan-zoom="in" aria-label="${labels.zoomIn}">+</button>
+              <button type="button" class="floorplan-zoom-button" data-floorplan-zoom="out" aria-label="${labels.zoomOut}">&minus;</button>
+              <button type="button" class="floorplan-zoom-button" data-floorplan-zoom="reset" aria-label="${labels.resetZoom}">&#8634;</button>
+            </div>
+          </div>
+          <div class="floorplan-unit" aria-live="polite"></div>
+        </div>
+        <div class="floorplan-compare" hidden>
+          <h3 class="section-heading dark floorplan-compare-title">${labels.compareTitle}</h3>
+          <div class="floorplan-compare-grid"></div>
+        </div>
+      </div>`;
+
+    state.stage = state.container.querySelector('.floorplan-stage');
+    state.svg = state.container.querySelector('.floorplan-svg');
+
+    setupStage(state.stage);
+  }
+
+  /**
+   * Draw the current floor's plan and unit hotspots
+   */
+  function renderFloor() {
+    const { locale } = state;
+    const floor = getFloor(state.floorId);
+
+    state.floorId = floor.id;
+    state.stage.style.aspectRatio = `${floor.width} / ${floor.height}`;
+
+    const hotspots = floor.units.map(entry => {
+      const unit = getUnit(state.plan, entry.id);
+      const points = unit.shape.map(point => point.join(',')).join(' ');
+      const center = unit.shape.reduce((sum, point) => [sum[0] + point[0], sum[1] + point[1]], [0, 0])
+        .map(total => total / unit.shape.length);
+
+      return `
+        <g class="floorplan-hotspot" data-unit-id="${escape(unit.id)}" data-unit-type="${escape(unit.type)}" role="button" tabindex="0" aria-pressed="false" aria-label="${escape(getUnitName(unit, locale))}">
+          <polygon points="${points}"></polygon>
+          <text x="${center[0]}" y="${center[1]}" text-anchor="middle" dominant-baseline="middle">${escape(unit.id)}</text>
+        </g>`;
+    });
+
+    state.svg.innerHTML = `
+      <image href="${escape(ProjectCatalog.resolveAsset(floor.plan))}" x="0" y="0" width="${floor.width}" height="${floor.height}"></image>
+      ${hotspots.join('')}`;
+    state.svg.setAttribute('aria-label', localize(floor.name, locale));
+
+    state.container.querySelectorAll('[data-floorplan-floor]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-floorplan-floor') === floor.id));
+    });
+
+    resetZoom();
+    updateHotspots();
+  }
+
+  /**
+   * Dim the units of other types and mark the selected and compared units
+   */
+  function updateHotspots() {
+    state.svg.querySelectorAll('.floorplan-hotspot').forEach(hotspot => {
+      const id = hotspot.getAttribute('data-unit-id');
+      const type = hotspot.getAttribute('data-unit-type');
+
+      hotspot.classList.toggle('is-dimmed', state.type !== 'all' && type !== state.type);
+      hotspot.classList.toggle('is-compared', state.compare.indexOf(id) !== -1);
+      hotspot.setAttribute('aria-pressed', String(id === state.unitId));
+    });
+
+    state.container.querySelectorAll('[data-floorplan-type]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-floorplan-type') === state.type));
+    });
+  }
+
+  function renderUnitPanel() {
+    const { locale } = state;
+    const labels = LABELS[locale];
+    const panel = state.container.querySelector('.floorplan-unit');
+    const unit = state.unitId ? getUnit(state.plan, state.unitId) : null;
+
+    if (!unit) {
+      panel.innerHTML = `<p class="paragraph dark">${labels.pickUnit}</p>`;
+      return;
+    }
+
+    const isCompared = state.compare.indexOf(unit.id) !== -1;
+
+    panel.innerHTML = `
+      <h3 class="project-grid-name floorplan-unit-title">${escape(getUnitName(unit, locale))}</h3>
+      ${renderSpecs(unit, locale)}
+      <button type="button" class="project-button w-button" data-floorplan-compare="${escape(unit.id)}"${isCompared ? ' disabled' : ''}>${isCompared ? labels.compared : labels.compare}</button>`;
+  }
+
+  function renderCompare() {
+    const { locale } = state;
+    const labels = LABELS[locale];
+    const section = state.container.querySelector('.floorplan-compare');
+
+    section.hidden = state.compare.length === 0;
+    if (section.hidden) return;
+
+    const columns = state.compare.map(id => {
+      const unit = getUnit(state.plan, id);
+      const name = getUnitName(unit, locale);
+      const planImage = unit.typeInfo.plan
+        ? `<img src="${escape(ProjectCatalog.resolveAsset(unit.typeInfo.plan))}" loading="lazy" alt="${escape(`${labels.plan} ${name}`)}" class="floorplan-compare-image">`
+        : '';
+
+      return `
+        <div class="floorplan-compare-item">
+          <h4 class="project-grid-name">${escape(name)}</h4>
+          ${planImage}
+          ${renderSpecs(unit, locale)}
+          <button type="button" class="project-button w-button" data-floorplan-uncompare="${escape(unit.id)}">${labels.remove}</button>
+        </div>`;
+    });
+
+    if (state.compare.length < MAX_COMPARE) {
+      columns.push(`<div class="floorplan-compare-item is-empty"><p class="paragraph dark">${labels.compareHint}</p></div>`);
+    }
+
+    section.querySelector('.floorplan-compare-grid').innerHTML = columns.join('');
+  }
+
+  /**
+   * Show a unit's details, switching floor when it is on another one
+   */
+  function selectUnit(unitId) {
+    if (!state) return;
+
+    const unit = getUnit(state.plan, unitId);
+    if (!unit) return;
+
+    state.unitId = unit.id;
+    if (unit.floor.id !== state.floorId) {
+      state.floorId = unit.floor.id;
+      renderFloor();
+    }
+
+    updateHotspots();
+    renderUnitPanel();
+  }
+
+  function showFloor(floorId) {
+    if (!state || floorId === state.floorId) return;
+
+    state.floorId = getFloor(floorId).id;
+    renderFloor();
+  }
+
+  function showType(type) {
+    if (!state) return;
+
+    state.type = type === 'all' || state.plan.unitTypes[type] ? type : 'all';
+    updateHotspots();
+  }
+
+  /**
+   * Add a unit to the compare; the oldest one makes room for a third
+   */
+  function compare(unitId) {
+    if (!state || !getUnit(state.plan, unitId) || state.compare.indexOf(unitId) !== -1) return;
+
+    state.compare.push(unitId);
+    if (state.compare.length > MAX_COMPARE) state.compare.shift();
+
+    updateHotspots();
+    renderUnitPanel();
+    renderCompare();
+  }
+
+  function uncompare(unitId) {
+    if (!state) return;
+
+    state.compare = state.compare.filter(id => id !== unitId);
+
+    updateHotspots();
+    renderUnitPanel();
+    renderCompare();
+  }
+
+  /* ----- Zoom and pan ----- */
+
+  function getBounds() {
+    const floor = getFloor(state.floorId);
+    return { width: floor.width, height: floor.height };
+  }
+
+  /**
+   * Keep the visible part of the plan inside the plan, between full size
+   * and ZOOM.max
+   */
+  function setView(x, y, width) {
+    const bounds = getBounds();
+    const w = Math.min(Math.max(width, bounds.width / ZOOM.max), bounds.width);
+    const h = w * bounds.height / bounds.width;
+
+    state.view = {
+      x: Math.min(Math.max(x, 0), bounds.width - w),
+      y: Math.min(Math.max(y, 0), bounds.height - h),
+      w,
+      h
+    };
+
+    const { view } = state;
+    state.svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.w} ${view.h}`);
+    state.stage.classList.toggle('is-zoomed', view.w < bounds.width);
+  }
+
+  function resetZoom() {
+    if (!state) return;
+
+    const bounds = getBounds();
+    setView(0, 0, bounds.width);
+  }
+
+  /**
+   * Zoom by a factor around a point of the plan (the centre by default)
+   */
+  function zoomBy(factor, origin) {
+    if (!state) return;
+
+    const { view } = state;
+    const point = origin || { x: view.x + view.w / 2, y: view.y + view.h / 2 };
+    const width = Math.min(Math.max(view.w / factor, getBounds().width / ZOOM.max), getBounds().width);
+    const ratio = width / view.w;
+
+    setView(point.x - (point.x - view.x) * ratio, point.y - (point.y - view.y) * ratio, width);
+  }
+
+  /**
+   * Move the plan by a distance in screen pixels
+   */
+  function panBy(dx, dy) {
+    const { view } = state;
+    const scale = view.w / (state.svg.getBoundingClientRect().width || view.w);
+
+    setView(view.x - dx * scale, view.y - dy * scale, view.w);
+  }
+
+  /**
+   * Convert a screen point to plan coordinates; the stage keeps the plan's
+   * aspect ratio, so the mapping is linear
+   */
+  function toPlanPoint(clientX, clientY) {
+    const rect = state.svg.getBoundingClientRect();
+    const { view } = state;
+
+    if (!rect.width || !rect.height) return null;
+
+    return {
+      x: view.x + (clientX - rect.left) / rect.width * view.w,
+      y: view.y + (clientY - rect.top) / rect.height * view.h
+    };
+  }
+
+  /**
+   * Wheel zoom, drag to pan, pinch zoom and keyboard controls on the stage
+   */
+  function setupStage(stage) {
+    const pointers = new Map();
+    let dragged = false;
+    let start = null;
+    let pinchDistance = 0;
+
+    function getPinch() {
+      const [a, b] = Array.from(pointers.values());
+      return {
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+      };
+    }
+
+    stage.addEventListener('wheel', event => {
+      event.preventDefault();
+      zoomBy(event.deltaY < 0 ? ZOOM.step : 1 / ZOOM.step, toPlanPoint(event.clientX, event.clientY));
+    }, { passive: false });
+
+    stage.addEventListener('pointerdown', event => {
+      if (event.target.closest('.floorplan-zoom')) return;
+
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (pointers.size === 1) {
+        start = { x: event.clientX, y: event.clientY };
+        dragged = false;
+      }
+      if (pointers.size === 2) {
+        pinchDistance = getPinch().distance;
+        dragged = true;
+      }
+    });
+
+    stage.addEventListener('pointermove', event => {
+      const previous = pointers.get(event.pointerId);
+      if (!previous) return;
+
+      const point = { x: event.clientX, y: event.clientY };
+      pointers.set(event.pointerId, point);
+
+      if (pointers.size === 2) {
+        const pinch = getPinch();
+        if (pinchDistance > 0) zoomBy(pinch.distance / pinchDistance, toPlanPoint(pinch.x, pinch.y));
+        pinchDistance = pinch.distance;
+        return;
+      }
+
+      if (!dragged && Math.hypot(point.x - start.x, point.y - start.y) < DRAG_THRESHOLD) return;
+
+      // Panning only makes sense once zoomed; otherwise leave the page to scroll
+      if (!stage.classList.contains('is-zoomed')) return;
+
+      if (!dragged && stage.setPointerCapture) stage.setPointerCapture(event.pointerId);
+      dragged = true;
+      stage.classList.add('is-dragging');
+      panBy(point.x - previous.x, point.y - previous.y);
+    });
+
+    function release(event) {
+      pointers.delete(event.pointerId);
+      if (pointers.size < 2) pinchDistance = 0;
+      if (pointers.size === 0) stage.classList.remove('is-dragging');
+    }
+
+    stage.addEventListener('pointerup', release);
+    stage.addEventListener('pointercancel', release);
+
+    // A drag or pinch that ends on a hotspot does not select it
+    stage.addEventListener('click', event => {
+      if (!dragged) return;
+
+      dragged = false;
+      event.stopPropagation();
+      event.preventDefault();
+    }, true);
+
+    stage.addEventListener('keydown', event => {
+      const step = PAN_STEP * (stage.getBoundingClientRect().width || 400);
+
+      switch (event.key) {
+        case '+':
+        case '=':
+          zoomBy(ZOOM.step);
+          break;
+        case '-':
+        case '_':
+          zoomBy(1 / ZOOM.step);
+          break;
+        case '0':
+          resetZoom();
+          break;
+        case 'ArrowLeft':
+          panBy(step, 0);
+          break;
+        case 'ArrowRight':
+          panBy(-step, 0);
+          break;
+        case 'ArrowUp':
+          panBy(0, step);
+          break;
+        case 'ArrowDown':
+          panBy(0, -step);
+          break;
+        case 'Enter':
+        case ' ': {
+          const hotspot = event.target.closest('.floorplan-hotspot');
+          if (!hotspot) return;
+          selectUnit(hotspot.getAttribute('data-unit-id'));
+          break;
+        }
+        default:
+          return;
+      }
+
+      event.preventDefault();
+    });
+  }
+
+  /* ----- Opening and closing ----- */
+
+  function scrollToViewer(root) {
+    if (window.ScrollManager) {
+      ScrollManager.scrollTo(root);
+    } else {
+      const reduced = window.MotionPolicy && MotionPolicy.isReduced();
+      root.scrollIntoView({ behavior: reduced ? 'auto' : 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * Open a project's floorplans; options.floor, options.unit and
+   * options.type pick what is shown first
+   */
+  function open(projectId, options = {}) {
+    const root = getRoot();
+    if (!root || typeof DownloadsCenter === 'undefined' || typeof ProjectCatalog === 'undefined') {
+      return Promise.resolve(false);
+    }
+
+    const locale = getLocale();
+    const container = root.querySelector('.w-container') || root;
+    const titleRequest = ProjectCatalog.findProject(projectId)
+      .then(project => project ? ProjectCatalog.getProjectHeading(project, locale) : null)
+      .catch(() => null);
+
+    return Promise.all([loadFloorplan(projectId), titleRequest])
+      .then(([plan, title]) => {
+        state = {
+          plan,
+          locale,
+          container,
+          projectId,
+          floorId: options.floor || null,
+          type: 'all',
+          unitId: null,
+          compare: [],
+          view: null
+        };
+
+        root.hidden = false;
+        root.setAttribute('data-project-id', projectId);
+
+        renderViewer(title || projectId.toUpperCase());
+        renderFloor();
+        if (options.type) showType(options.type);
+        if (options.unit) selectUnit(options.unit);
+        renderUnitPanel();
+        renderCompare();
+
+        if (options.scroll !== false) scrollToViewer(root);
+        if (options.focus) container.querySelector('.floorplan-viewer-title').focus({ preventScroll: true });
+
+        return true;
+      })
+      .catch(error => {
+        console.warn('Floorplans could not be loaded:', error);
+
+        state = null;
+        root.hidden = false;
+        container.innerHTML = `<p class="paragraph dark center">${LABELS[locale].error}</p>`;
+        return false;
+      });
+  }
+
+  function close() {
+    const root = getRoot();
+    if (!root) return;
+
+    const projectId = root.getAttribute('data-project-id');
+    const trigger = projectId ? document.querySelector(`[data-floorplan-open="${projectId}"]`) : null;
+
+    state = null;
+    root.hidden = true;
+    root.removeAttribute('data-project-id');
+    (root.querySelector('.w-container') || root).innerHTML = '';
+
+    if (trigger) {
+      trigger.focus({ preventScroll: true });
+      scrollToViewer(trigger.closest('.project-grid-main-wrapper') || trigger);
+    }
+  }
+
+  function onClick(event) {
+    const target = event.target.closest ? event.target : null;
+    if (!target) return;
+
+    const opener = target.closest('[data-floorplan-open]');
+    if (opener) {
+      open(opener.getAttribute('data-floorplan-open'), { focus: true });
+      return;
+    }
+
+    if (!state || !state.container.contains(target)) return;
+
+    const control = target.closest('[data-floorplan-close], [data-floorplan-floor], [data-floorplan-type], [data-floorplan-zoom], [data-floorplan-compare], [data-floorplan-uncompare], .floorplan-hotspot');
+    if (!control) return;
+
+    if (control.hasAttribute('data-floorplan-close')) {
+      close();
+    } else if (control.hasAttribute('data-floorplan-floor')) {
+      showFloor(control.getAttribute('data-floorplan-floor'));
+    } else if (control.hasAttribute('data-floorplan-type')) {
+      showType(control.getAttribute('data-floorplan-type'));
+    } else if (control.hasAttribute('data-floorplan-zoom')) {
+      const action = control.getAttribute('data-floorplan-zoom');
+      if (action === 'reset') {
+        resetZoom();
+      } else {
+        zoomBy(action === 'in' ? ZOOM.step : 1 / ZOOM.step);
+      }
+    } else if (control.hasAttribute('data-floorplan-compare')) {
+      compare(control.getAttribute('data-floorplan-compare'));
+    } else if (control.hasAttribute('data-floorplan-uncompare')) {
+      uncompare(control.getAttribute('data-floorplan-uncompare'));
+    } else {
+      selectUnit(control.getAttribute('data-unit-id'));
+    }
+  }
+
+  /**
+   * Open the viewer for ?project= links once the cards are on the page
+   */
+  function openRequestedProject() {
+    if (!getRoot() || state) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const projectId = (params.get('project') || '').toLowerCase();
+    if (!projectId || !document.querySelector(`[data-floorplan-open="${projectId}"]`)) return;
+
+    open(projectId, {
+      floor: params.get('floor'),
+      unit: params.get('unit'),
+      type: params.get('type')
+    });
+  }
+
+  function initFloorplanViewer() {
+    if (initialized) return;
+    initialized = true;
+
+    document.addEventListener('click', onClick);
+    document.addEventListener('documentGridRendered', openRequestedProject);
+  }
+
+  // Soft navigation (js/page-router.js) replaces the viewer's section
+  document.addEventListener('pageContentReplaced', () => {
+    state = null;
+  });
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFloorplanViewer);
+  } else {
+    initFloorplanViewer();
+  }
+
+  // Export functions for external use
+  window.FloorplanViewer = {
+    open,
+    close,
+    loadFloorplan,
+    showFloor,
+    showType,
+    selectUnit,
+    compare,
+    uncompare,
+    zoomBy,
+    resetZoom
+  };
+
+})();
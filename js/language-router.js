@@ -0,0 +1,201 @@
+/**
+ * Language Router for Calma Website
+ * Points the EN / AE switch at the equivalent page in the other language
+ * (keeping the query string and anchor), remembers the visitor's choice
+ * and adds hreflang alternates to project detail pages.
+ *
+ * The equivalent page comes from the hreflang links scripts/build.js writes
+ * into every page from src/site.json, so there is no page list to keep here.
+ */
+
+(function() {
+  'use strict';
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const siteRoot = new URL('../', scriptSrc);
+
+  // Pages without a counterpart send visitors to the other home page
+  const HOME_PAGES = { ar: 'index.html', en: 'en/home.html' };
+
+  const DETAIL_PATH = /^(en\/)?projects\/([^/]+)\/?$/;
+
+  const STORAGE_KEY = 'calma-locale';
+  // Read by the Accept-Language redirect in vercel.json
+  const COOKIE_NAME = 'calma_locale';
+  const COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+
+  // Switch links that already resolve their target on click
+  const boundSwitches = new WeakSet();
+
+  /**
+   * Get the current page path relative to the site root, e.g. "en/contact.html"
+   */
+  function getPagePath(pathname = window.location.pathname) {
+    let path = pathname.indexOf(siteRoot.pathname) === 0
+      ? pathname.slice(siteRoot.pathname.length)
+      : pathname.replace(/^\//, '');
+
+    path = decodeURIComponent(path);
+
+    if (path === '' || path === 'index') return HOME_PAGES.ar;
+    if (path === 'en' || path === 'en/' || path === 'en/index.html') return HOME_PAGES.en;
+    if (!DETAIL_PATH.test(path) && !/\.[a-z0-9]+$/i.test(path)) return `${path.replace(/\/$/, '')}.html`;
+
+    return path;
+  }
+
+  /**
+   * Detect the language of a page path
+   */
+  function getLocale(path = getPagePath()) {
+    return path.indexOf('en/') === 0 ? 'en' : 'ar';
+  }
+
+  /**
+   * Read the current page's translations from its hreflang links:
+   * { ar: 'contact.html', en: 'en/contact.html' }
+   */
+  function getAlternateLinks() {
+    const links = {};
+
+    document.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => {
+      const locale = link.getAttribute('hreflang');
+      if (locale === 'ar' || locale === 'en') links[locale] = getPagePath(new URL(link.href).pathname);
+    });
+
+    return links;
+  }
+
+  /**
+   * Map a page path to its equivalent in the target language; besides
+   * project detail pages only the current page is known
+   */
+  function getAlternatePath(path, targetLocale) {
+    if (getLocale(path) === targetLocale) return path;
+
+    const detail = path.match(DETAIL_PATH);
+    if (detail) {
+      return `${targetLocale === 'en' ? 'en/' : ''}projects/${detail[2]}`;
+    }
+
+    const alternates = path === getPagePath() ? getAlternateLinks() : {};
+    return alternates[targetLocale] || HOME_PAGES[targetLocale];
+  }
+
+  /**
+   * Build the absolute URL of the current page in the target language,
+   * keeping the query string and anchor
+   */
+  function getAlternateUrl(targetLocale, options = {}) {
+    const url = new URL(getAlternatePath(getPagePath(), targetLocale), siteRoot);
+
+    if (options.keepState !== false) {
+      url.search = window.location.search;
+      url.hash = window.location.hash;
+    }
+
+    return url.href;
+  }
+
+  /**
+   * Remember the visitor's language in localStorage and a cookie
+   */
+  function setPreferredLocale(locale) {
+    try {
+      localStorage.setItem(STORAGE_KEY, locale);
+    } catch (error) {
+      // Storage can be unavailable in private browsing
+    }
+
+    document.cookie = `${COOKIE_NAME}=${locale}; path=/; max-age=${COOKIE_MAX_AGE}; SameSite=Lax`;
+  }
+
+  /**
+   * Get the remembered language, if any
+   */
+  function getPreferredLocale() {
+    const cookie = document.cookie.match(new RegExp(`(?:^|; )${COOKIE_NAME}=(ar|en)`));
+    if (cookie) return cookie[1];
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored === 'ar' || stored === 'en' ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Add <link rel="alternate" hreflang> tags for both languages to project
+   * detail pages, which share one generated template
+   */
+  function addHreflangLinks() {
+    if (!DETAIL_PATH.test(getPagePath()) || document.querySelector('link[rel="alternate"][hreflang]')) return;
+
+    const alternates = [
+      ['ar', getAlternateUrl('ar', { keepState: false })],
+      ['en', getAlternateUrl('en', { keepState: false })],
+      ['x-default', getAlternateUrl('ar', { keepState: false })]
+    ];
+
+    alternates.forEach(([hreflang, href]) => {
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      link.href = href;
+      document.head.appendChild(link);
+    });
+  }
+
+  /**
+   * Point every language switch at the equivalent page
+   */
+  function setupLanguageSwitches() {
+    const targetLocale = getLocale() === 'ar' ? 'en' : 'ar';
+
+    document.querySelectorAll('.language-switch-div').forEach(link => {
+      link.href = getAlternateUrl(targetLocale);
+      link.setAttribute('hreflang', targetLocale);
+      link.setAttribute('lang', targetLocale);
+
+      if (boundSwitches.has(link)) return;
+      boundSwitches.add(link);
+
+      // Filters, tabs and soft navigation change the URL after load, so resolve on click
+      link.addEventListener('click', () => {
+        link.href = getAlternateUrl(targetLocale);
+        setPreferredLocale(targetLocale);
+      });
+    });
+  }
+
+  /**
+   * Start the language router
+   */
+  function initLanguageRouter() {
+    setupLanguageSwitches();
+    addHreflangLinks();
+  }
+
+  // The navigation survives soft navigation (js/page-router.js), so its
+  // switches are pointed at the new page's counterpart
+  document.addEventListener('pageContentReplaced', initLanguageRouter);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initLanguageRouter);
+  } else {
+    initLanguageRouter();
+  }
+
+  // Export functions for external use
+  window.LanguageRouter = {
+    getLocale,
+    getPagePath,
+    getAlternatePath,
+    getAlternateUrl,
+    getPreferredLocale,
+    setPreferredLocale
+  };
+
+})();
@@ -0,0 +1,272 @@
+/**
+ * Motion Policy for Calma Website
+ * Decides how much motion the site may use and tells the animation code:
+ *
+ *   full     smooth scrolling, split headings and every preset
+ *   lite     low-power devices: no smooth scrolling or text splitting,
+ *            presets step down to short fades
+ *   reduced  prefers-reduced-motion or the visitor's toggle: no scroll
+ *            animations, page fades or smooth scrolling
+ *
+ * Loaded in <head> so the level is known before js/scroll-manager.js and
+ * js/animations.js start anything moving. Changes are announced with a motionPolicyChange event.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'calma-motion';
+  // Set for the rest of the session once dropped frames have been measured
+  const LITE_SESSION_KEY = 'calma-motion-lite';
+
+  const LOW_POWER_LIMITS = {
+    cores: 2,
+    memory: 2
+  };
+
+  // Frame sampling after load: a frame slower than 50ms counts as dropped
+  const FRAME_SAMPLE = {
+    duration: 2000,
+    slowFrameMs: 50,
+    maxSlowRatio: 0.25
+  };
+
+  const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+  let droppedFrames = readSession(LITE_SESSION_KEY) === '1';
+  let level = null;
+
+  function readStorage(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      // Storage can be unavailable in private browsing
+      return null;
+    }
+  }
+
+  function readSession(key) {
+    try {
+      return sessionStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the visitor's saved choice: 'reduced', 'full' or null (automatic)
+   */
+  function getPreference() {
+    const stored = readStorage(STORAGE_KEY);
+    return stored === 'reduced' || stored === 'full' ? stored : null;
+  }
+
+  /**
+   * Check the operating system's reduced motion setting
+   */
+  function prefersReducedMotion() {
+    return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+  }
+
+  /**
+   * Check for few CPU cores, little memory, Save-Data or a 2G connection
+   */
+  function isLowPowerDevice() {
+    const cores = navigator.hardwareConcurrency;
+    const memory = navigator.deviceMemory;
+    const connection = navigator.connection;
+
+    if (cores && cores <= LOW_POWER_LIMITS.cores) return true;
+    if (memory && memory <= LOW_POWER_LIMITS.memory) return true;
+    if (connection && (connection.saveData || /(^|-)2g$/.test(connection.effectiveType || ''))) return true;
+
+    return droppedFrames;
+  }
+
+  /**
+   * Work out the level from the saved choice, the system setting and the device
+   */
+  function resolveLevel() {
+    const preference = getPreference();
+
+    if (preference === 'reduced') return 'reduced';
+    if (preference === 'full') return 'full';
+    if (prefersReducedMotion()) return 'reduced';
+
+    return isLowPowerDevice() ? 'lite' : 'full';
+  }
+
+  /**
+   * Get the current motion level: 'full', 'lite' or 'reduced'
+   */
+  function getLevel() {
+    if (!level) level = resolveLevel();
+    return level;
+  }
+
+  function shouldSmoothScroll() {
+    return getLevel() === 'full';
+  }
+
+  function shouldSplitText() {
+    return getLevel() === 'full';
+  }
+
+  function isReduced() {
+    return getLevel() === 'reduced';
+  }
+
+  /**
+   * Mirror the level on <html> (motion-full / motion-lite / motion-reduced) for CSS
+   */
+  function applyLevelClass() {
+    const root = document.documentElement;
+
+    ['full', 'lite', 'reduced'].forEach(name => {
+      root.classList.toggle(`motion-${name}`, name === getLevel());
+    });
+  }
+
+  /**
+   * Re-evaluate the level and announce it when it changed
+   */
+  function update() {
+    const previous = level;
+    level = resolveLevel();
+    applyLevelClass();
+    updateToggles();
+
+    if (previous && previous !== level) {
+      document.dispatchEvent(new CustomEvent('motionPolicyChange', {
+        detail: { level, previous }
+      }));
+    }
+  }
+
+  /**
+   * Save the visitor's choice ('reduced', 'full' or null for automatic)
+   */
+  function setPreference(preference) {
+    try {
+      if (preference === 'reduced' || preference === 'full') {
+        localStorage.setItem(STORAGE_KEY, preference);
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      // The choice still applies to this page
+    }
+
+    update();
+  }
+
+  /**
+   * Sample frame times once the page has loaded and step down to lite when
+   * too many frames are dropped
+   */
+  function measureFrames() {
+    if (getLevel() !== 'full' || getPreference() || typeof requestAnimationFrame === 'undefined') return;
+
+    let frames = 0;
+    let slowFrames = 0;
+    let startTime = null;
+    let lastTime = null;
+
+    function sample(time) {
+      if (document.hidden) return;
+
+      if (startTime === null) {
+        startTime = time;
+      } else {
+        frames += 1;
+        if (time - lastTime > FRAME_SAMPLE.slowFrameMs) slowFrames += 1;
+      }
+      lastTime = time;
+
+      if (time - startTime < FRAME_SAMPLE.duration) {
+        requestAnimationFrame(sample);
+        return;
+      }
+
+      if (frames > 0 && slowFrames / frames > FRAME_SAMPLE.maxSlowRatio) {
+        droppedFrames = true;
+        try {
+          sessionStorage.setItem(LITE_SESSION_KEY, '1');
+        } catch (error) {
+          // Only this page steps down
+        }
+        update();
+      }
+    }
+
+    requestAnimationFrame(sample);
+  }
+
+  /**
+   * Keep every [data-motion-toggle] button in sync with the current level
+   */
+  function updateToggles() {
+    if (!document.body) return;
+
+    document.querySelectorAll('[data-motion-toggle]').forEach(toggle => {
+      toggle.setAttribute('aria-pressed', String(isReduced()));
+    });
+  }
+
+  /**
+   * Wire the "Reduce motion" buttons in the footer
+   */
+  function setupToggles() {
+    document.querySelectorAll('[data-motion-toggle]').forEach(toggle => {
+      toggle.addEventListener('click', () => {
+        if (!isReduced()) {
+          setPreference('reduced');
+        } else {
+          // Turning it off goes back to automatic unless the system asks for reduced motion
+          setPreference(prefersReducedMotion() ? 'full' : null);
+        }
+      });
+    });
+
+    updateToggles();
+  }
+
+  applyLevelClass();
+
+  if (reducedMotionQuery) {
+    if (typeof reducedMotionQuery.addEventListener === 'function') {
+      reducedMotionQuery.addEventListener('change', update);
+    } else if (typeof reducedMotionQuery.addListener === 'function') {
+      reducedMotionQuery.addListener(update);
+    }
+  }
+
+  // The footer toggle is part of the content swapped by js/page-router.js
+  document.addEventListener('pageContentReplaced', setupToggles);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupToggles);
+  } else {
+    setupToggles();
+  }
+
+  if (document.readyState === 'complete') {
+    measureFrames();
+  } else {
+    window.addEventListener('load', measureFrames);
+  }
+
+  // Export functions for external use
+  window.MotionPolicy = {
+    getLevel,
+    getPreference,
+    setPreference,
+    prefersReducedMotion,
+    isLowPowerDevice,
+    isReduced,
+    shouldSmoothScroll,
+    shouldSplitText
+  };
+
+})();
@@ -0,0 +1,265 @@
+/**
+ * Offline Support for Calma Website
+ * Registers the service worker (sw.js, generated by scripts/build.js), adds
+ * "Save offline" buttons next to brochure and factsheet downloads whose file
+ * is uploaded and lists the saved documents on offline.html.
+ *
+ * Saved documents go into the calma-documents cache, which the service
+ * worker answers from when there is no connection; their names are kept in
+ * localStorage so the offline page can list them.
+ */
+
+(function() {
+  'use strict';
+
+  // Shared with src/service-worker.js
+  const DOCUMENT_CACHE = 'calma-documents';
+  const STORAGE_KEY = 'calma-offline-documents';
+
+  // Document types that get a "Save offline" button
+  const SAVABLE_TYPES = ['brochure', 'factsheet'];
+
+  const LABELS = {
+    ar: {
+      save: 'حفظ دون اتصال',
+      saving: 'جارٍ الحفظ…',
+      saved: 'محفوظ دون اتصال',
+      failed: 'تعذّر الحفظ',
+      remove: 'إزالة'
+    },
+    en: {
+      save: 'Save offline',
+      saving: 'Saving…',
+      saved: 'Saved offline',
+      failed: 'Could not save',
+      remove: 'Remove'
+    }
+  };
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const siteRoot = new URL('../', scriptSrc);
+
+  function isSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+  }
+
+  /**
+   * Register the service worker once the page has loaded so it does not
+   * compete with the page's own requests. Skipped on localhost, where a
+   * cached shell would hide edits from scripts/dev-server.js
+   */
+  function registerServiceWorker() {
+    if (!isSupported()) return;
+    if (/^(localhost|127\.0\.0\.1|\[::1\])$/.test(window.location.hostname)) return;
+
+    navigator.serviceWorker.register(new URL('sw.js', siteRoot).href, { scope: siteRoot.pathname })
+      .catch(error => {
+        console.warn('Service worker could not be registered:', error);
+      });
+  }
+
+  /* ===== SAVED DOCUMENTS ===== */
+
+  /**
+   * Get the saved documents: [{ url, title, lang, savedAt }]
+   */
+  function getSavedDocuments() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeSavedDocuments(documents) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(documents));
+    } catch (error) {
+      // The document is still in the cache
+    }
+  }
+
+  function isSaved(url) {
+    return getSavedDocuments().some(doc => doc.url === url);
+  }
+
+  /**
+   * Download a document into the offline cache and remember its title
+   */
+  function saveDocument(url, details = {}) {
+    return caches.open(DOCUMENT_CACHE)
+      .then(cache => cache.add(url))
+      .then(() => {
+        const documents = getSavedDocuments().filter(doc => doc.url !== url);
+        documents.push({
+          url,
+          title: details.title || url,
+          lang: details.lang || '',
+          savedAt: new Date().toISOString()
+        });
+        writeSavedDocuments(documents);
+      });
+  }
+
+  function removeDocument(url) {
+    writeSavedDocuments(getSavedDocuments().filter(doc => doc.url !== url));
+    return caches.open(DOCUMENT_CACHE).then(cache => cache.delete(url));
+  }
+
+  /* ===== SAVE BUTTONS ===== */
+
+  function setButtonState(button, state) {
+    const labels = LABELS[ProjectCatalog.getLocale()];
+
+    button.setAttribute('data-offline-state', state);
+    button.setAttribute('aria-pressed', String(state === 'saved'));
+    button.disabled = state === 'saving';
+    button.textContent = labels[state === 'idle' ? 'save' : state];
+  }
+
+  /**
+   * Only files the manifest has a size for are on the server
+   * (js/downloads-center.js); caching any other link would fail
+   */
+  function isDownloadable(link) {
+    return Number(link.getAttribute('data-document-size')) > 0;
+  }
+
+  /**
+   * Describe a download link from its card: "SH90 - Brochure"
+   */
+  function getDocumentTitle(link) {
+    // The link carries data-project-id too, so start from its parent
+    const card = link.parentElement && link.parentElement.closest('[data-project-id]');
+    const name = card && card.querySelector('.project-grid-name');
+    return [name ? name.textContent.trim() : '', link.textContent.trim()].filter(Boolean).join(' - ');
+  }
+
+  function onSaveClick(button, link) {
+    const url = link.href;
+
+    if (button.getAttribute('data-offline-state') === 'saved') {
+      removeDocument(url).then(() => setButtonState(button, 'idle'));
+      return;
+    }
+
+    setButtonState(button, 'saving');
+    saveDocument(url, { title: getDocumentTitle(link), lang: link.getAttribute('data-document-lang') })
+      .then(() => setButtonState(button, 'saved'))
+      .catch(error => {
+        console.warn('Document could not be saved offline:', error);
+        setButtonState(button, 'failed');
+      });
+  }
+
+  /**
+   * Add a "Save offline" button after every brochure / factsheet download
+   */
+  function setupSaveButtons() {
+    if (!isSupported()) return;
+
+    document.querySelectorAll('a[download][data-document-type]').forEach(link => {
+      if (!SAVABLE_TYPES.includes(link.getAttribute('data-document-type')) || !isDownloadable(link)) return;
+      if (link.nextElementSibling && link.nextElementSibling.hasAttribute('data-offline-save')) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'project-button offline-save-button w-button';
+      button.setAttribute('data-offline-save', '');
+      setButtonState(button, isSaved(link.href) ? 'saved' : 'idle');
+      button.addEventListener('click', () => onSaveClick(button, link));
+
+      link.insertAdjacentElement('afterend', button);
+    });
+  }
+
+  /* ===== OFFLINE PAGE ===== */
+
+  /**
+   * List the saved documents that are still in the cache on offline.html
+   */
+  function renderSavedDocuments() {
+    const escape = ProjectCatalog.escapeHtml;
+    const container = document.querySelector('[data-offline-documents]');
+    if (!container || !isSupported()) return;
+
+    const labels = LABELS[ProjectCatalog.getLocale()];
+
+    caches.open(DOCUMENT_CACHE)
+      .then(cache => Promise.all(getSavedDocuments().map(doc => (
+        cache.match(doc.url).then(response => (response ? doc : null))
+      ))))
+      .then(documents => {
+        documents = documents.filter(Boolean);
+        if (documents.length === 0) return;
+
+        container.innerHTML = `
+          <ul class="offline-list offline-documents">
+            ${documents.map(doc => `
+              <li class="offline-document">
+                <a href="${escape(doc.url)}" class="offline-link"${doc.lang ? ` hreflang="${escape(doc.lang)}"` : ''}>${escape(doc.title)}</a>
+                <button type="button" class="offline-remove" data-offline-remove="${escape(doc.url)}">${labels.remove}</button>
+              </li>`).join('')}
+          </ul>`;
+
+        container.querySelectorAll('[data-offline-remove]').forEach(button => {
+          button.addEventListener('click', () => {
+            removeDocument(button.getAttribute('data-offline-remove')).then(() => {
+              button.closest('li').remove();
+            });
+          });
+        });
+      })
+      .catch(error => {
+        console.warn('Saved documents could not be listed:', error);
+      });
+  }
+
+  /**
+   * The offline page is served in place of the requested one, so reloading
+   * retries the original address
+   */
+  function setupRetry() {
+    document.querySelectorAll('[data-offline-retry]').forEach(button => {
+      button.addEventListener('click', () => window.location.reload());
+    });
+
+    if (document.querySelector('[data-offline-retry]')) {
+      window.addEventListener('online', () => window.location.reload(), { once: true });
+    }
+  }
+
+  function initOffline() {
+    setupSaveButtons();
+    renderSavedDocuments();
+    setupRetry();
+  }
+
+  // Download grids are rendered from the manifest after load
+  document.addEventListener('documentGridRendered', setupSaveButtons);
+  document.addEventListener('pageContentReplaced', initOffline);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initOffline);
+  } else {
+    initOffline();
+  }
+
+  if (document.readyState === 'complete') {
+    registerServiceWorker();
+  } else {
+    window.addEventListener('load', registerServiceWorker);
+  }
+
+  // Export functions for external use
+  window.OfflineSupport = {
+    isSupported,
+    getSavedDocuments,
+    saveDocument,
+    removeDocument,
+    isSaved
+  };
+
+})();
@@ -0,0 +1,397 @@
+/**
+ * Page Router for Calma Website
+ * Soft navigation between pages of the same language: fetches the next page,
+ * swaps the #scroll-container content (inside a View Transition where the
+ * browser supports it) and updates the title, meta tags and history instead
+ * of reloading the whole page.
+ *
+ * Links load normally when they point at another site or language, open in a
+ * new tab, download a file, only change the anchor or carry data-router-ignore.
+ *
+ * Events on document:
+ *   pageContentReplaced     the new content is in place ({ url, container });
+ *                           modules set up the parts of the page they own again
+ *   pageTransitionComplete  the new page is visible
+ */
+
+(function() {
+  'use strict';
+
+  const CONTAINER_SELECTOR = '#scroll-container';
+
+  // Page-specific tags copied from the next page's <head>
+  const HEAD_SELECTORS = [
+    'meta[name="description"]',
+    'meta[property]',
+    'link[rel="canonical"]',
+    'link[rel="alternate"][hreflang]',
+    'script[type="application/ld+json"]'
+  ];
+
+  // Fade used when the browser has no View Transitions API
+  const FALLBACK_FADE = 0.3;
+
+  const pages = new Map();
+  let navigationId = 0;
+  let currentPage = getPageKey(window.location);
+
+  // Path and query, which identify the content; the anchor does not
+  function getPageKey(location) {
+    return location.pathname + location.search;
+  }
+
+  function getContainer(doc = document) {
+    return doc.querySelector(CONTAINER_SELECTOR);
+  }
+
+  function supportsViewTransitions() {
+    return typeof document.startViewTransition === 'function';
+  }
+
+  function isReducedMotion() {
+    return Boolean(window.MotionPolicy && MotionPolicy.isReduced());
+  }
+
+  function isHtmlPage(url) {
+    if (url.pathname.indexOf('/api/') === 0) return false;
+
+    const extension = url.pathname.match(/\.([a-z0-9]+)$/i);
+    return !extension || extension[1].toLowerCase() === 'html';
+  }
+
+  function getPageLocale(url) {
+    if (!window.LanguageRouter) return null;
+    return LanguageRouter.getLocale(LanguageRouter.getPagePath(url.pathname));
+  }
+
+  /**
+   * Check whether a link click can be handled without a full page load
+   */
+  function shouldRoute(link, event) {
+    if (event.defaultPrevented || event.button !== 0) return false;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+    if (link.target || link.hasAttribute('download') || link.hasAttribute('data-router-ignore')) return false;
+    if (!getContainer()) return false;
+
+    const url = new URL(link.href, window.location.href);
+    const current = new URL(window.location.href);
+
+    if (url.origin !== current.origin || !isHtmlPage(url)) return false;
+
+    // Anchors on the current page are left to the browser
+    if (getPageKey(url) === getPageKey(current)) return false;
+
+    // Switching language reloads the page so <head> and the navigation match
+    return getPageLocale(url) === getPageLocale(current);
+  }
+
+  /**
+   * Fetch and parse a page, sharing the request between callers
+   */
+  function loadPage(url) {
+    const key = url.split('#')[0];
+
+    if (!pages.has(key)) {
+      const request = fetch(key, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Page request failed (${response.status})`);
+          }
+          return response.text();
+        })
+        .then(html => new DOMParser().parseFromString(html, 'text/html'))
+        .catch(error => {
+          pages.delete(key);
+          throw error;
+        });
+
+      pages.set(key, request);
+    }
+
+    return pages.get(key);
+  }
+
+  /**
+   * Get the URL the next page's relative links resolve against: its <base>
+   * (the /projects/<id> rewrites of project.html declare one) or its address
+   */
+  function getBaseUrl(doc, url) {
+    const base = doc.querySelector('base[href]');
+    return base ? new URL(base.getAttribute('href'), url).href : url;
+  }
+
+  /**
+   * Load stylesheets the next page uses that this page does not, before the swap
+   */
+  function loadStylesheets(doc, url) {
+    const present = Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(link => link.href);
+
+    const loads = Array.from(doc.querySelectorAll('link[rel="stylesheet"]'))
+      .map(link => new URL(link.getAttribute('href'), getBaseUrl(doc, url)).href)
+      .filter(href => present.indexOf(href) === -1)
+      .map(href => new Promise(resolve => {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.type = 'text/css';
+        link.href = href;
+        link.onload = resolve;
+        link.onerror = resolve;
+        document.head.appendChild(link);
+      }));
+
+    return Promise.all(loads);
+  }
+
+  /**
+   * Run the next page's scripts that are not on this page yet, in order.
+   * They start against the current content, which has nothing of theirs,
+   * and pick up the new content from pageContentReplaced
+   */
+  function loadScripts(doc, url) {
+    const present = Array.from(document.scripts).map(script => script.src).filter(Boolean);
+
+    const sources = Array.from(doc.querySelectorAll('body script[src]'))
+      .map(script => new URL(script.getAttribute('src'), getBaseUrl(doc, url)).href)
+      .filter(src => present.indexOf(src) === -1);
+
+    return sources.reduce((previous, src) => previous.then(() => new Promise(resolve => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = false;
+      script.onload = resolve;
+      script.onerror = resolve;
+      document.body.appendChild(script);
+    })), Promise.resolve());
+  }
+
+  /**
+   * Copy the title, meta tags, hreflang links, JSON-LD, language and Webflow
+   * page id from the next page
+   */
+  function updateHead(doc) {
+    document.title = doc.title;
+
+    HEAD_SELECTORS.forEach(selector => {
+      document.head.querySelectorAll(selector).forEach(element => element.remove());
+      doc.head.querySelectorAll(selector).forEach(element => {
+        document.head.appendChild(document.importNode(element, true));
+      });
+    });
+
+    const pageId = doc.documentElement.getAttribute('data-wf-page');
+    if (pageId) document.documentElement.setAttribute('data-wf-page', pageId);
+
+    const lang = doc.documentElement.getAttribute('lang');
+    if (lang) document.documentElement.setAttribute('lang', lang);
+  }
+
+  /**
+   * Mark the navigation links that point at the current page
+   */
+  function updateCurrentLinks() {
+    const path = window.location.pathname;
+
+    document.querySelectorAll('.navbar a[href], .mobile-menu a[href]').forEach(link => {
+      const isCurrent = new URL(link.href, window.location.href).pathname === path;
+
+      link.classList.toggle('w--current', isCurrent);
+      if (isCurrent) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Let Webflow bind sliders, tabs and interactions in the new content
+   */
+  function reinitWebflow() {
+    if (!window.Webflow || typeof window.Webflow.ready !== 'function') return;
+
+    window.Webflow.destroy();
+    window.Webflow.ready();
+
+    const ix2 = window.Webflow.require && window.Webflow.require('ix2');
+    if (ix2 && typeof ix2.init === 'function') ix2.init();
+  }
+
+  /**
+   * Jump to the section in the URL (such as about.html#leadership), the saved
+   * position or the top
+   */
+  function restoreScroll(url, scrollY) {
+    const hash = new URL(url).hash;
+
+    if (window.ScrollManager) {
+      if (!hash || !ScrollManager.scrollTo(hash, { immediate: true })) {
+        ScrollManager.scrollTo(scrollY || 0, { immediate: true });
+      }
+      return;
+    }
+
+    const target = hash ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+    if (target) {
+      target.scrollIntoView({ block: 'start' });
+    } else {
+      window.scrollTo(0, scrollY || 0);
+    }
+  }
+
+  /**
+   * Take over the next page's <base>, or drop ours, before its content goes
+   * in so relative images and links resolve as they would on a full load
+   */
+  function updateBase(doc) {
+    const next = doc.querySelector('base[href]');
+    let base = document.querySelector('base');
+
+    if (!next) {
+      if (base) base.remove();
+      return;
+    }
+
+    if (!base) {
+      base = document.createElement('base');
+      document.head.insertBefore(base, document.head.firstChild);
+    }
+    base.setAttribute('href', next.getAttribute('href'));
+  }
+
+  function swapContent(doc) {
+    updateBase(doc);
+    getContainer().innerHTML = getContainer(doc).innerHTML;
+  }
+
+  /**
+   * Swap the content inside a View Transition, or behind a short fade
+   */
+  function transition(doc, onSwap) {
+    const update = () => {
+      swapContent(doc);
+      onSwap();
+    };
+
+    if (isReducedMotion()) {
+      update();
+      return Promise.resolve();
+    }
+
+    if (supportsViewTransitions()) {
+      const viewTransition = document.startViewTransition(update);
+      return viewTransition.finished.catch(() => {});
+    }
+
+    if (typeof gsap === 'undefined') {
+      update();
+      return Promise.resolve();
+    }
+
+    const container = getContainer();
+    return new Promise(resolve => {
+      gsap.to(container, {
+        opacity: 0,
+        duration: FALLBACK_FADE,
+        ease: 'power2.in',
+        onComplete: () => {
+          update();
+          gsap.to(container, {
+            opacity: 1,
+            duration: FALLBACK_FADE,
+            ease: 'power2.out',
+            clearProps: 'opacity',
+            onComplete: resolve
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Navigate to a page of this site without reloading.
+   * mode is "push" for links, "pop" for back/forward
+   */
+  function navigate(href, options = {}) {
+    const url = new URL(href, window.location.href).href;
+    const mode = options.mode || 'push';
+    const id = ++navigationId;
+
+    document.documentElement.classList.add('is-navigating');
+
+    return loadPage(url)
+      .then(doc => {
+        if (!getContainer(doc)) throw new Error('Page has no #scroll-container');
+        return loadStylesheets(doc, url).then(() => loadScripts(doc, url)).then(() => doc);
+      })
+      .then(doc => {
+        // A newer navigation has started
+        if (id !== navigationId) return;
+
+        if (mode === 'push') {
+          window.history.replaceState(Object.assign({}, window.history.state, { scrollY: window.scrollY }), '');
+          window.history.pushState({ scrollY: 0 }, '', url);
+        }
+        currentPage = getPageKey(window.location);
+
+        return transition(doc, () => {
+          updateHead(doc);
+          updateCurrentLinks();
+          restoreScroll(url, options.scrollY);
+          reinitWebflow();
+
+          document.dispatchEvent(new CustomEvent('pageContentReplaced', {
+            detail: { url, container: getContainer() }
+          }));
+        }).then(() => {
+          if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+          document.dispatchEvent(new Event('pageTransitionComplete'));
+        });
+      })
+      .catch(error => {
+        console.warn('Soft navigation failed, loading the page instead:', error);
+        window.location.href = url;
+      })
+      .finally(() => {
+        if (id === navigationId) document.documentElement.classList.remove('is-navigating');
+      });
+  }
+
+  /**
+   * Start the router
+   */
+  function initPageRouter() {
+    if (!window.fetch || !window.DOMParser || !window.history.pushState) return;
+
+    window.history.scrollRestoration = 'manual';
+    window.history.replaceState(Object.assign({}, window.history.state, { scrollY: window.scrollY }), '');
+
+    document.addEventListener('click', event => {
+      const link = event.target.closest ? event.target.closest('a[href]') : null;
+      if (!link || !shouldRoute(link, event)) return;
+
+      event.preventDefault();
+
+      if (link.closest('.mobile-menu') && window.TouchEnhancements) {
+        TouchEnhancements.closeMobileMenu();
+      }
+
+      navigate(link.href);
+    });
+
+    window.addEventListener('popstate', event => {
+      // Anchor changes on the same page are left to the browser
+      if (getPageKey(window.location) === currentPage) return;
+      navigate(window.location.href, { mode: 'pop', scrollY: event.state && event.state.scrollY });
+    });
+  }
+
+  initPageRouter();
+
+  // Export functions for external use
+  window.PageRouter = {
+    navigate,
+    shouldRoute,
+    prefetch: href => loadPage(new URL(href, window.location.href).href)
+  };
+
+})();
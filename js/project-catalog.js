@@ -0,0 +1,337 @@
+/**
+ * Project Catalog for Calma Website
+ * Loads the bilingual project list from data/projects.json and renders
+ * the residential and commercial sections of the projects page.
+ * Loaded on every page: the catalog is only fetched where it is needed,
+ * and the locale and escaping helpers are shared by the other modules
+ */
+
+(function() {
+  'use strict';
+
+  // Resolve data and asset paths relative to this script so the same file
+  // works from the Arabic root pages and the English /en/ pages
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const assetRoot = new URL('../', scriptSrc).href;
+  const catalogUrl = new URL('data/projects.json', assetRoot).href;
+
+  const DEFAULT_IMAGE_SIZES = '(max-width: 767px) 100vw, (max-width: 991px) 95vw, 940px';
+
+  let catalogPromise = null;
+
+  /**
+   * Detect the page language ('ar' for the root pages, 'en' under /en/)
+   */
+  function getLocale() {
+    const lang = document.documentElement.getAttribute('lang');
+    if (lang) return lang.toLowerCase().indexOf('ar') === 0 ? 'ar' : 'en';
+
+    return /\/en\//.test(window.location.pathname) ? 'en' : 'ar';
+  }
+
+  /**
+   * Fetch the catalog once and share the result between callers
+   */
+  function loadCatalog() {
+    if (!catalogPromise) {
+      catalogPromise = fetch(catalogUrl, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Project catalog request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          catalogPromise = null;
+          throw error;
+        });
+    }
+
+    return catalogPromise;
+  }
+
+  /**
+   * Get all projects, optionally limited to one category
+   */
+  function getProjects(category) {
+    return loadCatalog().then(catalog => {
+      return category
+        ? catalog.projects.filter(project => project.category === category)
+        : catalog.projects.slice();
+    });
+  }
+
+  /**
+   * Find a project by id or code (case-insensitive)
+   */
+  function findProject(idOrCode) {
+    const needle = String(idOrCode || '').trim().toLowerCase();
+
+    return loadCatalog().then(catalog => {
+      return catalog.projects.find(project => {
+        return project.id === needle || (project.code && project.code.toLowerCase() === needle);
+      }) || null;
+    });
+  }
+
+  /**
+   * Pick the string for the given locale from a bilingual { ar, en } field
+   */
+  function localize(field, locale) {
+    if (field == null) return '';
+    if (typeof field === 'string') return field;
+
+    return field[locale] || field.en || field.ar || '';
+  }
+
+  /**
+   * Build the "SH90 - Residential Apartments" style heading for a project
+   */
+  function getProjectHeading(project, locale) {
+    return `${localize(project.name, locale)} - ${localize(project.title, locale)}`;
+  }
+
+  /**
+   * Build the detail page URL for a project, e.g. /projects/ys170 or /en/projects/ys170
+   */
+  function getProjectUrl(project, locale) {
+    const prefix = (locale || getLocale()) === 'en' ? 'en/projects/' : 'projects/';
+    return new URL(prefix + encodeURIComponent(project.id), assetRoot).href;
+  }
+
+  /**
+   * Prefix a site-relative path (images/..., documents/...) for the current page
+   */
+  function resolveAsset(path) {
+    return new URL(path, assetRoot).href;
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function resolveSrcset(srcset) {
+    return srcset
+      .split(',')
+      .map(candidate => {
+        const parts = candidate.trim().split(/\s+/);
+        return `${resolveAsset(parts[0])} ${parts[1] || ''}`.trim();
+      })
+      .join(', ');
+  }
+
+  /**
+   * Render a responsive <img> for a catalog image entry
+   */
+  function renderImage(image, alt) {
+    const srcset = image.srcset
+      ? ` sizes="${DEFAULT_IMAGE_SIZES}" srcset="${escapeHtml(resolveSrcset(image.srcset))}"`
+      : '';
+
+    return `<img src="${escapeHtml(resolveAsset(image.src))}" loading="lazy"${srcset} alt="${escapeHtml(alt || '')}" class="image">`;
+  }
+
+  /**
+   * Render a Webflow slider with one slide per project image
+   */
+  function renderSlider(project, locale, variant) {
+    const isCommercial = variant === 'commercial';
+    const alt = getProjectHeading(project, locale);
+    const slides = project.images.map(image => `
+      <div class="w-slide">
+        <div class="${isCommercial ? 'commercial-project-img-wrapper' : 'residential-slider-image-wrap'}">${renderImage(image, alt)}</div>
+      </div>`).join('');
+
+    return `
+      <div data-delay="4000" data-animation="slide" class="${isCommercial ? 'commercial-slider' : 'residential-slider'} w-slider" data-autoplay="false" data-easing="ease" data-hide-arrows="false" data-disable-swipe="false" data-autoplay-limit="0" data-nav-spacing="3" data-duration="500" data-infinite="true">
+        <div class="${isCommercial ? '' : 'mask '}w-slider-mask">${slides}
+        </div>
+        <div class="${isCommercial ? 'left-arrow-3' : 'left-arrow-2'} w-slider-arrow-left">
+          <div class="w-icon-slider-left"></div>
+        </div>
+        <div class="${isCommercial ? 'right-arrow-3' : 'right-arrow-2'} w-slider-arrow-right">
+          <div class="w-icon-slider-right"></div>
+        </div>
+        <div class="w-slider-nav w-round"></div>
+      </div>`;
+  }
+
+  /**
+   * Render the feature bullets shown beside commercial projects
+   */
+  function renderFeatures(project, locale) {
+    const features = localize(project.features, locale) || [];
+    const arabicClass = locale === 'ar' ? ' arabic' : '';
+    const items = features.map(feature => `
+      <div class="line"></div>
+      <div class="project-stat-wrapper">
+        <h4 class="stats normal${arabicClass}">${escapeHtml(feature)}</h4>
+      </div>`).join('');
+
+    return `<div class="location-stats-div${arabicClass}" data-animate="stats-sequence">${items}
+      <div class="line"></div>
+    </div>`;
+  }
+
+  /**
+   * Render one residential row; rows alternate image/details order
+   */
+  function renderResidentialRow(project, index, locale) {
+    const isArabic = locale === 'ar';
+    const linkLabel = isArabic ? 'تفاصيل المشروع' : 'View project';
+    const detailsFirst = (index % 2 === 0) === isArabic;
+    const detailsClass = isArabic ? 'project-details-div arabic' : `project-details-div${detailsFirst ? ' left' : ''}`;
+    const textClass = isArabic ? ' arabic' : '';
+
+    const details = `
+      <div class="w-layout-cell catalog-details-cell">
+        <div class="${detailsClass}">
+          <h3 class="project-heading">${escapeHtml(getProjectHeading(project, locale))}</h3>
+          <h4 class="project-sub-heading">${escapeHtml(localize(project.location, locale))}</h4>
+          <div class="project-para-wrapper">
+            <p class="paragraph dark${textClass}">${escapeHtml(localize(project.description, locale))}</p>
+          </div>
+          <a href="${escapeHtml(getProjectUrl(project, locale))}" class="button grey${textClass} w-button project-detail-link">${linkLabel}</a>
+        </div>
+      </div>`;
+    const media = `
+      <div class="w-layout-cell catalog-media-cell">
+        <div class="residential-slider-wrapper">${renderSlider(project, locale, 'residential')}
+        </div>
+      </div>`;
+
+    return `
+      <div id="project-${escapeHtml(project.id)}" data-project-id="${escapeHtml(project.id)}" class="w-layout-layout residential-quick-stack catalog-row wf-layout-layout" data-animate="row-in">
+        ${detailsFirst ? details + media : media + details}
+      </div>`;
+  }
+
+  /**
+   * Render one commercial row with its feature list
+   */
+  function renderCommercialRow(project, index, locale) {
+    const isArabic = locale === 'ar';
+    const detailsFirst = (index % 2 === 0) === isArabic;
+    const arabicClass = isArabic ? ' arabic' : '';
+    const linkLabel = isArabic ? 'تفاصيل المشروع' : 'View project';
+    const wrapperClass = `commercial-project-details-wrapper${detailsFirst ? ' no-padding' : ''}${isArabic ? ' arabic' : ' en'}`;
+
+    const details = `
+      <div class="w-layout-cell catalog-details-cell">
+        <div class="${wrapperClass}">
+          <div class="commercial-project-div${arabicClass}">
+            <div class="project-heading-div">
+              <h3 class="project-heading${arabicClass}">${escapeHtml(getProjectHeading(project, locale))}</h3>
+              <h4 class="project-sub-heading${arabicClass}">${escapeHtml(localize(project.location, locale))}</h4>
+            </div>
+            <div class="project-para-wrapper">
+              <p class="paragraph dark${arabicClass}">${escapeHtml(localize(project.description, locale))}</p>
+            </div>
+            <a href="${escapeHtml(getProjectUrl(project, locale))}" class="button grey${arabicClass} w-button project-detail-link">${linkLabel}</a>
+          </div>
+          ${renderFeatures(project, locale)}
+        </div>
+      </div>`;
+    const media = `
+      <div class="w-layout-cell catalog-media-cell">${renderSlider(project, locale, 'commercial')}
+      </div>`;
+
+    return `
+      <div id="project-${escapeHtml(project.id)}" data-project-id="${escapeHtml(project.id)}" class="w-layout-layout commercial-project-quick-stack catalog-row${arabicClass} wf-layout-layout" data-animate="row-in">
+        ${detailsFirst ? details + media : media + details}
+      </div>`;
+  }
+
+  /**
+   * Render a list of projects into a container
+   */
+  function renderProjectList(container, projects, locale) {
+    const category = container.getAttribute('data-project-list');
+    const renderRow = category === 'commercial' ? renderCommercialRow : renderResidentialRow;
+
+    container.innerHTML = projects.map((project, index) => renderRow(project, index, locale)).join('');
+  }
+
+  /**
+   * Re-initialise Webflow sliders that were added after webflow.js ran
+   */
+  function refreshWebflowSliders() {
+    if (!window.Webflow || typeof window.Webflow.require !== 'function') return;
+
+    const slider = window.Webflow.require('slider');
+    if (slider && typeof slider.ready === 'function') {
+      slider.ready();
+    }
+  }
+
+  /**
+   * Render every [data-project-list] container on the page
+   */
+  function renderProjectLists() {
+    const containers = document.querySelectorAll('[data-project-list]');
+    if (containers.length === 0) return Promise.resolve([]);
+
+    const locale = getLocale();
+
+    return loadCatalog()
+      .then(catalog => {
+        containers.forEach(container => {
+          const category = container.getAttribute('data-project-list');
+          const projects = catalog.projects.filter(project => project.category === category);
+          renderProjectList(container, projects, locale);
+        });
+
+        refreshWebflowSliders();
+
+        if (typeof ScrollTrigger !== 'undefined') {
+          ScrollTrigger.refresh();
+        }
+
+        document.dispatchEvent(new CustomEvent('projectCatalogRendered', {
+          detail: { catalog, locale }
+        }));
+
+        return catalog.projects;
+      })
+      .catch(error => {
+        console.warn('Project catalog could not be rendered:', error);
+        return [];
+      });
+  }
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', renderProjectLists);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', renderProjectLists);
+  } else {
+    renderProjectLists();
+  }
+
+  // Export functions for external use
+  window.ProjectCatalog = {
+    loadCatalog,
+    getProjects,
+    findProject,
+    localize,
+    getLocale,
+    getProjectHeading,
+    getProjectUrl,
+    renderImage,
+    renderFeatures,
+    renderSlider,
+    renderProjectList,
+    renderProjectLists,
+    refreshWebflowSliders,
+    resolveAsset,
+    resolveSrcset,
+    escapeHtml
+  };
+
+})();
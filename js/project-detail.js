@@ -0,0 +1,248 @@
+/**
+ * Project Detail Page for Calma Website
+ * Renders a single project from the catalog on /projects/<id> (Arabic)
+ * and /en/projects/<id> (English). Vercel rewrites those paths to
+ * project.html / en/project.html; locally project.html?id=ys170 works too.
+ */
+
+(function() {
+  'use strict';
+
+  const LABELS = {
+    ar: {
+      units: 'وحدة',
+      unitsLabel: 'عدد الوحدات',
+      district: 'الحي',
+      city: 'المدينة',
+      type: 'نوع المنتج',
+      roads: 'طرق قريبة',
+      features: 'المميزات',
+      documents: 'ملفات المشروع',
+      brochure: 'الكتيب التعريفي',
+      floorplan: 'مخططات الوحدات',
+      factsheet: 'نشرة المشروع',
+      registerInterest: 'سجّل اهتمامك',
+      notFoundTitle: 'المشروع غير موجود',
+      notFoundText: 'لم نتمكن من العثور على هذا المشروع.',
+      backToProjects: 'جميع المشاريع'
+    },
+    en: {
+      units: 'units',
+      unitsLabel: 'Units',
+      district: 'District',
+      city: 'City',
+      type: 'Product type',
+      roads: 'Nearby roads',
+      features: 'Features',
+      documents: 'Project documents',
+      brochure: 'Brochure',
+      floorplan: 'Floorplans',
+      factsheet: 'Factsheet',
+      registerInterest: 'Register your interest',
+      notFoundTitle: 'Project not found',
+      notFoundText: 'We could not find this project.',
+      backToProjects: 'All projects'
+    }
+  };
+
+  // Download pages each project links to, keyed by document type
+  const DOCUMENT_PAGES = {
+    brochure: 'brochures.html',
+    floorplan: 'floorplans.html',
+    factsheet: 'factsheets.html'
+  };
+
+  /**
+   * Read the project id from /projects/<id>, /en/projects/<id> or ?id=
+   */
+  function getRequestedProjectId() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('id')) return params.get('id');
+
+    const match = window.location.pathname.match(/\/projects\/([^/?#]+)\/?$/);
+    return match ? decodeURIComponent(match[1]) : '';
+  }
+
+  /**
+   * Get the page-relative link for a site page in the current locale
+   */
+  function getPageUrl(page, locale) {
+    return ProjectCatalog.resolveAsset(locale === 'en' ? `en/${page}` : page);
+  }
+
+  /**
+   * Get the contact page URL with the project preselected
+   */
+  function getRegisterInterestUrl(project, locale) {
+    return `${getPageUrl('contact.html', locale)}?project=${encodeURIComponent(project.code || project.id)}`;
+  }
+
+  /**
+   * Render one key fact in the projects page stats style
+   */
+  function renderFact(value, label) {
+    const escape = ProjectCatalog.escapeHtml;
+
+    return `
+      <div class="project-stats-div">
+        <div class="stats-div-project">
+          <h2 class="section-heading dark" data-animate="words-up" data-split="words">${escape(value)}</h2>
+          <h5 class="stats-sub-heading" data-animate="fade-up">${escape(label)}</h5>
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Render links to the project's brochure, floorplans and factsheet
+   */
+  function renderDocumentLinks(project, locale) {
+    const labels = LABELS[locale];
+    const arabicClass = locale === 'ar' ? ' arabic' : '';
+
+    return Object.keys(DOCUMENT_PAGES).map(type => {
+      const href = `${getPageUrl(DOCUMENT_PAGES[type], locale)}?project=${encodeURIComponent(project.id)}`;
+      return `<a href="${ProjectCatalog.escapeHtml(href)}" data-document-type="${type}" data-project-id="${ProjectCatalog.escapeHtml(project.id)}" class="button grey${arabicClass} w-button">${labels[type]}</a>`;
+    }).join('');
+  }
+
+  /**
+   * Render the full detail view for a project
+   */
+  function renderProjectDetail(container, project, catalog, locale) {
+    const labels = LABELS[locale];
+    const localize = ProjectCatalog.localize;
+    const escape = ProjectCatalog.escapeHtml;
+    const isArabic = locale === 'ar';
+    const arabicClass = isArabic ? ' arabic' : '';
+    const heading = ProjectCatalog.getProjectHeading(project, locale);
+    const district = catalog.districts[project.district];
+    const roads = (project.roads || []).map(road => localize(catalog.roads[road], locale));
+    const types = project.types.map(type => localize(catalog.types[type], locale)).join(isArabic ? ' و' : ' & ');
+    const units = isArabic ? project.units.toLocaleString('ar-SA') : String(project.units);
+
+    container.innerHTML = `
+      <section class="section page-hero">
+        <div class="page-hero-content-wrapper">
+          <h1 class="page-hero-heading" data-animate="words-up" data-split="words">${escape(heading)}</h1>
+          <div class="sub-heading hero" data-animate="fade-up">${escape(localize(project.location, locale))}</div>
+        </div>
+        <div class="w-layout-blockcontainer container full hero w-container">
+          <div class="project-detail-gallery residential-slider-wrapper" data-project-id="${escape(project.id)}">${ProjectCatalog.renderSlider(project, locale, 'residential')}
+          </div>
+        </div>
+      </section>
+      <section class="section desert-storm">
+        <div class="w-layout-blockcontainer container w-container">
+          <div class="center-align-div center">
+            <div class="center-para-wrapper projects">
+              <p class="paragraph dark center" data-animate="fade-up">${escape(localize(project.description, locale))}</p>
+            </div>
+            <div class="project-stats-grid project-detail-facts">
+              ${renderFact(units, labels.unitsLabel)}
+              ${renderFact(localize(district, locale), labels.district)}
+              ${renderFact(localize(catalog.cities[project.city], locale), labels.city)}
+              ${renderFact(types, labels.type)}
+            </div>
+            ${roads.length ? `<h5 class="stats-sub-heading project-detail-roads" data-animate="fade-up">${escape(labels.roads)}: ${escape(roads.join(isArabic ? '، ' : ', '))}</h5>` : ''}
+          </div>
+        </div>
+      </section>
+      <section class="section projects">
+        <div class="w-layout-blockcontainer container w-container">
+          <div class="project-detail-columns${arabicClass}">
+            <div class="project-detail-features">
+              <h2 class="section-heading dark" data-animate="words-up" data-split="words">${escape(labels.features)}</h2>
+              ${ProjectCatalog.renderFeatures(project, locale)}
+            </div>
+            <div class="project-detail-documents">
+              <h2 class="section-heading dark" data-animate="words-up" data-split="words">${escape(labels.documents)}</h2>
+              <div class="project-button-wrapper project-detail-buttons">${renderDocumentLinks(project, locale)}</div>
+              <a href="${escape(getRegisterInterestUrl(project, locale))}" data-register-interest="${escape(project.code || project.id)}" class="button dark${arabicClass} w-button">${escape(labels.registerInterest)}</a>
+            </div>
+          </div>
+        </div>
+      </section>`;
+  }
+
+  /**
+   * Render the not-found state with a link back to the projects list
+   */
+  function renderNotFound(container, locale) {
+    const labels = LABELS[locale];
+    const arabicClass = locale === 'ar' ? ' arabic' : '';
+
+    container.innerHTML = `
+      <section class="section page-hero _2nd">
+        <div class="page-hero-content-wrapper">
+          <h1 class="page-hero-heading" data-animate="words-up" data-split="words">${labels.notFoundTitle}</h1>
+          <div class="sub-heading hero" data-animate="fade-up">${labels.notFoundText}</div>
+          <a href="${ProjectCatalog.escapeHtml(getPageUrl('projects.html', locale))}" class="button grey${arabicClass} w-button">${labels.backToProjects}</a>
+        </div>
+      </section>`;
+  }
+
+  /**
+   * Point the title and social meta tags at the project
+   */
+  function updateMeta(project, locale) {
+    const title = ProjectCatalog.getProjectHeading(project, locale);
+    document.title = title;
+
+    ['og:title', 'twitter:title'].forEach(property => {
+      const meta = document.querySelector(`meta[property="${property}"]`);
+      if (meta) meta.setAttribute('content', title);
+    });
+  }
+
+  /**
+   * Load the requested project and render it
+   */
+  function initProjectDetail() {
+    const container = document.querySelector('[data-project-detail]');
+    if (!container || typeof ProjectCatalog === 'undefined') return;
+
+    const locale = ProjectCatalog.getLocale();
+
+    Promise.all([ProjectCatalog.loadCatalog(), ProjectCatalog.findProject(getRequestedProjectId())])
+      .then(([catalog, project]) => {
+        if (!project) {
+          renderNotFound(container, locale);
+          return;
+        }
+
+        renderProjectDetail(container, project, catalog, locale);
+        updateMeta(project, locale);
+        ProjectCatalog.refreshWebflowSliders();
+
+        if (typeof ScrollTrigger !== 'undefined') {
+          ScrollTrigger.refresh();
+        }
+
+        document.dispatchEvent(new CustomEvent('projectDetailRendered', {
+          detail: { project, locale }
+        }));
+      })
+      .catch(error => {
+        console.warn('Project detail could not be rendered:', error);
+        renderNotFound(container, locale);
+      });
+  }
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initProjectDetail);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProjectDetail);
+  } else {
+    initProjectDetail();
+  }
+
+  // Export functions for external use
+  window.ProjectDetail = {
+    getRequestedProjectId,
+    getRegisterInterestUrl,
+    renderProjectDetail
+  };
+
+})();
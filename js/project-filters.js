@@ -0,0 +1,355 @@
+/**
+ * Project Filters for Calma Website
+ * Faceted filtering (city, district, type, unit count) and free-text search
+ * over the project catalog, with the filter state kept in the query string
+ */
+
+(function() {
+  'use strict';
+
+  // Query string keys, e.g. projects.html?city=riyadh&type=villas
+  const FILTER_KEYS = ['city', 'district', 'type', 'minUnits', 'maxUnits', 'q'];
+
+  const RESULT_LABELS = {
+    ar: {
+      count: (shown, total) => `عرض ${shown} من ${total} مشروعًا`,
+      empty: 'لا توجد مشاريع مطابقة لخيارات البحث.'
+    },
+    en: {
+      count: (shown, total) => `Showing ${shown} of ${total} projects`,
+      empty: 'No projects match your search.'
+    }
+  };
+
+  let catalog = null;
+  let locale = 'ar';
+  let form = null;
+  let state = {};
+
+  /**
+   * Normalise text for matching: lower case, Latin digits, no Arabic
+   * diacritics or tatweel, and unified alef / ya / ta marbuta forms
+   */
+  function normalizeSearchText(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+      .replace(/[ً-ٰٟـ]/g, '')
+      .replace(/[آأإ]/g, 'ا')
+      .replace(/ى/g, 'ي')
+      .replace(/ة/g, 'ه')
+      .replace(/[-_،,.]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Read the filter state from a query string
+   */
+  function parseFilterState(search) {
+    const params = new URLSearchParams(search || '');
+    const parsed = {};
+
+    FILTER_KEYS.forEach(key => {
+      const value = (params.get(key) || '').trim();
+      if (value) parsed[key] = value;
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Serialise the filter state back into a query string
+   */
+  function serializeFilterState(filterState, baseSearch) {
+    const params = new URLSearchParams(baseSearch || '');
+
+    FILTER_KEYS.forEach(key => {
+      if (filterState[key]) {
+        params.set(key, filterState[key]);
+      } else {
+        params.delete(key);
+      }
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Collect every searchable string for a project in both languages
+   */
+  function getSearchIndex(project) {
+    if (project._searchIndex) return project._searchIndex;
+
+    const district = catalog.districts[project.district] || {};
+    const city = catalog.cities[project.city] || {};
+    const parts = [project.id, project.code, district.ar, district.en, city.ar, city.en];
+
+    ['name', 'title', 'location', 'description'].forEach(field => {
+      if (project[field]) parts.push(project[field].ar, project[field].en);
+    });
+
+    project.types.forEach(type => {
+      const label = catalog.types[type] || {};
+      parts.push(type, label.ar, label.en);
+    });
+
+    (project.roads || []).forEach(road => {
+      const label = catalog.roads[road] || {};
+      parts.push(label.ar, label.en);
+    });
+
+    project._searchIndex = normalizeSearchText(parts.filter(Boolean).join(' '));
+    return project._searchIndex;
+  }
+
+  /**
+   * Test one project against the filter state
+   */
+  function matchesFilters(project, filterState) {
+    if (filterState.city && project.city !== filterState.city) return false;
+    if (filterState.district && project.district !== filterState.district) return false;
+    if (filterState.type && project.types.indexOf(filterState.type) === -1) return false;
+
+    const minUnits = parseInt(filterState.minUnits, 10);
+    const maxUnits = parseInt(filterState.maxUnits, 10);
+    if (!isNaN(minUnits) && project.units < minUnits) return false;
+    if (!isNaN(maxUnits) && project.units > maxUnits) return false;
+
+    if (filterState.q) {
+      const index = getSearchIndex(project);
+      const terms = normalizeSearchText(filterState.q).split(' ').filter(Boolean);
+      if (!terms.every(term => index.indexOf(term) !== -1)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Fill a <select> with localised options, keeping its first "all" option
+   */
+  function populateSelect(select, entries, selected) {
+    if (!select) return;
+
+    const allOption = select.options[0];
+    select.innerHTML = '';
+    if (allOption) select.appendChild(allOption);
+
+    entries.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.value = entries.some(([value]) => value === selected) ? selected : '';
+  }
+
+  /**
+   * Rebuild the district options for the selected city
+   */
+  function populateDistricts() {
+    const districts = Object.keys(catalog.districts)
+      .filter(key => !state.city || catalog.districts[key].city === state.city)
+      .map(key => [key, ProjectCatalog.localize(catalog.districts[key], locale)]);
+
+    populateSelect(form.elements.district, districts, state.district);
+
+    if (state.district && !districts.some(([key]) => key === state.district)) {
+      delete state.district;
+    }
+  }
+
+  /**
+   * Reflect the filter state in the form controls
+   */
+  function syncForm() {
+    const toEntries = group => Object.keys(group).map(key => [key, ProjectCatalog.localize(group[key], locale)]);
+
+    populateSelect(form.elements.city, toEntries(catalog.cities), state.city);
+    populateSelect(form.elements.type, toEntries(catalog.types), state.type);
+    populateDistricts();
+
+    ['minUnits', 'maxUnits', 'q'].forEach(key => {
+      if (form.elements[key]) form.elements[key].value = state[key] || '';
+    });
+  }
+
+  /**
+   * Read the form controls into a filter state object
+   */
+  function readForm() {
+    const next = {};
+
+    FILTER_KEYS.forEach(key => {
+      const control = form.elements[key];
+      const value = control ? String(control.value).trim() : '';
+      if (value) next[key] = value;
+    });
+
+    return next;
+  }
+
+  /**
+   * Animate freshly rendered result rows with their data-animate presets
+   */
+  function animateResults(rows) {
+    if (typeof CalmaAnimations === 'undefined' || rows.length === 0) return;
+
+    rows.forEach(row => CalmaAnimations.scan(row));
+
+    if (typeof ScrollTrigger !== 'undefined') {
+      ScrollTrigger.refresh();
+    }
+  }
+
+  /**
+   * Update the result count and empty-state message
+   */
+  function updateSummary(shown, total) {
+    const labels = RESULT_LABELS[locale];
+    const count = document.querySelector('[data-project-filter-count]');
+    const empty = document.querySelector('[data-project-filter-empty]');
+
+    if (count) count.textContent = labels.count(shown, total);
+    if (empty) {
+      empty.textContent = labels.empty;
+      empty.hidden = shown > 0;
+    }
+  }
+
+  /**
+   * Render the filtered catalog into every [data-project-list] container
+   */
+  function applyFilters(options = {}) {
+    if (!catalog) return [];
+
+    const matches = catalog.projects.filter(project => matchesFilters(project, state));
+    const renderedRows = [];
+
+    document.querySelectorAll('[data-project-list]').forEach(container => {
+      const category = container.getAttribute('data-project-list');
+      const projects = matches.filter(project => project.category === category);
+      const section = container.closest('section');
+
+      ProjectCatalog.renderProjectList(container, projects, locale);
+      if (section) section.hidden = projects.length === 0;
+
+      renderedRows.push(...container.querySelectorAll('.catalog-row'));
+    });
+
+    ProjectCatalog.refreshWebflowSliders();
+    updateSummary(matches.length, catalog.projects.length);
+
+    if (options.updateUrl !== false) {
+      const url = `${window.location.pathname}${serializeFilterState(state, window.location.search)}${window.location.hash}`;
+      window.history.replaceState(window.history.state, '', url);
+    }
+
+    if (options.animate !== false) {
+      animateResults(renderedRows);
+    }
+
+    document.dispatchEvent(new CustomEvent('projectFiltersChanged', {
+      detail: { state: Object.assign({}, state), projects: matches }
+    }));
+
+    return matches;
+  }
+
+  /**
+   * Debounce helper for the free-text search input
+   */
+  function debounce(fn, wait) {
+    let timer = null;
+    return function() {
+      const args = arguments;
+      clearTimeout(timer);
+      timer = setTimeout(() => fn.apply(this, args), wait);
+    };
+  }
+
+  /**
+   * Wire up the filter form events
+   */
+  function bindForm() {
+    const onChange = () => {
+      const cityChanged = (form.elements.city && form.elements.city.value) !== (state.city || '');
+      state = readForm();
+      if (cityChanged) populateDistricts();
+      applyFilters();
+    };
+
+    form.addEventListener('change', event => {
+      if (event.target.name !== 'q') onChange();
+    });
+    if (form.elements.q) {
+      form.elements.q.addEventListener('input', debounce(onChange, 250));
+    }
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      onChange();
+    });
+
+    form.addEventListener('reset', () => {
+      // Let the browser clear the controls before reading them back
+      setTimeout(() => {
+        state = {};
+        syncForm();
+        applyFilters();
+      }, 0);
+    });
+  }
+
+  /**
+   * Replace the filter state programmatically and re-render
+   */
+  function setFilterState(next) {
+    state = Object.assign({}, next);
+    if (form) syncForm();
+    return applyFilters();
+  }
+
+  /**
+   * Start filtering once the catalog has rendered; soft navigation renders
+   * it again with a new form
+   */
+  function initProjectFilters(event) {
+    const nextForm = document.querySelector('[data-project-filters]');
+    if (!nextForm || nextForm === form || typeof ProjectCatalog === 'undefined') return;
+
+    form = nextForm;
+
+    catalog = event.detail.catalog;
+    locale = event.detail.locale;
+    state = parseFilterState(window.location.search);
+
+    syncForm();
+    bindForm();
+    form.hidden = false;
+
+    // Only re-render when a shared link carries filters
+    if (Object.keys(state).length > 0) {
+      applyFilters({ updateUrl: false });
+    } else {
+      updateSummary(catalog.projects.length, catalog.projects.length);
+    }
+  }
+
+  document.addEventListener('projectCatalogRendered', initProjectFilters);
+
+  // Export functions for external use
+  window.ProjectFilters = {
+    applyFilters,
+    matchesFilters,
+    normalizeSearchText,
+    parseFilterState,
+    serializeFilterState,
+    setFilterState,
+    getFilterState: () => Object.assign({}, state)
+  };
+
+})();
@@ -0,0 +1,605 @@
+/**
+ * Project Gallery for Calma Website
+ * Full-screen lightbox for project images: tapping a project image opens
+ * every image of that project, with swipe and arrow-key navigation,
+ * pinch and double-tap zoom, Arabic / English captions and links to a
+ * single image such as projects.html#gallery=sh90/2.
+ *
+ * Images come from data/projects.json through js/project-catalog.js; images
+ * of projects that are not in the catalog open on their own.
+ */
+
+(function() {
+  'use strict';
+
+  const TRIGGER_SELECTOR = '.grid-image-wrapper, .residential-slider-image-wrap, .commercial-project-img-wrapper, [data-gallery-item]';
+  const HASH_PATTERN = /^#gallery=([^/]+)\/(\d+)$/;
+
+  const LABELS = {
+    ar: {
+      dialog: 'معرض صور المشروع',
+      open: 'عرض الصورة بملء الشاشة',
+      close: 'إغلاق المعرض',
+      prev: 'الصورة السابقة',
+      next: 'الصورة التالية'
+    },
+    en: {
+      dialog: 'Project image gallery',
+      open: 'View image full screen',
+      close: 'Close gallery',
+      prev: 'Previous image',
+      next: 'Next image'
+    }
+  };
+
+  const ZOOM = {
+    max: 4,
+    doubleTap: 2.5,
+    doubleTapMs: 300
+  };
+
+  const SWIPE_THRESHOLD = 50;
+
+  let gallery = null;
+  let initialized = false;
+  let images = [];
+  let current = 0;
+  let projectId = null;
+  let returnFocus = null;
+  let zoom = { scale: 1, x: 0, y: 0 };
+
+  function getLocale() {
+    if (window.ProjectCatalog) return ProjectCatalog.getLocale();
+    return /\/en\//.test(window.location.pathname) ? 'en' : 'ar';
+  }
+
+  function isRtl() {
+    return getLocale() === 'ar';
+  }
+
+  function formatNumber(value) {
+    return getLocale() === 'ar' ? value.toLocaleString('ar-SA') : String(value);
+  }
+
+  function isTrigger(element) {
+    return Boolean(element && element.matches && element.matches(TRIGGER_SELECTOR) && element.querySelector('img'));
+  }
+
+  /**
+   * Build the lightbox once; it lives outside #scroll-container so soft
+   * navigation leaves it alone
+   */
+  function createGallery() {
+    const labels = LABELS[getLocale()];
+    const element = document.createElement('div');
+
+    element.className = 'project-gallery';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', labels.dialog);
+    element.setAttribute('dir', isRtl() ? 'rtl' : 'ltr');
+    element.setAttribute('lang', getLocale());
+    element.innerHTML = `
+      <div class="project-gallery-stage">
+        <img class="project-gallery-image" alt="" sizes="100vw" draggable="false">
+      </div>
+      <button type="button" class="project-gallery-button project-gallery-close" data-gallery-close aria-label="${labels.close}">&times;</button>
+      <button type="button" class="project-gallery-button project-gallery-prev" data-gallery-prev aria-label="${labels.prev}">&lsaquo;</button>
+      <button type="button" class="project-gallery-button project-gallery-next" data-gallery-next aria-label="${labels.next}">&rsaquo;</button>
+      <div class="project-gallery-caption">
+        <p class="project-gallery-title"></p>
+        <p class="project-gallery-counter" aria-live="polite"></p>
+      </div>`;
+
+    document.body.appendChild(element);
+
+    return {
+      element,
+      stage: element.querySelector('.project-gallery-stage'),
+      image: element.querySelector('.project-gallery-image'),
+      title: element.querySelector('.project-gallery-title'),
+      counter: element.querySelector('.project-gallery-counter'),
+      prev: element.querySelector('[data-gallery-prev]'),
+      next: element.querySelector('[data-gallery-next]')
+    };
+  }
+
+  /**
+   * Turn catalog images into gallery entries with resolved src / srcset
+   */
+  function fromCatalog(project, locale) {
+    const heading = ProjectCatalog.getProjectHeading(project, locale);
+    const location = ProjectCatalog.localize(project.location, locale);
+
+    return project.images.map(image => ({
+      src: ProjectCatalog.resolveAsset(image.src),
+      srcset: image.srcset ? ProjectCatalog.resolveSrcset(image.srcset) : '',
+      alt: heading,
+      caption: ProjectCatalog.localize(image.caption, locale) || [heading, location].filter(Boolean).join(' · ')
+    }));
+  }
+
+  /**
+   * Use the image in the page when the project is not in the catalog
+   */
+  function fromTrigger(trigger) {
+    const img = trigger.querySelector('img');
+
+    return [{
+      src: img.currentSrc || img.src,
+      srcset: img.getAttribute('srcset') || '',
+      alt: img.alt,
+      caption: img.alt
+    }];
+  }
+
+  /**
+   * Load the gallery entries for a project id
+   */
+  function getImages(id) {
+    if (!window.ProjectCatalog || !id) return Promise.resolve([]);
+
+    return ProjectCatalog.findProject(id)
+      .then(project => project && project.images && project.images.length ? fromCatalog(project, getLocale()) : [])
+      .catch(() => []);
+  }
+
+  function getProjectId(trigger) {
+    const scope = trigger.closest('[data-project-id]');
+    return scope ? scope.getAttribute('data-project-id') : null;
+  }
+
+  /**
+   * Find which gallery entry the tapped image shows
+   */
+  function findIndex(entries, trigger) {
+    const img = trigger.querySelector('img');
+    const src = img ? new URL(img.getAttribute('src'), window.location.href).href : null;
+    const index = entries.findIndex(entry => entry.src === src);
+
+    return index === -1 ? 0 : index;
+  }
+
+  function applyZoom() {
+    gallery.image.style.transform = `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+    gallery.element.classList.toggle('is-zoomed', zoom.scale > 1);
+  }
+
+  /**
+   * Keep a zoomed image from being dragged off screen
+   */
+  function clampPan() {
+    const maxX = (gallery.image.offsetWidth * (zoom.scale - 1)) / 2;
+    const maxY = (gallery.image.offsetHeight * (zoom.scale - 1)) / 2;
+
+    zoom.x = Math.min(Math.max(zoom.x, -maxX), maxX);
+    zoom.y = Math.min(Math.max(zoom.y, -maxY), maxY);
+  }
+
+  function resetZoom() {
+    zoom = { scale: 1, x: 0, y: 0 };
+    applyZoom();
+  }
+
+  /**
+   * Zoom in on a point, or back out when already zoomed
+   */
+  function toggleZoom(clientX, clientY) {
+    if (zoom.scale > 1) {
+      resetZoom();
+      return;
+    }
+
+    const rect = gallery.image.getBoundingClientRect();
+    const scale = ZOOM.doubleTap;
+
+    zoom = {
+      scale,
+      x: (rect.left + rect.width / 2 - clientX) * (scale - 1),
+      y: (rect.top + rect.height / 2 - clientY) * (scale - 1)
+    };
+    clampPan();
+    applyZoom();
+  }
+
+  /**
+   * Keep #gallery=<project>/<image> in the URL while the gallery is open
+   */
+  function updateHash() {
+    const base = window.location.pathname + window.location.search;
+    const hash = isOpen() && projectId ? `#gallery=${encodeURIComponent(projectId)}/${current + 1}` : '';
+
+    // Leave anchors that belong to the page alone
+    if (!hash && !HASH_PATTERN.test(window.location.hash)) return;
+
+    if (window.location.hash !== hash) {
+      window.history.replaceState(window.history.state, '', base + hash);
+    }
+  }
+
+  /**
+   * Start loading the images either side of the current one
+   */
+  function preloadNeighbours() {
+    [current - 1, current + 1].forEach(index => {
+      const entry = images[(index + images.length) % images.length];
+      if (!entry) return;
+
+      const img = new Image();
+      img.sizes = '100vw';
+      if (entry.srcset) img.srcset = entry.srcset;
+      img.src = entry.src;
+    });
+  }
+
+  /**
+   * Show the image at index, wrapping around at either end
+   */
+  function show(index) {
+    if (images.length === 0) return;
+
+    current = (index + images.length) % images.length;
+    const entry = images[current];
+
+    resetZoom();
+    gallery.image.removeAttribute('srcset');
+    gallery.image.src = entry.src;
+    if (entry.srcset) gallery.image.srcset = entry.srcset;
+    gallery.image.alt = entry.alt || '';
+
+    gallery.title.textContent = entry.caption || '';
+    gallery.counter.textContent = `${formatNumber(current + 1)} / ${formatNumber(images.length)}`;
+
+    const single = images.length < 2;
+    gallery.prev.hidden = single;
+    gallery.next.hidden = single;
+
+    updateHash();
+    preloadNeighbours();
+  }
+
+  function next() {
+    if (isOpen()) show(current + 1);
+  }
+
+  function prev() {
+    if (isOpen()) show(current - 1);
+  }
+
+  function isOpen() {
+    return Boolean(gallery && !gallery.element.hidden);
+  }
+
+  /**
+   * Open the gallery with a list of entries
+   */
+  function openWith(entries, index, id) {
+    if (entries.length === 0) return;
+    ensureGallery();
+
+    images = entries;
+    projectId = id;
+
+    if (!isOpen()) {
+      returnFocus = document.activeElement;
+      gallery.element.hidden = false;
+      // Let the hidden attribute apply before fading in
+      requestAnimationFrame(() => gallery.element.classList.add('is-open'));
+      if (window.ScrollManager) ScrollManager.lock();
+    }
+
+    show(index);
+    gallery.element.querySelector('[data-gallery-close]').focus();
+  }
+
+  /**
+   * Open the gallery of a project at an image index (0-based)
+   */
+  function open(id, index = 0) {
+    return getImages(id).then(entries => openWith(entries, index, id));
+  }
+
+  /**
+   * Open the gallery for a tapped image; step opens the image before or after it
+   */
+  function openFrom(trigger, step = 0) {
+    const id = getProjectId(trigger);
+
+    return getImages(id).then(entries => {
+      if (entries.length === 0) {
+        openWith(fromTrigger(trigger), 0, null);
+        return;
+      }
+
+      openWith(entries, findIndex(entries, trigger) + step, id);
+    });
+  }
+
+  function close() {
+    if (!isOpen()) return;
+
+    gallery.element.classList.remove('is-open');
+    gallery.element.hidden = true;
+    resetZoom();
+    if (window.ScrollManager) ScrollManager.unlock();
+
+    updateHash();
+
+    if (returnFocus && typeof returnFocus.focus === 'function') {
+      returnFocus.focus({ preventScroll: true });
+    }
+    returnFocus = null;
+  }
+
+  /**
+   * Warm the browser cache with the large version of a tapped image
+   */
+  function preload(trigger) {
+    const img = trigger && trigger.querySelector('img');
+    if (!img) return;
+
+    const large = new Image();
+    large.sizes = '100vw';
+    if (img.getAttribute('srcset')) large.srcset = img.getAttribute('srcset');
+    large.src = img.currentSrc || img.src;
+  }
+
+  /**
+   * Arrow keys follow the reading direction: in Arabic the left arrow goes forward
+   */
+  function onKeydown(event) {
+    if (!isOpen()) return;
+
+    const forward = isRtl() ? 'ArrowLeft' : 'ArrowRight';
+    const back = isRtl() ? 'ArrowRight' : 'ArrowLeft';
+
+    switch (event.key) {
+      case 'Escape':
+        close();
+        break;
+      case forward:
+        next();
+        break;
+      case back:
+        prev();
+        break;
+      case 'Home':
+        show(0);
+        break;
+      case 'End':
+        show(images.length - 1);
+        break;
+      case 'Tab':
+        trapFocus(event);
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  function trapFocus(event) {
+    const focusable = Array.from(gallery.element.querySelectorAll('button')).filter(button => !button.hidden);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Swipe between images, pinch to zoom, drag a zoomed image and double-tap
+   * to zoom in or out
+   */
+  function setupGestures() {
+    const stage = gallery.stage;
+    let start = null;
+    let pinch = null;
+    let lastTap = 0;
+
+    function distance(touches) {
+      return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    stage.addEventListener('touchstart', event => {
+      if (event.touches.length === 2) {
+        pinch = { distance: distance(event.touches), scale: zoom.scale };
+        start = null;
+        return;
+      }
+
+      const touch = event.touches[0];
+      start = { x: touch.clientX, y: touch.clientY, panX: zoom.x, panY: zoom.y };
+    }, { passive: true });
+
+    stage.addEventListener('touchmove', event => {
+      if (pinch && event.touches.length === 2) {
+        event.preventDefault();
+        zoom.scale = Math.min(Math.max(pinch.scale * distance(event.touches) / pinch.distance, 1), ZOOM.max);
+        clampPan();
+        applyZoom();
+        return;
+      }
+
+      if (!start || event.touches.length !== 1) return;
+      event.preventDefault();
+
+      const touch = event.touches[0];
+      if (zoom.scale > 1) {
+        zoom.x = start.panX + touch.clientX - start.x;
+        zoom.y = start.panY + touch.clientY - start.y;
+        clampPan();
+        applyZoom();
+      }
+    }, { passive: false });
+
+    stage.addEventListener('touchend', event => {
+      if (pinch) {
+        if (event.touches.length < 2) pinch = null;
+        if (zoom.scale < 1.05) resetZoom();
+        return;
+      }
+      if (!start) return;
+
+      const touch = event.changedTouches[0];
+      const diffX = touch.clientX - start.x;
+      const diffY = touch.clientY - start.y;
+      start = null;
+
+      if (zoom.scale === 1 && Math.abs(diffX) > SWIPE_THRESHOLD && Math.abs(diffX) > Math.abs(diffY)) {
+        // Swiping left moves forward in English, swiping right in Arabic
+        if ((diffX < 0) !== isRtl()) {
+          next();
+        } else {
+          prev();
+        }
+        return;
+      }
+
+      if (Math.abs(diffX) < 10 && Math.abs(diffY) < 10) {
+        const now = Date.now();
+        if (now - lastTap < ZOOM.doubleTapMs) {
+          event.preventDefault();
+          toggleZoom(touch.clientX, touch.clientY);
+          lastTap = 0;
+        } else {
+          lastTap = now;
+        }
+      }
+    });
+
+    gallery.image.addEventListener('dblclick', event => {
+      toggleZoom(event.clientX, event.clientY);
+    });
+
+    // Clicking the backdrop closes the gallery
+    stage.addEventListener('click', event => {
+      if (event.target === stage && zoom.scale === 1) close();
+    });
+  }
+
+  /**
+   * Give every project image button semantics so it can be opened from the keyboard
+   */
+  function enhanceTriggers(root = document) {
+    const label = LABELS[getLocale()].open;
+
+    root.querySelectorAll(TRIGGER_SELECTOR).forEach(trigger => {
+      if (trigger.hasAttribute('data-gallery-ready') || !trigger.querySelector('img')) return;
+
+      trigger.setAttribute('data-gallery-ready', '');
+      trigger.setAttribute('role', 'button');
+      trigger.setAttribute('tabindex', '0');
+      trigger.setAttribute('aria-haspopup', 'dialog');
+      trigger.setAttribute('aria-label', `${label}: ${trigger.querySelector('img').alt || ''}`.replace(/: $/, ''));
+    });
+  }
+
+  /**
+   * Open the image named in the URL, e.g. #gallery=sh90/2
+   */
+  function openFromHash() {
+    const match = window.location.hash.match(HASH_PATTERN);
+
+    if (!match) {
+      if (isOpen()) close();
+      return;
+    }
+
+    const id = decodeURIComponent(match[1]);
+    const index = Number(match[2]) - 1;
+
+    if (isOpen() && id === projectId && index === current) return;
+    open(id, index);
+  }
+
+  function ensureGallery() {
+    if (gallery) return;
+
+    gallery = createGallery();
+    setupGestures();
+
+    gallery.element.addEventListener('click', event => {
+      if (event.target.closest('[data-gallery-close]')) close();
+      if (event.target.closest('[data-gallery-prev]')) prev();
+      if (event.target.closest('[data-gallery-next]')) next();
+    });
+  }
+
+  /**
+   * Start the gallery
+   */
+  function initProjectGallery() {
+    if (!initialized) {
+      initialized = true;
+      document.addEventListener('keydown', onKeydown);
+
+      document.addEventListener('click', event => {
+        const trigger = event.target.closest ? event.target.closest(TRIGGER_SELECTOR) : null;
+        if (!isTrigger(trigger) || event.defaultPrevented) return;
+
+        event.preventDefault();
+        openFrom(trigger);
+      });
+
+      document.addEventListener('keydown', event => {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        if (!isTrigger(event.target) || isOpen()) return;
+
+        event.preventDefault();
+        openFrom(event.target);
+      });
+
+      // Start loading the large image as soon as a finger lands on a
+      // project image so the gallery opens without a blank frame
+      document.addEventListener('touchstart', event => {
+        const trigger = event.target.closest ? event.target.closest(TRIGGER_SELECTOR) : null;
+        if (isTrigger(trigger)) preload(trigger);
+      }, { passive: true });
+
+      window.addEventListener('hashchange', openFromHash);
+    }
+
+    enhanceTriggers();
+    openFromHash();
+  }
+
+  // Project images are rendered from the catalog and manifests after load
+  ['projectCatalogRendered', 'projectDetailRendered', 'documentGridRendered'].forEach(eventName => {
+    document.addEventListener(eventName, () => enhanceTriggers());
+  });
+
+  // Soft navigation (js/page-router.js) leaves the lightbox open over the old page
+  document.addEventListener('pageContentReplaced', () => {
+    close();
+    initProjectGallery();
+  });
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProjectGallery);
+  } else {
+    initProjectGallery();
+  }
+
+  // Export functions for external use
+  window.ProjectGallery = {
+    open,
+    openFrom,
+    close,
+    next,
+    prev,
+    isOpen,
+    isTrigger,
+    preload,
+    getImages
+  };
+
+})();
@@ -0,0 +1,745 @@
+/**
+ * Project Map for Calma Website
+ * Map of the project locations on the projects page, drawn from the bundled
+ * district and road shapes in data/map.json (GeoJSON), so no tile service is
+ * needed. Markers come from the catalog and cluster when they are close at
+ * the current zoom; a city switcher moves between Riyadh and Jeddah.
+ * Clicking a marker opens a mini project card, and hovering a project row on
+ * the page highlights its marker.
+ *
+ *   <div data-project-map></div>
+ *   projects.html?city=jeddah       opens on Jeddah (same key as the filters)
+ */
+
+(function() {
+  'use strict';
+
+  const ROOT_SELECTOR = '[data-project-map]';
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const mapUrl = new URL('../data/map.json', scriptSrc).href;
+
+  const LABELS = {
+    ar: {
+      cities: 'المدن',
+      stage: 'خريطة المشاريع. استخدم الأسهم للتحريك و + و - للتكبير والتصغير و 0 لإعادة الضبط',
+      zoomIn: 'تكبير',
+      zoomOut: 'تصغير',
+      resetZoom: 'إعادة ضبط العرض',
+      close: 'إغلاق',
+      cluster: count => `${count.toLocaleString('ar-SA')} مشاريع`,
+      units: 'وحدة',
+      roads: 'طرق قريبة',
+      viewProject: 'تفاصيل المشروع',
+      error: 'تعذر تحميل الخريطة. يرجى المحاولة لاحقًا.'
+    },
+    en: {
+      cities: 'Cities',
+      stage: 'Project map. Use the arrow keys to pan, + and - to zoom and 0 to reset',
+      zoomIn: 'Zoom in',
+      zoomOut: 'Zoom out',
+      resetZoom: 'Reset view',
+      close: 'Close',
+      cluster: count => `${count} projects`,
+      units: 'units',
+      roads: 'Nearby roads',
+      viewProject: 'View project',
+      error: 'The map could not be loaded. Please try again later.'
+    }
+  };
+
+  // Width of the map in SVG units; the height follows each city's bounds
+  const MAP_WIDTH = 1000;
+
+  const ZOOM = {
+    max: 6,
+    step: 1.25
+  };
+
+  // Markers closer than this on screen (px) are drawn as one cluster
+  const CLUSTER_RADIUS = 36;
+
+  // Share of the visible map moved by one arrow key press
+  const PAN_STEP = 0.1;
+
+  // Pointer travel (px) after which a press counts as a drag, not a click
+  const DRAG_THRESHOLD = 5;
+
+  let mapPromise = null;
+  let initialized = false;
+  let state = null;
+
+  function escape(value) {
+    return ProjectCatalog.escapeHtml(value);
+  }
+
+  function localize(field, locale) {
+    return ProjectCatalog.localize(field, locale);
+  }
+
+  /**
+   * Fetch the map shapes once
+   */
+  function loadMap() {
+    if (!mapPromise) {
+      mapPromise = fetch(mapUrl, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Map request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          mapPromise = null;
+          throw error;
+        });
+    }
+
+    return mapPromise;
+  }
+
+  /* ----- Projection ----- */
+
+  /**
+   * Equirectangular projection of a city's bounds onto the SVG; longitude is
+   * scaled by the cosine of the middle latitude so districts keep their shape
+   */
+  function createProjection(bounds) {
+    const [west, south, east, north] = bounds;
+    const stretch = Math.cos((south + north) / 2 * Math.PI / 180);
+    const scale = MAP_WIDTH / ((east - west) * stretch);
+
+    return {
+      width: MAP_WIDTH,
+      height: (north - south) * scale,
+      project: ([lon, lat]) => [(lon - west) * stretch * scale, (north - lat) * scale]
+    };
+  }
+
+  function toPath(rings, projection, close) {
+    return rings.map(ring => ring.map((point, index) => {
+      const [x, y] = projection.project(point);
+      return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)} ${y.toFixed(1)}`;
+    }).join(' ') + (close ? ' Z' : '')).join(' ');
+  }
+
+  function getCentroid(ring, projection) {
+    const points = ring.slice(0, -1).map(projection.project);
+    return points.reduce((sum, point) => [sum[0] + point[0] / points.length, sum[1] + point[1] / points.length], [0, 0]);
+  }
+
+  /* ----- Rendering ----- */
+
+  function renderSwitch() {
+    const { locale, catalog } = state;
+    const labels = LABELS[locale];
+
+    return `
+      <div class="project-map-switch" role="group" aria-label="${escape(labels.cities)}">
+        ${Object.keys(state.map.cities).map(city => `<button type="button" class="button dark" data-project-map-city="${escape(city)}" aria-pressed="${city === state.city}">${escape(localize(catalog.cities[city], locale) || city)}</button>`).join('')}
+      </div>`;
+  }
+
+  /**
+   * Render the map shell: city switcher, stage with zoom buttons and card
+   */
+  function renderShell() {
+    const labels = LABELS[state.locale];
+
+    state.container.innerHTML = `
+      <div class="project-map" dir="${state.locale === 'ar' ? 'rtl' : 'ltr'}" lang="${state.locale}">
+        ${renderSwitch()}
+        <div class="project-map-frame">
+          <div class="project-map-stage" tabindex="0" aria-label="${labels.stage}" data-lenis-prevent>
+            <svg class="project-map-svg" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet" role="group"></svg>
+            <div class="project-map-zoom" role="group">
+              <button type="button" class="project-map-zoom-button" data-project-map-zoom="in" aria-label="${labels.zoomIn}">+</button>
+              <button type="button" class="project-map-zoom-button" data-project-map-zoom="out" aria-label="${labels.zoomOut}">&minus;</button>
+              <button type="button" class="project-map-zoom-button" data-project-map-zoom="reset" aria-label="${labels.resetZoom}">&#8634;</button>
+            </div>
+          </div>
+          <div class="project-map-card" aria-live="polite" hidden></div>
+        </div>
+      </div>`;
+
+    state.stage = state.container.querySelector('.project-map-stage');
+    state.svg = state.container.querySelector('.project-map-svg');
+    state.card = state.container.querySelector('.project-map-card');
+
+    setupStage(state.stage);
+
+    state.card.addEventListener('keydown', event => {
+      if (event.key !== 'Escape') return;
+
+      closeCard();
+      renderMarkers();
+      state.stage.focus();
+    });
+  }
+
+  /**
+   * Draw the city's outline, districts and roads; markers go on top
+   */
+  function renderCity() {
+    const { map, catalog, locale } = state;
+    const city = map.cities[state.city];
+    const projection = createProjection(city.bounds);
+    const inCity = feature => feature.properties.city === state.city;
+
+    state.projection = projection;
+    state.stage.style.aspectRatio = `${projection.width} / ${projection.height.toFixed(1)}`;
+
+    const districts = map.districts.features.filter(inCity).map(feature => {
+      const [x, y] = getCentroid(feature.geometry.coordinates[0], projection);
+      const name = localize(catalog.districts[feature.id], locale) || feature.id;
+
+      return `
+        <g class="project-map-district" data-district="${escape(feature.id)}">
+          <path d="${toPath(feature.geometry.coordinates, projection, true)}"></path>
+          <text class="project-map-label" x="${x.toFixed(1)}" y="${y.toFixed(1)}" text-anchor="middle">${escape(name)}</text>
+        </g>`;
+    }).join('');
+
+    const roads = map.roads.features.filter(inCity).map(feature => {
+      const name = localize(catalog.roads[feature.id], locale) || feature.id;
+      return `<path class="project-map-road" data-road="${escape(feature.id)}" d="${toPath([feature.geometry.coordinates], projection, false)}"><title>${escape(name)}</title></path>`;
+    }).join('');
+
+    state.svg.innerHTML = `
+      <path class="project-map-outline" d="${toPath(city.outline.coordinates, projection, true)}"></path>
+      <g class="project-map-roads">${roads}</g>
+      <g class="project-map-districts">${districts}</g>
+      <g class="project-map-markers"></g>`;
+    state.svg.setAttribute('aria-label', localize(catalog.cities[state.city], locale) || state.city);
+
+    state.container.querySelectorAll('[data-project-map-city]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-project-map-city') === state.city));
+    });
+
+    closeCard();
+    resetZoom();
+  }
+
+  /**
+   * Get the city's projects that pass the current filters, with their position
+   */
+  function getMarkers() {
+    return state.catalog.projects
+      .filter(project => project.city === state.city && state.map.projects[project.id])
+      .filter(project => !state.visible || state.visible.has(project.id))
+      .map(project => {
+        const [x, y] = state.projection.project(state.map.projects[project.id]);
+        return { project, x, y };
+      });
+  }
+
+  /**
+   * Group markers that would overlap on screen at the current zoom
+   */
+  function clusterMarkers(markers) {
+    const radius = CLUSTER_RADIUS * getUnitsPerPixel();
+    const clusters = [];
+
+    markers.forEach(marker => {
+      const cluster = clusters.find(entry => Math.hypot(entry.x - marker.x, entry.y - marker.y) < radius);
+
+      if (cluster) {
+        cluster.members.push(marker);
+        cluster.x = cluster.members.reduce((sum, member) => sum + member.x, 0) / cluster.members.length;
+        cluster.y = cluster.members.reduce((sum, member) => sum + member.y, 0) / cluster.members.length;
+      } else {
+        clusters.push({ x: marker.x, y: marker.y, members: [marker] });
+      }
+    });
+
+    return clusters;
+  }
+
+  /**
+   * Draw the markers and clusters; they keep their screen size while zooming
+   */
+  function renderMarkers() {
+    const { locale } = state;
+    const labels = LABELS[locale];
+    const size = state.view.w / state.projection.width;
+    const layer = state.svg.querySelector('.project-map-markers');
+
+    layer.innerHTML = clusterMarkers(getMarkers()).map(cluster => {
+      const transform = `translate(${cluster.x.toFixed(1)} ${cluster.y.toFixed(1)}) scale(${size.toFixed(3)})`;
+
+      if (cluster.members.length > 1) {
+        const ids = cluster.members.map(member => member.project.id);
+        return `
+          <g class="project-map-cluster" data-project-ids="${escape(ids.join(' '))}" transform="${transform}" role="button" tabindex="0" aria-label="${escape(labels.cluster(ids.length))}">
+            <circle r="18"></circle>
+            <text text-anchor="middle" dominant-baseline="central">${ids.length}</text>
+          </g>`;
+      }
+
+      const project = cluster.members[0].project;
+      const selected = project.id === state.selected;
+      return `
+        <g class="project-map-marker${selected ? ' is-selected' : ''}" data-project-id="${escape(project.id)}" transform="${transform}" role="button" tabindex="0" aria-pressed="${selected}" aria-label="${escape(ProjectCatalog.getProjectHeading(project, locale))}">
+          <path d="M0 0 C-4 -8 -12 -12 -12 -20 A12 12 0 1 1 12 -20 C12 -12 4 -8 0 0 Z"></path>
+          <circle cy="-20" r="4.5"></circle>
+        </g>`;
+    }).join('');
+
+    highlight(state.highlighted);
+  }
+
+  /* ----- Card ----- */
+
+  /**
+   * Open the mini card of a project next to the map
+   */
+  function openCard(projectId) {
+    if (!state) return;
+
+    const project = state.catalog.projects.find(entry => entry.id === projectId);
+    if (!project) return;
+
+    const { catalog, locale } = state;
+    const labels = LABELS[locale];
+    const image = (project.images || [])[0];
+    const district = localize(catalog.districts[project.district], locale);
+    const roads = (project.roads || []).map(road => localize(catalog.roads[road], locale));
+    const units = locale === 'ar' ? project.units.toLocaleString('ar-SA') : String(project.units);
+
+    state.selected = project.id;
+    state.card.innerHTML = `
+      <button type="button" class="project-map-card-close" data-project-map-close aria-label="${escape(labels.close)}">&times;</button>
+      ${image ? `<div class="project-map-card-image">${ProjectCatalog.renderImage(image, ProjectCatalog.getProjectHeading(project, locale))}</div>` : ''}
+      <div class="project-map-card-body">
+        <h4 class="project-map-card-title">${escape(ProjectCatalog.getProjectHeading(project, locale))}</h4>
+        <p class="project-map-card-text">${escape(district)} · ${escape(units)} ${escape(labels.units)}</p>
+        ${roads.length ? `<p class="project-map-card-text">${escape(labels.roads)}: ${escape(roads.join(locale === 'ar' ? '، ' : ', '))}</p>` : ''}
+        <a href="${escape(ProjectCatalog.getProjectUrl(project, locale))}" class="project-map-card-link">${escape(labels.viewProject)}</a>
+      </div>`;
+    state.card.hidden = false;
+
+    renderMarkers();
+  }
+
+  function closeCard() {
+    if (!state || !state.card) return;
+
+    state.selected = null;
+    state.card.hidden = true;
+    state.card.innerHTML = '';
+  }
+
+  /**
+   * Mark a project's marker, or the cluster that holds it
+   */
+  function highlight(projectId) {
+    if (!state || !state.svg) return;
+
+    state.highlighted = projectId || null;
+    state.svg.querySelectorAll('.project-map-marker, .project-map-cluster').forEach(element => {
+      const ids = (element.getAttribute('data-project-id') || element.getAttribute('data-project-ids')).split(' ');
+      element.classList.toggle('is-highlighted', Boolean(projectId) && ids.indexOf(projectId) !== -1);
+    });
+  }
+
+  /**
+   * Zoom in on a cluster until its projects separate; at full zoom the card
+   * of the first project opens instead
+   */
+  function openCluster(ids) {
+    const markers = getMarkers().filter(marker => ids.indexOf(marker.project.id) !== -1);
+    if (markers.length === 0) return;
+
+    const xs = markers.map(marker => marker.x);
+    const ys = markers.map(marker => marker.y);
+    const center = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+
+    if (state.view.w <= state.projection.width / ZOOM.max + 0.5) {
+      openCard(markers[0].project.id);
+      return;
+    }
+
+    const spread = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1);
+    const width = Math.max(spread * 8, state.projection.width / ZOOM.max);
+    setView(center.x - width / 2, center.y - width * state.projection.height / state.projection.width / 2, width);
+  }
+
+  /**
+   * Switch the map to another city
+   */
+  function showCity(city) {
+    if (!state || !state.map.cities[city] || city === state.city) return;
+
+    state.city = city;
+    renderCity();
+  }
+
+  /* ----- Zoom and pan ----- */
+
+  function getUnitsPerPixel() {
+    const width = state.svg.getBoundingClientRect().width;
+    return width ? state.view.w / width : state.view.w / state.projection.width;
+  }
+
+  /**
+   * Keep the visible part of the map inside the city, between full size and
+   * ZOOM.max, and redraw the markers for the new scale
+   */
+  function setView(x, y, width) {
+    const bounds = state.projection;
+    const w = Math.min(Math.max(width, bounds.width / ZOOM.max), bounds.width);
+    const h = w * bounds.height / bounds.width;
+
+    state.view = {
+      x: Math.min(Math.max(x, 0), bounds.width - w),
+      y: Math.min(Math.max(y, 0), bounds.height - h),
+      w,
+      h
+    };
+
+    const { view } = state;
+    state.svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.w} ${view.h}`);
+    state.svg.style.setProperty('--map-scale', String(view.w / bounds.width));
+    state.stage.classList.toggle('is-zoomed', view.w < bounds.width);
+
+    renderMarkers();
+  }
+
+  function resetZoom() {
+    if (!state) return;
+
+    setView(0, 0, state.projection.width);
+  }
+
+  /**
+   * Zoom by a factor around a point of the map (the centre by default)
+   */
+  function zoomBy(factor, origin) {
+    if (!state) return;
+
+    const { view } = state;
+    const full = state.projection.width;
+    const point = origin || { x: view.x + view.w / 2, y: view.y + view.h / 2 };
+    const width = Math.min(Math.max(view.w / factor, full / ZOOM.max), full);
+    const ratio = width / view.w;
+
+    setView(point.x - (point.x - view.x) * ratio, point.y - (point.y - view.y) * ratio, width);
+  }
+
+  /**
+   * Move the map by a distance in screen pixels
+   */
+  function panBy(dx, dy) {
+    const { view } = state;
+    const scale = getUnitsPerPixel();
+
+    setView(view.x - dx * scale, view.y - dy * scale, view.w);
+  }
+
+  function toMapPoint(clientX, clientY) {
+    const rect = state.svg.getBoundingClientRect();
+    const { view } = state;
+
+    if (!rect.width || !rect.height) return null;
+
+    return {
+      x: view.x + (clientX - rect.left) / rect.width * view.w,
+      y: view.y + (clientY - rect.top) / rect.height * view.h
+    };
+  }
+
+  /**
+   * Wheel zoom, drag to pan, pinch zoom and keyboard controls on the stage
+   */
+  function setupStage(stage) {
+    const pointers = new Map();
+    let dragged = false;
+    let start = null;
+    let pinchDistance = 0;
+
+    function getPinch() {
+      const [a, b] = Array.from(pointers.values());
+      return {
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+      };
+    }
+
+    stage.addEventListener('wheel', event => {
+      event.preventDefault();
+      zoomBy(event.deltaY < 0 ? ZOOM.step : 1 / ZOOM.step, toMapPoint(event.clientX, event.clientY));
+    }, { passive: false });
+
+    stage.addEventListener('pointerdown', event => {
+      if (event.target.closest('.project-map-zoom')) return;
+
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (pointers.size === 1) {
+        start = { x: event.clientX, y: event.clientY };
+        dragged = false;
+      }
+      if (pointers.size === 2) {
+        pinchDistance = getPinch().distance;
+        dragged = true;
+      }
+    });
+
+    stage.addEventListener('pointermove', event => {
+      const previous = pointers.get(event.pointerId);
+      if (!previous) return;
+
+      const point = { x: event.clientX, y: event.clientY };
+      pointers.set(event.pointerId, point);
+
+      if (pointers.size === 2) {
+        const pinch = getPinch();
+        if (pinchDistance > 0) zoomBy(pinch.distance / pinchDistance, toMapPoint(pinch.x, pinch.y));
+        pinchDistance = pinch.distance;
+        return;
+      }
+
+      if (!dragged && Math.hypot(point.x - start.x, point.y - start.y) < DRAG_THRESHOLD) return;
+
+      // Panning only makes sense once zoomed; otherwise leave the page to scroll
+      if (!stage.classList.contains('is-zoomed')) return;
+
+      if (!dragged && stage.setPointerCapture) stage.setPointerCapture(event.pointerId);
+      dragged = true;
+      stage.classList.add('is-dragging');
+      panBy(point.x - previous.x, point.y - previous.y);
+    });
+
+    function release(event) {
+      pointers.delete(event.pointerId);
+      if (pointers.size < 2) pinchDistance = 0;
+      if (pointers.size === 0) stage.classList.remove('is-dragging');
+    }
+
+    stage.addEventListener('pointerup', release);
+    stage.addEventListener('pointercancel', release);
+
+    // A drag or pinch that ends on a marker does not open it
+    stage.addEventListener('click', event => {
+      if (!dragged) return;
+
+      dragged = false;
+      event.stopPropagation();
+      event.preventDefault();
+    }, true);
+
+    stage.addEventListener('keydown', event => {
+      const step = PAN_STEP * (stage.getBoundingClientRect().width || 400);
+
+      switch (event.key) {
+        case '+':
+        case '=':
+          zoomBy(ZOOM.step);
+          break;
+        case '-':
+        case '_':
+          zoomBy(1 / ZOOM.step);
+          break;
+        case '0':
+          resetZoom();
+          break;
+        case 'Escape':
+          if (state.card.hidden) return;
+          closeCard();
+          renderMarkers();
+          break;
+        case 'ArrowLeft':
+          panBy(step, 0);
+          break;
+        case 'ArrowRight':
+          panBy(-step, 0);
+          break;
+        case 'ArrowUp':
+          panBy(0, step);
+          break;
+        case 'ArrowDown':
+          panBy(0, -step);
+          break;
+        case 'Enter':
+        case ' ': {
+          const target = event.target.closest('.project-map-marker, .project-map-cluster');
+          if (!target) return;
+          activate(target);
+          break;
+        }
+        default:
+          return;
+      }
+
+      event.preventDefault();
+    });
+  }
+
+  /**
+   * Open a marker's card or zoom in on a cluster
+   */
+  function activate(target) {
+    if (target.classList.contains('project-map-cluster')) {
+      openCluster(target.getAttribute('data-project-ids').split(' '));
+      return;
+    }
+
+    openCard(target.getAttribute('data-project-id'));
+
+    // The markers were redrawn; keep keyboard focus on the opened one
+    const marker = state.svg.querySelector(`.project-map-marker[data-project-id="${CSS.escape(state.selected)}"]`);
+    if (marker && typeof marker.focus === 'function') marker.focus();
+  }
+
+  function onClick(event) {
+    if (!state || !state.container.contains(event.target)) return;
+
+    const city = event.target.closest('[data-project-map-city]');
+    if (city) {
+      showCity(city.getAttribute('data-project-map-city'));
+      return;
+    }
+
+    const zoom = event.target.closest('[data-project-map-zoom]');
+    if (zoom) {
+      const action = zoom.getAttribute('data-project-map-zoom');
+      if (action === 'reset') resetZoom();
+      else zoomBy(action === 'in' ? ZOOM.step : 1 / ZOOM.step);
+      return;
+    }
+
+    if (event.target.closest('[data-project-map-close]')) {
+      closeCard();
+      renderMarkers();
+      state.stage.focus();
+      return;
+    }
+
+    const target = event.target.closest('.project-map-marker, .project-map-cluster');
+    if (target) activate(target);
+  }
+
+  /**
+   * Highlight the marker of the project row under the pointer or focus
+   */
+  function onRowHover(event) {
+    if (!state) return;
+
+    const row = event.target.closest ? event.target.closest('.catalog-row[data-project-id]') : null;
+    const related = event.relatedTarget && event.relatedTarget.closest
+      ? event.relatedTarget.closest('.catalog-row[data-project-id]')
+      : null;
+
+    if (event.type === 'mouseover' || event.type === 'focusin') {
+      if (row) highlight(row.getAttribute('data-project-id'));
+    } else if (row && row !== related) {
+      highlight(related ? related.getAttribute('data-project-id') : null);
+    }
+  }
+
+  /**
+   * Follow the filters: only matching projects keep a marker, and a city
+   * filter moves the map to that city
+   */
+  function onFiltersChanged(event) {
+    if (!state) return;
+
+    const { state: filters, projects } = event.detail;
+    state.visible = new Set(projects.map(project => project.id));
+
+    if (filters.city && filters.city !== state.city && state.map.cities[filters.city]) {
+      state.city = filters.city;
+      renderCity();
+    } else {
+      if (state.selected && !state.visible.has(state.selected)) closeCard();
+      renderMarkers();
+    }
+  }
+
+  /**
+   * Pick the starting city: ?city=, else the city with the most projects
+   */
+  function getInitialCity(map, catalog) {
+    const requested = new URLSearchParams(window.location.search).get('city');
+    if (requested && map.cities[requested]) return requested;
+
+    const counts = {};
+    catalog.projects.forEach(project => {
+      if (map.projects[project.id]) counts[project.city] = (counts[project.city] || 0) + 1;
+    });
+
+    return Object.keys(map.cities).sort((a, b) => (counts[b] || 0) - (counts[a] || 0))[0];
+  }
+
+  /**
+   * Load the map and the catalog and draw the map on the page
+   */
+  function initProjectMap() {
+    const container = document.querySelector(ROOT_SELECTOR);
+    state = null;
+
+    if (!container || typeof ProjectCatalog === 'undefined') return;
+
+    if (!initialized) {
+      initialized = true;
+      document.addEventListener('click', onClick);
+      ['mouseover', 'mouseout', 'focusin', 'focusout'].forEach(type => document.addEventListener(type, onRowHover));
+      document.addEventListener('projectFiltersChanged', onFiltersChanged);
+    }
+
+    const locale = ProjectCatalog.getLocale();
+
+    Promise.all([loadMap(), ProjectCatalog.loadCatalog()])
+      .then(([map, catalog]) => {
+        // Soft navigation may have replaced the page in the meantime
+        if (!document.contains(container)) return;
+
+        state = {
+          container,
+          map,
+          catalog,
+          locale,
+          city: getInitialCity(map, catalog),
+          visible: null,
+          selected: null,
+          highlighted: null
+        };
+
+        // Filters applied before the map loaded; later changes arrive as events
+        const filters = window.ProjectFilters ? ProjectFilters.getFilterState() : {};
+        if (Object.keys(filters).length > 0) {
+          const visible = catalog.projects.filter(project => ProjectFilters.matchesFilters(project, filters));
+          state.visible = new Set(visible.map(project => project.id));
+        }
+
+        renderShell();
+        renderCity();
+      })
+      .catch(error => {
+        console.warn('Project map could not be rendered:', error);
+        container.innerHTML = `<p class="paragraph dark">${LABELS[locale].error}</p>`;
+      });
+  }
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initProjectMap);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProjectMap);
+  } else {
+    initProjectMap();
+  }
+
+  // Export functions for external use
+  window.ProjectMap = {
+    loadMap,
+    showCity,
+    openCard,
+    closeCard,
+    highlight,
+    zoomBy,
+    resetZoom
+  };
+
+})();
@@ -0,0 +1,493 @@
+/**
+ * Project Progress for Calma Website
+ * Construction progress of the ongoing projects from data/progress.json:
+ * progress bars on the projects page and the home slider, a milestone
+ * timeline on the project pages and the full timeline with dated photo
+ * updates on updates.html.
+ *
+ *   <div data-progress-badge="nr150"></div>      short "65% · Updated ..." badge
+ *   <div data-progress-updates></div>            every ongoing project
+ *   <select name="project" data-progress-projects> ongoing projects only
+ *
+ * Dispatches projectProgressRendered { progress, locale } on document once
+ * the bars and timelines are on the page.
+ */
+
+(function() {
+  'use strict';
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const progressUrl = new URL('../data/progress.json', scriptSrc).href;
+
+  const LABELS = {
+    ar: {
+      progress: 'نسبة الإنجاز',
+      complete: 'مكتمل',
+      updated: 'آخر تحديث',
+      handover: 'التسليم المتوقع',
+      planned: 'المخطط',
+      actual: 'الفعلي',
+      status: {
+        complete: 'مكتمل',
+        active: 'قيد التنفيذ',
+        upcoming: 'لم يبدأ',
+        delayed: 'متأخر عن الخطة'
+      },
+      timeline: 'الجدول الزمني',
+      updates: 'تحديثات الموقع',
+      viewUpdates: 'تحديثات المشروع',
+      empty: 'لا توجد تحديثات متاحة حاليًا.'
+    },
+    en: {
+      progress: 'Progress',
+      complete: 'complete',
+      updated: 'Updated',
+      handover: 'Expected handover',
+      planned: 'Planned',
+      actual: 'Actual',
+      status: {
+        complete: 'Complete',
+        active: 'In progress',
+        upcoming: 'Not started',
+        delayed: 'Behind plan'
+      },
+      timeline: 'Timeline',
+      updates: 'Site updates',
+      viewUpdates: 'Project updates',
+      empty: 'No updates are available yet.'
+    }
+  };
+
+  let progressPromise = null;
+
+  /**
+   * Fetch the progress data once
+   */
+  function loadProgress() {
+    if (!progressPromise) {
+      progressPromise = fetch(progressUrl, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Progress request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          progressPromise = null;
+          throw error;
+        });
+    }
+
+    return progressPromise;
+  }
+
+  /**
+   * Get the progress entry of a project, or null when it is not under construction
+   */
+  function getProjectProgress(progress, projectId) {
+    return (progress.projects || {})[projectId] || null;
+  }
+
+  /**
+   * Overall completion: the milestone percentages weighted by their weight
+   */
+  function getOverallPercent(entry) {
+    const milestones = entry.milestones || [];
+    const totalWeight = milestones.reduce((sum, milestone) => sum + (milestone.weight || 1), 0);
+    if (totalWeight === 0) return 0;
+
+    const done = milestones.reduce((sum, milestone) => sum + (milestone.weight || 1) * clampPercent(milestone.percent), 0);
+    return Math.round(done / totalWeight);
+  }
+
+  function clampPercent(value) {
+    return Math.min(Math.max(Number(value) || 0, 0), 100);
+  }
+
+  function toDate(isoDate) {
+    const date = new Date(`${isoDate}T00:00:00`);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * complete, active or upcoming; delayed when the planned end has passed
+   * before the phase was finished
+   */
+  function getMilestoneStatus(milestone, today = new Date()) {
+    const percent = clampPercent(milestone.percent);
+    const actual = milestone.actual || {};
+    const plannedEnd = toDate(milestone.planned.end);
+
+    if (percent >= 100) return 'complete';
+    if (plannedEnd && plannedEnd < today) return 'delayed';
+    return percent > 0 || actual.start ? 'active' : 'upcoming';
+  }
+
+  function formatDate(isoDate, locale) {
+    const date = isoDate ? toDate(isoDate) : null;
+    if (!date) return '';
+
+    return new Intl.DateTimeFormat(locale === 'ar' ? 'ar-SA-u-ca-gregory' : 'en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    }).format(date);
+  }
+
+  function formatMonth(isoDate, locale) {
+    const date = isoDate ? toDate(isoDate) : null;
+    if (!date) return '';
+
+    return new Intl.DateTimeFormat(locale === 'ar' ? 'ar-SA-u-ca-gregory' : 'en-GB', {
+      month: 'short',
+      year: 'numeric'
+    }).format(date);
+  }
+
+  function formatPercent(value, locale) {
+    return new Intl.NumberFormat(locale === 'ar' ? 'ar-SA' : 'en-GB', { style: 'percent' }).format(value / 100);
+  }
+
+  function formatRange(range, locale) {
+    if (!range || !range.start) return '–';
+    return `${formatMonth(range.start, locale)} – ${range.end ? formatMonth(range.end, locale) : '…'}`;
+  }
+
+  /**
+   * Render a progress bar; the fill grows from the reading edge
+   */
+  function renderBar(percent, label, locale) {
+    const escape = ProjectCatalog.escapeHtml;
+
+    return `
+      <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-valuetext="${escape(formatPercent(percent, locale))}" aria-label="${escape(label)}">
+        <span class="progress-bar-fill" style="width: ${percent}%" data-animate="progress-fill"></span>
+      </div>`;
+  }
+
+  /**
+   * Render the "Updated 12 Oct 2026" badge
+   */
+  function renderUpdatedBadge(entry, locale) {
+    if (!entry.updated) return '';
+
+    const label = `${LABELS[locale].updated} ${formatDate(entry.updated, locale)}`;
+    return `<time class="progress-updated" datetime="${ProjectCatalog.escapeHtml(entry.updated)}">${ProjectCatalog.escapeHtml(label)}</time>`;
+  }
+
+  /**
+   * Render the overall bar with the updated badge and expected handover
+   */
+  function renderSummary(entry, locale, link) {
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const percent = getOverallPercent(entry);
+    const arabicClass = locale === 'ar' ? ' arabic' : '';
+
+    return `
+      <div class="project-progress${arabicClass}" data-animate="fade-up">
+        <div class="progress-summary-header">
+          <h5 class="progress-label">${escape(labels.progress)}</h5>
+          <span class="progress-percent">${escape(formatPercent(percent, locale))}</span>
+        </div>
+        ${renderBar(percent, labels.progress, locale)}
+        <div class="progress-meta">
+          ${renderUpdatedBadge(entry, locale)}
+          ${entry.handover ? `<span class="progress-handover">${escape(labels.handover)}: ${escape(formatMonth(entry.handover, locale))}</span>` : ''}
+          ${link ? `<a href="${escape(link)}" class="progress-link">${escape(labels.viewUpdates)}</a>` : ''}
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Render the milestone timeline
+   */
+  function renderTimeline(entry, phases, locale) {
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const arabicClass = locale === 'ar' ? ' arabic' : '';
+
+    const items = (entry.milestones || []).map(milestone => {
+      const status = getMilestoneStatus(milestone);
+      const percent = clampPercent(milestone.percent);
+      const name = ProjectCatalog.localize(phases[milestone.phase], locale) || milestone.phase;
+
+      return `
+        <li class="progress-milestone is-${status}" data-animate-item>
+          <span class="progress-milestone-marker" aria-hidden="true"></span>
+          <div class="progress-milestone-body">
+            <div class="progress-milestone-header">
+              <h4 class="progress-milestone-name">${escape(name)}</h4>
+              <span class="progress-status">${escape(labels.status[status])} · ${escape(formatPercent(percent, locale))}</span>
+            </div>
+            ${renderBar(percent, name, locale)}
+            <dl class="progress-dates">
+              <dt>${escape(labels.planned)}</dt>
+              <dd>${escape(formatRange(milestone.planned, locale))}</dd>
+              <dt>${escape(labels.actual)}</dt>
+              <dd>${escape(formatRange(milestone.actual, locale))}</dd>
+            </dl>
+          </div>
+        </li>`;
+    }).join('');
+
+    return `<ol class="progress-timeline${arabicClass}" data-animate="fade-up" data-animate-stagger="0.1">${items}
+    </ol>`;
+  }
+
+  /**
+   * Render the dated photo updates, newest first
+   */
+  function renderUpdates(entry, locale) {
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const localize = ProjectCatalog.localize;
+    const updates = (entry.updates || []).slice().sort((a, b) => b.date.localeCompare(a.date));
+
+    if (updates.length === 0) {
+      return `<p class="paragraph dark progress-empty">${escape(labels.empty)}</p>`;
+    }
+
+    return `<div class="progress-updates-list">${updates.map(update => {
+      const title = localize(update.title, locale);
+      const images = (update.images || []).map(image => `
+          <div class="progress-update-image">${ProjectCatalog.renderImage(image, title)}</div>`).join('');
+
+      return `
+        <article class="progress-update" data-animate="fade-up">
+          <time class="progress-updated" datetime="${escape(update.date)}">${escape(formatDate(update.date, locale))}</time>
+          <h4 class="progress-update-title">${escape(title)}</h4>
+          <p class="paragraph dark">${escape(localize(update.text, locale))}</p>
+          ${images ? `<div class="progress-update-images">${images}
+          </div>` : ''}
+        </article>`;
+    }).join('')}
+    </div>`;
+  }
+
+  /**
+   * Link to a project's section of the updates page
+   */
+  function getUpdatesUrl(projectId, locale) {
+    const page = locale === 'en' ? 'en/updates.html' : 'updates.html';
+    return `${ProjectCatalog.resolveAsset(page)}#progress-${encodeURIComponent(projectId)}`;
+  }
+
+  /**
+   * Fill the home slider badges: "65% complete · Updated 12 Oct 2026"
+   */
+  function renderBadges(progress, locale) {
+    const labels = LABELS[locale];
+
+    document.querySelectorAll('[data-progress-badge]').forEach(badge => {
+      const entry = getProjectProgress(progress, badge.getAttribute('data-progress-badge'));
+      if (!entry) return;
+
+      const parts = [`${formatPercent(getOverallPercent(entry), locale)} ${labels.complete}`];
+      if (entry.updated) parts.push(`${labels.updated} ${formatDate(entry.updated, locale)}`);
+
+      badge.textContent = parts.join(' · ');
+      badge.hidden = false;
+    });
+  }
+
+  /**
+   * Add a progress summary to the catalog rows of ongoing projects
+   */
+  function renderCatalogProgress(progress, locale) {
+    let rendered = 0;
+
+    document.querySelectorAll('.catalog-row[data-project-id]').forEach(row => {
+      const projectId = row.getAttribute('data-project-id');
+      const entry = getProjectProgress(progress, projectId);
+      const link = row.querySelector('.project-detail-link');
+      if (!entry || !link || row.querySelector('.project-progress')) return;
+
+      link.insertAdjacentHTML('beforebegin', renderSummary(entry, locale, getUpdatesUrl(projectId, locale)));
+      rendered++;
+    });
+
+    return rendered;
+  }
+
+  /**
+   * Add the timeline and updates to a project page
+   */
+  function renderDetailProgress(project, progress, locale) {
+    const container = document.querySelector('[data-project-detail]');
+    const entry = getProjectProgress(progress, project.id);
+    if (!container || !entry || container.querySelector('[data-project-progress]')) return false;
+
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const anchor = container.querySelector('.section.desert-storm');
+    const section = `
+      <section id="progress" class="section project-progress-section" data-project-progress="${escape(project.id)}">
+        <div class="w-layout-blockcontainer container w-container">
+          <h2 class="section-heading dark" data-animate="words-up" data-split="words">${escape(labels.timeline)}</h2>
+          ${renderSummary(entry, locale)}
+          ${renderTimeline(entry, progress.phases, locale)}
+          <h3 class="project-heading progress-updates-heading">${escape(labels.updates)}</h3>
+          ${renderUpdates(entry, locale)}
+        </div>
+      </section>`;
+
+    if (anchor) {
+      anchor.insertAdjacentHTML('afterend', section);
+    } else {
+      container.insertAdjacentHTML('beforeend', section);
+    }
+
+    return true;
+  }
+
+  /**
+   * Render every ongoing project into the updates page
+   */
+  function renderUpdatesPage(root, progress, locale) {
+    const escape = ProjectCatalog.escapeHtml;
+    const ids = Object.keys(progress.projects || {});
+
+    return Promise.all(ids.map(id => ProjectCatalog.findProject(id))).then(projects => {
+      root.innerHTML = ids.map((id, index) => {
+        const entry = progress.projects[id];
+        const project = projects[index];
+        const heading = project ? ProjectCatalog.getProjectHeading(project, locale) : id.toUpperCase();
+        const location = project ? ProjectCatalog.localize(project.location, locale) : '';
+        const title = project
+          ? `<a href="${escape(ProjectCatalog.getProjectUrl(project, locale))}" class="progress-project-link">${escape(heading)}</a>`
+          : escape(heading);
+
+        return `
+          <article id="progress-${escape(id)}" class="progress-project" data-project-id="${escape(id)}">
+            <div class="progress-project-header">
+              <h3 class="project-heading">${title}</h3>
+              ${location ? `<h4 class="project-sub-heading">${escape(location)}</h4>` : ''}
+            </div>
+            ${renderSummary(entry, locale)}
+            ${renderTimeline(entry, progress.phases, locale)}
+            ${renderUpdates(entry, locale)}
+          </article>`;
+      }).join('');
+    });
+  }
+
+  /**
+   * Limit the subscribe form's project list to the ongoing projects
+   */
+  function populateProjectSelects(progress, locale) {
+    const selects = document.querySelectorAll('select[data-progress-projects]');
+    if (selects.length === 0) return Promise.resolve();
+
+    const ids = Object.keys(progress.projects || {});
+
+    return Promise.all(ids.map(id => ProjectCatalog.findProject(id))).then(projects => {
+      selects.forEach(select => {
+        const placeholder = select.options[0];
+        select.innerHTML = '';
+        if (placeholder) select.appendChild(placeholder);
+
+        projects.forEach((project, index) => {
+          const option = document.createElement('option');
+          option.value = project ? (project.code || project.id) : ids[index];
+          option.textContent = project ? ProjectCatalog.getProjectHeading(project, locale) : ids[index].toUpperCase();
+          select.appendChild(option);
+        });
+      });
+    });
+  }
+
+  function dispatchRendered(progress, locale) {
+    if (typeof ScrollTrigger !== 'undefined') {
+      ScrollTrigger.refresh();
+    }
+
+    document.dispatchEvent(new CustomEvent('projectProgressRendered', {
+      detail: { progress, locale }
+    }));
+  }
+
+  /**
+   * Fill the badges, the updates page and its form on the current page
+   */
+  function initProjectProgress() {
+    if (typeof ProjectCatalog === 'undefined') return;
+
+    const root = document.querySelector('[data-progress-updates]');
+    const hasBadges = document.querySelector('[data-progress-badge]');
+    const hasSelects = document.querySelector('select[data-progress-projects]');
+    if (!root && !hasBadges && !hasSelects) return;
+
+    const locale = ProjectCatalog.getLocale();
+
+    loadProgress()
+      .then(progress => {
+        renderBadges(progress, locale);
+
+        return Promise.all([
+          root ? renderUpdatesPage(root, progress, locale) : null,
+          populateProjectSelects(progress, locale)
+        ]).then(() => {
+          if (!root) return;
+
+          dispatchRendered(progress, locale);
+
+          // Links such as updates.html#progress-nr150 land once the section exists
+          const target = window.location.hash ? document.getElementById(decodeURIComponent(window.location.hash.slice(1))) : null;
+          if (target && root.contains(target) && window.ScrollManager) {
+            ScrollManager.scrollTo(target, { immediate: true });
+          }
+        });
+      })
+      .catch(error => {
+        console.warn('Project progress could not be rendered:', error);
+        if (root) root.innerHTML = `<p class="paragraph dark progress-empty">${LABELS[locale].empty}</p>`;
+      });
+  }
+
+  // The filters (js/project-filters.js) re-render the rows without the summaries
+  ['projectCatalogRendered', 'projectFiltersChanged'].forEach(eventName => {
+    document.addEventListener(eventName, () => {
+      const locale = ProjectCatalog.getLocale();
+
+      loadProgress()
+        .then(progress => {
+          if (renderCatalogProgress(progress, locale) > 0) dispatchRendered(progress, locale);
+        })
+        .catch(error => {
+          console.warn('Project progress could not be rendered:', error);
+        });
+    });
+  });
+
+  document.addEventListener('projectDetailRendered', event => {
+    const { project, locale } = event.detail;
+
+    loadProgress()
+      .then(progress => {
+        if (renderDetailProgress(project, progress, locale)) dispatchRendered(progress, locale);
+      })
+      .catch(error => {
+        console.warn('Project progress could not be rendered:', error);
+      });
+  });
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initProjectProgress);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProjectProgress);
+  } else {
+    initProjectProgress();
+  }
+
+  // Export functions for external use
+  window.ProjectProgress = {
+    loadProgress,
+    getOverallPercent,
+    getMilestoneStatus,
+    getUpdatesUrl
+  };
+
+})();
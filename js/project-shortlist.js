@@ -0,0 +1,733 @@
+/**
+ * Project Shortlist for Calma Website
+ * Adds a "Save" toggle to project cards, keeps the saved projects in
+ * localStorage and lists them in a drawer that opens from a floating
+ * button. The drawer links to compare.html, which puts the saved projects
+ * side by side, and to the contact form with the projects filled in.
+ *
+ * Shortlists travel as ?projects=YS190,NR160,HT210 (codes, or ids for
+ * projects without a code): compare.html shows the listed projects and
+ * contact.html sends them as the lead's interested projects.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'calma-shortlist';
+  const SHARE_PARAM = 'projects';
+
+  // Document types shown in the comparison, in this order
+  const DOCUMENT_TYPES = ['brochure', 'floorplan', 'factsheet', 'report'];
+
+  // Cards that get a toggle, and the element the toggle goes after
+  const TOGGLE_TARGETS = [
+    { card: '.catalog-row[data-project-id]', anchor: '.project-detail-link' },
+    { card: '.project-grid-main-wrapper[data-project-id]', anchor: '.project-grid-details-wrapper > :last-child' },
+    { card: '[data-project-detail]', anchor: '[data-register-interest]' }
+  ];
+
+  const LABELS = {
+    ar: {
+      save: 'حفظ في قائمتي',
+      saved: 'محفوظ في قائمتي',
+      launcher: count => `قائمتي (${count.toLocaleString('ar-SA')})`,
+      title: 'قائمتي المختارة',
+      empty: 'لم تحفظ أي مشروع بعد. استخدم «حفظ في قائمتي» على بطاقات المشاريع.',
+      compare: 'قارن المشاريع',
+      share: 'مشاركة القائمة',
+      copied: 'تم نسخ رابط القائمة.',
+      copyThis: 'انسخ رابط القائمة:',
+      registerInterest: 'سجّل اهتمامك بهذه المشاريع',
+      clear: 'مسح القائمة',
+      remove: 'إزالة',
+      close: 'إغلاق',
+      sharedNote: 'تعرض هذه المقارنة قائمة تمت مشاركتها معك.',
+      saveShared: 'أضف هذه المشاريع إلى قائمتي',
+      sharedSaved: 'تمت إضافة المشاريع إلى قائمتك.',
+      compareEmpty: 'أضف مشروعين أو أكثر إلى قائمتك لمقارنتها جنبًا إلى جنب.',
+      compareOne: 'أضف مشروعًا آخر إلى قائمتك لمقارنته بهذا المشروع.',
+      browseProjects: 'تصفح المشاريع',
+      project: 'المشروع',
+      district: 'الحي',
+      city: 'المدينة',
+      type: 'نوع المنتج',
+      units: 'عدد الوحدات',
+      features: 'أبرز المزايا',
+      documents: 'الملفات المتاحة',
+      noDocuments: 'لا توجد ملفات بعد',
+      documentTypes: { brochure: 'الكتيب', floorplan: 'المخططات', factsheet: 'النشرة', report: 'التقرير' },
+      languages: { ar: 'عربي', en: 'إنجليزي' },
+      failed: 'تعذّر تحميل المقارنة. يرجى المحاولة مرة أخرى.'
+    },
+    en: {
+      save: 'Save to shortlist',
+      saved: 'Saved to shortlist',
+      launcher: count => `Shortlist (${count})`,
+      title: 'Your shortlist',
+      empty: 'You have not saved any projects yet. Use “Save to shortlist” on a project card.',
+      compare: 'Compare projects',
+      share: 'Share shortlist',
+      copied: 'Shortlist link copied.',
+      copyThis: 'Copy the shortlist link:',
+      registerInterest: 'Register interest in these projects',
+      clear: 'Clear shortlist',
+      remove: 'Remove',
+      close: 'Close',
+      sharedNote: 'This comparison shows a shortlist that was shared with you.',
+      saveShared: 'Add these projects to my shortlist',
+      sharedSaved: 'The projects were added to your shortlist.',
+      compareEmpty: 'Save two or more projects to your shortlist to compare them side by side.',
+      compareOne: 'Save another project to your shortlist to compare it with this one.',
+      browseProjects: 'Browse projects',
+      project: 'Project',
+      district: 'District',
+      city: 'City',
+      type: 'Product type',
+      units: 'Units',
+      features: 'Key features',
+      documents: 'Available documents',
+      noDocuments: 'No documents yet',
+      documentTypes: { brochure: 'Brochure', floorplan: 'Floorplans', factsheet: 'Factsheet', report: 'Report' },
+      languages: { ar: 'Arabic', en: 'English' },
+      failed: 'The comparison could not be loaded. Please try again.'
+    }
+  };
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const siteRoot = new URL('../', scriptSrc);
+
+  let launcher = null;
+  let drawer = null;
+  let returnFocus = null;
+  // Projects of a shared comparison that are not in the visitor's shortlist
+  let compareMissing = [];
+
+  /**
+   * Absolute URL of a site page in the given locale
+   */
+  function getPageUrl(page, locale) {
+    return new URL(locale === 'en' ? `en/${page}` : page, siteRoot);
+  }
+
+  /* ===== STORAGE ===== */
+
+  /**
+   * Get the saved projects: [{ id, code, name, title, addedAt }]
+   */
+  function getShortlist() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved.filter(entry => entry && entry.id) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeShortlist(entries) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+      // The shortlist lasts until the page is closed
+    }
+
+    onShortlistChange(entries);
+  }
+
+  function isShortlisted(id) {
+    return getShortlist().some(entry => entry.id === id);
+  }
+
+  /**
+   * Keep what the drawer needs to list a project without loading the catalog
+   */
+  function toEntry(project) {
+    return {
+      id: project.id,
+      code: project.code || '',
+      name: project.name,
+      title: project.title,
+      addedAt: new Date().toISOString()
+    };
+  }
+
+  function addProjects(projects) {
+    const entries = getShortlist();
+
+    projects.forEach(project => {
+      if (project && !entries.some(entry => entry.id === project.id)) entries.push(toEntry(project));
+    });
+
+    writeShortlist(entries);
+    return entries;
+  }
+
+  function removeProject(id) {
+    const entries = getShortlist().filter(entry => entry.id !== id);
+    writeShortlist(entries);
+    return entries;
+  }
+
+  function clearShortlist() {
+    writeShortlist([]);
+    return [];
+  }
+
+  /**
+   * Add or remove a catalog project; resolves with whether it is now saved
+   */
+  function toggleProject(idOrCode) {
+    if (typeof ProjectCatalog === 'undefined') return Promise.resolve(false);
+
+    return ProjectCatalog.findProject(idOrCode).then(project => {
+      if (!project) return false;
+
+      if (isShortlisted(project.id)) {
+        removeProject(project.id);
+        return false;
+      }
+
+      addProjects([project]);
+      return true;
+    });
+  }
+
+  /* ===== SHARING ===== */
+
+  function getShareValue(entries) {
+    return entries.map(entry => entry.code || entry.id).join(',');
+  }
+
+  /**
+   * Set ?projects= on a URL; the commas stay readable in shared links
+   */
+  function setShareParam(url, entries) {
+    const params = new URLSearchParams(url.search);
+    params.delete(SHARE_PARAM);
+
+    const rest = params.toString();
+    const value = entries.map(entry => encodeURIComponent(entry.code || entry.id)).join(',');
+    url.search = [value ? `${SHARE_PARAM}=${value}` : '', rest].filter(Boolean).join('&');
+
+    return url;
+  }
+
+  /**
+   * Read the codes / ids of a ?projects= list
+   */
+  function parseSharedProjects(search = window.location.search) {
+    const value = new URLSearchParams(search).get(SHARE_PARAM) || '';
+
+    return value.split(',')
+      .map(item => item.trim())
+      .filter((item, index, items) => item && items.indexOf(item) === index);
+  }
+
+  function getCompareUrl(entries = getShortlist(), locale = ProjectCatalog.getLocale()) {
+    return setShareParam(getPageUrl('compare.html', locale), entries).href;
+  }
+
+  function getContactUrl(entries = getShortlist(), locale = ProjectCatalog.getLocale()) {
+    return setShareParam(getPageUrl('contact.html', locale), entries).href;
+  }
+
+  /**
+   * Share the comparison link with the system share sheet, or copy it
+   */
+  function shareShortlist(status) {
+    const escape = ProjectCatalog.escapeHtml;
+    const labels = LABELS[ProjectCatalog.getLocale()];
+    const url = getCompareUrl();
+    const showLink = () => {
+      status.innerHTML = `${labels.copyThis} <a href="${escape(url)}" class="shortlist-share-link">${escape(url)}</a>`;
+    };
+
+    if (navigator.share) {
+      navigator.share({ title: labels.title, url }).catch(error => {
+        if (error && error.name !== 'AbortError') showLink();
+      });
+      return;
+    }
+
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+      navigator.clipboard.writeText(url)
+        .then(() => {
+          status.textContent = labels.copied;
+        })
+        .catch(showLink);
+      return;
+    }
+
+    showLink();
+  }
+
+  /* ===== TOGGLES ===== */
+
+  function setToggleState(button, saved) {
+    const labels = LABELS[ProjectCatalog.getLocale()];
+
+    button.setAttribute('aria-pressed', String(saved));
+    button.textContent = saved ? labels.saved : labels.save;
+  }
+
+  /**
+   * Add a toggle to every catalog project card on the page that does not
+   * have one; the download pages also list projects outside the catalog
+   */
+  function renderToggles() {
+    if (typeof ProjectCatalog === 'undefined') return Promise.resolve();
+
+    return ProjectCatalog.loadCatalog()
+      .then(catalog => {
+        const known = {};
+        catalog.projects.forEach(project => {
+          known[project.id] = project;
+          if (project.code) known[project.code.toLowerCase()] = project;
+        });
+
+        TOGGLE_TARGETS.forEach(target => {
+          document.querySelectorAll(target.card).forEach(card => {
+            const anchor = card.querySelector(target.anchor);
+            if (!anchor || card.querySelector('[data-shortlist-toggle]')) return;
+
+            // The detail page container has no id of its own
+            const key = card.getAttribute('data-project-id') || anchor.getAttribute('data-register-interest') || '';
+            const project = known[key.toLowerCase()];
+            if (!project) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `${anchor.classList.contains('project-button') ? 'project-button' : 'button grey'}${anchor.classList.contains('arabic') ? ' arabic' : ''} shortlist-toggle w-button`;
+            button.setAttribute('data-shortlist-toggle', project.id);
+
+            anchor.insertAdjacentElement('afterend', button);
+          });
+        });
+
+        syncToggles();
+      })
+      .catch(error => {
+        console.warn('Shortlist toggles could not be rendered:', error);
+      });
+  }
+
+  function syncToggles() {
+    const saved = getShortlist().map(entry => entry.id);
+
+    document.querySelectorAll('[data-shortlist-toggle]').forEach(button => {
+      setToggleState(button, saved.includes(button.getAttribute('data-shortlist-toggle')));
+    });
+  }
+
+  /* ===== DRAWER ===== */
+
+  function updateLauncher() {
+    const count = getShortlist().length;
+
+    if (!launcher) {
+      if (count === 0) return;
+      launcher = createLauncher();
+    }
+
+    launcher.textContent = LABELS[ProjectCatalog.getLocale()].launcher(count);
+    launcher.hidden = count === 0;
+  }
+
+  /**
+   * The launcher and the drawer live outside #scroll-container so soft
+   * navigation leaves them alone
+   */
+  function createLauncher() {
+    const element = document.createElement('button');
+
+    element.type = 'button';
+    element.className = 'shortlist-launcher';
+    element.hidden = true;
+    element.setAttribute('aria-haspopup', 'dialog');
+    element.addEventListener('click', openDrawer);
+
+    document.body.appendChild(element);
+    return element;
+  }
+
+  function createDrawer() {
+    const element = document.createElement('div');
+
+    element.className = 'shortlist-drawer';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-labelledby', 'shortlist-drawer-title');
+    element.innerHTML = `
+      <div class="shortlist-drawer-panel">
+        <button type="button" class="shortlist-drawer-close" data-shortlist-close>&times;</button>
+        <h2 id="shortlist-drawer-title" class="shortlist-drawer-title"></h2>
+        <div class="shortlist-drawer-body" data-shortlist-items></div>
+      </div>`;
+
+    // Clicking the backdrop closes the drawer
+    element.addEventListener('click', event => {
+      if (event.target === element) closeDrawer();
+    });
+    element.addEventListener('click', onDrawerClick);
+    element.addEventListener('keydown', onDrawerKeydown);
+
+    document.body.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Fill the drawer in the current page language; soft navigation can
+   * switch languages while it stays in the page
+   */
+  function renderDrawer() {
+    const escape = ProjectCatalog.escapeHtml;
+    const localize = ProjectCatalog.localize;
+    const locale = ProjectCatalog.getLocale();
+    const labels = LABELS[locale];
+    const entries = getShortlist();
+    const body = drawer.querySelector('[data-shortlist-items]');
+
+    drawer.setAttribute('dir', locale === 'ar' ? 'rtl' : 'ltr');
+    drawer.setAttribute('lang', locale);
+    drawer.querySelector('.shortlist-drawer-title').textContent = labels.title;
+    drawer.querySelector('[data-shortlist-close]').setAttribute('aria-label', labels.close);
+
+    if (entries.length === 0) {
+      body.innerHTML = `<p class="shortlist-drawer-text">${labels.empty}</p>`;
+      return;
+    }
+
+    body.innerHTML = `
+      <ul class="shortlist-list">
+        ${entries.map(entry => `
+          <li class="shortlist-item">
+            <a href="${escape(getPageUrl(`projects/${encodeURIComponent(entry.id)}`, locale).href)}" class="shortlist-item-link">
+              <span class="shortlist-item-name">${escape(localize(entry.name, locale) || entry.code || entry.id)}</span>
+              <span class="shortlist-item-title">${escape(localize(entry.title, locale))}</span>
+            </a>
+            <button type="button" class="shortlist-remove" data-shortlist-remove="${escape(entry.id)}">${labels.remove}</button>
+          </li>`).join('')}
+      </ul>
+      <div class="shortlist-actions">
+        <a href="${escape(getCompareUrl(entries, locale))}" class="button dark w-button" data-shortlist-compare>${labels.compare}</a>
+        <a href="${escape(getContactUrl(entries, locale))}" class="button dark w-button" data-shortlist-contact>${labels.registerInterest}</a>
+        <button type="button" class="button grey w-button" data-shortlist-share>${labels.share}</button>
+        <button type="button" class="shortlist-clear" data-shortlist-clear>${labels.clear}</button>
+      </div>
+      <p class="shortlist-drawer-text shortlist-status" data-shortlist-status aria-live="polite"></p>`;
+  }
+
+  function isDrawerOpen() {
+    return Boolean(drawer && !drawer.hidden);
+  }
+
+  function openDrawer() {
+    if (!drawer) drawer = createDrawer();
+
+    renderDrawer();
+
+    if (!isDrawerOpen()) {
+      returnFocus = document.activeElement;
+      drawer.hidden = false;
+      if (window.ScrollManager) ScrollManager.lock();
+    }
+
+    drawer.querySelector('[data-shortlist-close]').focus();
+  }
+
+  function closeDrawer() {
+    if (!isDrawerOpen()) return;
+
+    drawer.hidden = true;
+    if (window.ScrollManager) ScrollManager.unlock();
+
+    if (returnFocus && typeof returnFocus.focus === 'function' && document.contains(returnFocus)) {
+      returnFocus.focus({ preventScroll: true });
+    }
+    returnFocus = null;
+  }
+
+  function onDrawerClick(event) {
+    const target = event.target.closest ? event.target.closest('button, a') : null;
+    if (!target) return;
+
+    if (target.hasAttribute('data-shortlist-close')) {
+      closeDrawer();
+    } else if (target.hasAttribute('data-shortlist-remove')) {
+      removeProject(target.getAttribute('data-shortlist-remove'));
+      renderDrawer();
+      if (getShortlist().length === 0) drawer.querySelector('[data-shortlist-close]').focus();
+    } else if (target.hasAttribute('data-shortlist-clear')) {
+      clearShortlist();
+      renderDrawer();
+      drawer.querySelector('[data-shortlist-close]').focus();
+    } else if (target.hasAttribute('data-shortlist-share')) {
+      shareShortlist(drawer.querySelector('[data-shortlist-status]'));
+    } else if (target.tagName === 'A') {
+      // Links may be followed by soft navigation, which leaves the drawer open
+      closeDrawer();
+    }
+  }
+
+  function onDrawerKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeDrawer();
+    } else if (event.key === 'Tab') {
+      trapFocus(event);
+    }
+  }
+
+  function trapFocus(event) {
+    const focusable = Array.from(drawer.querySelectorAll('button, a[href]'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /* ===== COMPARISON ===== */
+
+  /**
+   * Load the documents of the compared projects; the comparison still
+   * renders without them
+   */
+  function loadDocuments() {
+    if (typeof DownloadsCenter === 'undefined') return Promise.resolve([]);
+
+    return DownloadsCenter.loadManifest()
+      .then(manifest => manifest.documents || [])
+      .catch(() => []);
+  }
+
+  /**
+   * Link every document type that has an uploaded file, preferring the page
+   * language; files listed in the manifest but not uploaded yet are left out
+   */
+  function renderDocuments(project, documents, locale) {
+    const escape = ProjectCatalog.escapeHtml;
+    const labels = LABELS[locale];
+    const links = DOCUMENT_TYPES.map(type => {
+      const candidates = documents.filter(doc => (
+        doc.project === project.id && doc.type === type && DownloadsCenter.isAvailable(doc)
+      ));
+      const doc = candidates.find(candidate => candidate.lang === locale) || candidates[0];
+      if (!doc) return '';
+
+      const language = doc.lang !== locale ? ` (${labels.languages[doc.lang] || doc.lang})` : '';
+      return `<li><a href="${escape(ProjectCatalog.resolveAsset(doc.file))}" download data-document-type="${escape(type)}" data-document-lang="${escape(doc.lang)}" data-project-id="${escape(project.id)}" class="compare-document-link">${labels.documentTypes[type]}${language}</a></li>`;
+    }).join('');
+
+    return links ? `<ul class="compare-list">${links}</ul>` : `<span class="compare-muted">${labels.noDocuments}</span>`;
+  }
+
+  /**
+   * Build the comparison table: one column per project, one row per attribute
+   */
+  function renderCompareTable(projects, catalog, documents, locale, removable) {
+    const escape = ProjectCatalog.escapeHtml;
+    const localize = ProjectCatalog.localize;
+    const labels = LABELS[locale];
+    const units = project => (locale === 'ar' ? project.units.toLocaleString('ar-SA') : String(project.units));
+    const list = items => `<ul class="compare-list">${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+
+    const rows = [
+      [labels.district, project => escape(localize(catalog.districts[project.district], locale))],
+      [labels.city, project => escape(localize(catalog.cities[project.city], locale))],
+      [labels.type, project => escape(project.types.map(type => localize(catalog.types[type], locale)).join(locale === 'ar' ? '، ' : ', '))],
+      [labels.units, project => escape(units(project))],
+      [labels.features, project => list(localize(project.features, locale) || [])],
+      [labels.documents, project => renderDocuments(project, documents, locale)]
+    ];
+
+    const headers = projects.map(project => {
+      const heading = ProjectCatalog.getProjectHeading(project, locale);
+      const image = (project.images || [])[0];
+
+      return `
+        <th scope="col" class="compare-project" data-project-id="${escape(project.id)}">
+          ${image ? `<div class="compare-image">${ProjectCatalog.renderImage(image, heading)}</div>` : ''}
+          <a href="${escape(ProjectCatalog.getProjectUrl(project, locale))}" class="compare-project-link">${escape(heading)}</a>
+          ${removable ? `<button type="button" class="shortlist-remove" data-compare-remove="${escape(project.id)}">${labels.remove}</button>` : ''}
+        </th>`;
+    }).join('');
+
+    return `
+      <div class="compare-scroll" tabindex="0" role="region" aria-label="${escape(labels.compare)}">
+        <table class="compare-table">
+          <thead>
+            <tr>
+              <td class="compare-corner"><span class="compare-muted">${labels.project}</span></td>${headers}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(([label, cell]) => `
+              <tr>
+                <th scope="row" class="compare-label">${label}</th>
+                ${projects.map(project => `<td class="compare-cell">${cell(project)}</td>`).join('')}
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`;
+  }
+
+  /**
+   * Render compare.html: the ?projects= list when the page was shared,
+   * otherwise the visitor's own shortlist
+   */
+  function renderComparison(options = {}) {
+    const root = document.querySelector('[data-project-compare]');
+    if (!root || typeof ProjectCatalog === 'undefined') return Promise.resolve();
+
+    const escape = ProjectCatalog.escapeHtml;
+
+    const locale = ProjectCatalog.getLocale();
+    const labels = LABELS[locale];
+    const requested = options.useShortlist ? [] : parseSharedProjects();
+    const own = getShortlist();
+    const ownValue = getShareValue(own);
+    const shared = requested.length > 0 && requested.join(',').toLowerCase() !== ownValue.toLowerCase();
+    const keys = requested.length ? requested : own.map(entry => entry.id);
+
+    return Promise.all([ProjectCatalog.loadCatalog(), loadDocuments(), Promise.all(keys.map(key => ProjectCatalog.findProject(key)))])
+      .then(([catalog, documents, found]) => {
+        const projects = found.filter(Boolean);
+        compareMissing = projects.filter(project => !isShortlisted(project.id));
+
+        // Keep the address shareable as the shortlist changes
+        if (!shared) {
+          window.history.replaceState(window.history.state, '', setShareParam(new URL(window.location.href), own).href);
+        }
+
+        const intro = projects.length === 0
+          ? labels.compareEmpty
+          : projects.length === 1 ? labels.compareOne : '';
+        const toolbar = projects.length ? `
+          <div class="shortlist-actions compare-actions">
+            ${shared && compareMissing.length ? `<button type="button" class="button dark w-button" data-compare-save>${labels.saveShared}</button>` : ''}
+            <a href="${escape(getContactUrl(projects.map(toEntry), locale))}" class="button dark w-button" data-shortlist-contact>${labels.registerInterest}</a>
+            ${shared ? '' : `<button type="button" class="button grey w-button" data-shortlist-share>${labels.share}</button>`}
+          </div>
+          <p class="paragraph dark shortlist-status" data-shortlist-status aria-live="polite"></p>` : '';
+
+        root.innerHTML = `
+          ${shared ? `<p class="paragraph dark compare-note">${labels.sharedNote}</p>` : ''}
+          ${intro ? `<p class="paragraph dark compare-note">${intro}</p>` : ''}
+          ${projects.length ? renderCompareTable(projects, catalog, documents, locale, !shared) : `<a href="${escape(getPageUrl('projects.html', locale).href)}" class="button grey w-button">${labels.browseProjects}</a>`}
+          ${toolbar}`;
+
+        root.setAttribute('data-compare-shared', String(shared));
+
+        document.dispatchEvent(new CustomEvent('projectCompareRendered', {
+          detail: { projects, shared, locale }
+        }));
+      })
+      .catch(error => {
+        console.warn('Project comparison could not be rendered:', error);
+        root.innerHTML = `<p class="paragraph dark compare-note">${labels.failed}</p>`;
+      });
+  }
+
+  function onCompareClick(target, root) {
+    if (target.hasAttribute('data-compare-remove')) {
+      // Re-rendered by the shortlistChange listener
+      removeProject(target.getAttribute('data-compare-remove'));
+    } else if (target.hasAttribute('data-compare-save')) {
+      addProjects(compareMissing);
+      compareMissing = [];
+      target.remove();
+      root.querySelector('[data-shortlist-status]').textContent = LABELS[ProjectCatalog.getLocale()].sharedSaved;
+    } else if (target.hasAttribute('data-shortlist-share')) {
+      shareShortlist(root.querySelector('[data-shortlist-status]'));
+    }
+  }
+
+  /* ===== WIRING ===== */
+
+  function onShortlistChange(entries) {
+    syncToggles();
+    updateLauncher();
+
+    document.dispatchEvent(new CustomEvent('shortlistChange', {
+      detail: { projects: entries.slice() }
+    }));
+  }
+
+  /**
+   * Toggles and the comparison are rendered and replaced with the page, so
+   * clicks are delegated
+   */
+  function onDocumentClick(event) {
+    if (!event.target.closest) return;
+
+    const compareButton = event.target.closest('[data-project-compare] button');
+    if (compareButton) {
+      onCompareClick(compareButton, compareButton.closest('[data-project-compare]'));
+      return;
+    }
+
+    const button = event.target.closest('[data-shortlist-toggle]');
+    if (!button) return;
+
+    event.preventDefault();
+    toggleProject(button.getAttribute('data-shortlist-toggle')).catch(error => {
+      console.warn('Shortlist could not be updated:', error);
+    });
+  }
+
+  function initShortlist() {
+    closeDrawer();
+    renderToggles();
+    updateLauncher();
+    renderComparison();
+  }
+
+  document.addEventListener('click', onDocumentClick);
+
+  // Cards rendered after load, and re-rendered by the filters
+  ['projectCatalogRendered', 'projectFiltersChanged', 'documentGridRendered', 'projectDetailRendered'].forEach(eventName => {
+    document.addEventListener(eventName, renderToggles);
+  });
+  document.addEventListener('pageContentReplaced', initShortlist);
+
+  // Removing a project from the comparison or the drawer redraws the
+  // comparison, unless it shows a shared list
+  document.addEventListener('shortlistChange', () => {
+    const root = document.querySelector('[data-project-compare]');
+    if (root && root.getAttribute('data-compare-shared') !== 'true') renderComparison({ useShortlist: true });
+  });
+
+  // Other tabs
+  window.addEventListener('storage', event => {
+    if (event.key === STORAGE_KEY) onShortlistChange(getShortlist());
+  });
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initShortlist);
+  } else {
+    initShortlist();
+  }
+
+  // Export functions for external use
+  window.ProjectShortlist = {
+    getShortlist,
+    isShortlisted,
+    addProjects,
+    removeProject,
+    clearShortlist,
+    toggleProject,
+    parseSharedProjects,
+    getCompareUrl,
+    getContactUrl,
+    openDrawer,
+    closeDrawer
+  };
+
+})();
@@ -0,0 +1,126 @@
+/**
+ * Projects Stat Hover for Calma Website
+ * Hover effect for the project stats on the about page: a background wipe,
+ * the project image fading in and the headings turning white
+ */
+
+(function() {
+  'use strict';
+
+  const COLORS = {
+    overlay: '#64523D',
+    hover: '#ffffff',
+    heading: '#091d1e',
+    subHeading: '#64523d'
+  };
+
+  /**
+   * Add the overlay and hover listeners to one .projects-stat-div
+   */
+  function setupStatHover(div) {
+    if (div.querySelector(':scope > .bg-overlay')) return;
+
+    const bgOverlay = document.createElement('div');
+    bgOverlay.classList.add('bg-overlay');
+    div.style.position = 'relative';
+    div.appendChild(bgOverlay);
+
+    const imageDiv = div.querySelector('.projects-image-div');
+    const sectionHeading = div.querySelector('.section-heading');
+    const subHeading = div.querySelector('.sub-heading.pastle');
+
+    // Set initial states
+    gsap.set(bgOverlay, {
+      position: 'absolute',
+      top: 0,
+      right: 0,
+      bottom: 0,
+      left: 0,
+      backgroundColor: COLORS.overlay,
+      transformOrigin: 'right',
+      scaleX: 0,
+      zIndex: 0,
+      pointerEvents: 'none'
+    });
+
+    div.addEventListener('mouseenter', () => {
+      // Animate background wipe
+      gsap.to(bgOverlay, {
+        scaleX: 1,
+        duration: 0.6,
+        ease: 'power2.out'
+      });
+      // Show image
+      imageDiv.style.display = 'block';
+      gsap.fromTo(imageDiv, {
+        opacity: 0
+      }, {
+        opacity: 1,
+        duration: 0.5,
+        delay: 0.1
+      });
+      // Change text colors
+      gsap.to(sectionHeading, {
+        color: COLORS.hover,
+        duration: 0.3,
+        delay: 0.1
+      });
+      gsap.to(subHeading, {
+        color: COLORS.hover,
+        duration: 0.3,
+        delay: 0.2
+      });
+    });
+
+    div.addEventListener('mouseleave', () => {
+      // Reverse background wipe
+      gsap.to(bgOverlay, {
+        scaleX: 0,
+        duration: 0.6,
+        ease: 'power2.in'
+      });
+      // Hide image
+      gsap.to(imageDiv, {
+        opacity: 0,
+        duration: 0.4,
+        onComplete: () => {
+          imageDiv.style.display = 'none';
+        }
+      });
+      // Revert text colors
+      gsap.to(sectionHeading, {
+        color: COLORS.heading,
+        duration: 0.3
+      });
+      gsap.to(subHeading, {
+        color: COLORS.subHeading,
+        duration: 0.3
+      });
+    });
+  }
+
+  /**
+   * Set up every project stat on the page
+   */
+  function initStatHover() {
+    if (typeof gsap === 'undefined') return;
+
+    document.querySelectorAll('.projects-stat-div').forEach(setupStatHover);
+  }
+
+  // The about page can also be opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initStatHover);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initStatHover);
+  } else {
+    initStatHover();
+  }
+
+  // Export functions for external use
+  window.ProjectsStatHover = {
+    setupStatHover
+  };
+
+})();
@@ -0,0 +1,302 @@
+/**
+ * Scroll Manager for Calma Website
+ * One place for scrolling: runs Lenis smooth scrolling on the window when the
+ * motion policy allows it (js/motion-policy.js), keeps ScrollTrigger in step
+ * with it and handles anchor links, including links to a section of another
+ * page such as about.html#leadership.
+ *
+ *   ScrollManager.scrollTo('#leadership')
+ *   ScrollManager.scrollTo(element, { offset: -40, immediate: true })
+ *   ScrollManager.lock()     // while the mobile menu is open
+ *   ScrollManager.unlock()
+ *
+ * Events on document:
+ *   scrollProgress       { scroll, limit, progress, direction }, at most once a frame
+ *   scrollSectionChange  { id, element, previous } when another section reaches
+ *                        the navigation bar
+ */
+
+(function() {
+  'use strict';
+
+  const LENIS_OPTIONS = {
+    duration: 1.2,
+    easing: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
+  };
+
+  // Sections reported by getCurrentSection() and scrollSectionChange
+  const SECTION_SELECTOR = '[data-scroll-section], section[id]';
+
+  // Space left between a scrolled-to section and the fixed navigation bar
+  const TARGET_MARGIN = 16;
+
+  let lenis = null;
+  let lockCount = 0;
+  let currentSection = null;
+  let progressFrame = null;
+  let lastScroll = window.scrollY;
+
+  function isReducedMotion() {
+    return Boolean(window.MotionPolicy && MotionPolicy.isReduced());
+  }
+
+  /**
+   * Height covered by the fixed navigation bar, plus a margin
+   */
+  function getHeaderOffset() {
+    const navbar = document.querySelector('.navbar');
+    if (!navbar) return 0;
+
+    const position = getComputedStyle(navbar).position;
+    if (position !== 'fixed' && position !== 'sticky') return 0;
+
+    return navbar.getBoundingClientRect().bottom + TARGET_MARGIN;
+  }
+
+  function getLimit() {
+    return Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+  }
+
+  /**
+   * Resolve a number, "#id", selector or element
+   */
+  function resolveTarget(target) {
+    if (typeof target === 'number') return target;
+
+    if (typeof target === 'string') {
+      if (target === '' || target === '#') return 0;
+      if (target.charAt(0) === '#') return document.getElementById(decodeURIComponent(target.slice(1)));
+      return document.querySelector(target);
+    }
+
+    return target || null;
+  }
+
+  /**
+   * Scroll to a position, "#id", selector or element. offset is added to the
+   * target's position and defaults to keeping elements clear of the navigation
+   * bar. Returns false when the target is not on the page
+   */
+  function scrollTo(target, options = {}) {
+    const resolved = resolveTarget(target);
+    if (resolved === null) return false;
+
+    const isPosition = typeof resolved === 'number';
+    const offset = options.offset !== undefined ? options.offset : (isPosition ? 0 : -getHeaderOffset());
+    const top = isPosition ? resolved : resolved.getBoundingClientRect().top + window.scrollY;
+    const destination = Math.min(Math.max(top + offset, 0), getLimit());
+    const immediate = Boolean(options.immediate) || isReducedMotion();
+
+    if (lenis) {
+      // force: soft navigation scrolls while the mobile menu is still closing
+      lenis.scrollTo(destination, { immediate, force: true });
+    } else {
+      window.scrollTo({ top: destination, behavior: immediate ? 'auto' : 'smooth' });
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop the page from scrolling; calls are counted so nested locks are safe
+   */
+  function lock() {
+    lockCount++;
+    if (lockCount > 1) return;
+
+    if (lenis) lenis.stop();
+    document.documentElement.classList.add('scroll-locked');
+  }
+
+  function unlock() {
+    if (lockCount === 0) return;
+
+    lockCount--;
+    if (lockCount > 0) return;
+
+    if (lenis) lenis.start();
+    document.documentElement.classList.remove('scroll-locked');
+  }
+
+  function isLocked() {
+    return lockCount > 0;
+  }
+
+  /**
+   * Get the last section whose top has reached the navigation bar
+   */
+  function getCurrentSection() {
+    const line = getHeaderOffset() + 1;
+    let current = null;
+
+    document.querySelectorAll(SECTION_SELECTOR).forEach(section => {
+      if (section.getBoundingClientRect().top <= line) current = section;
+    });
+
+    return current;
+  }
+
+  function getProgress() {
+    const limit = getLimit();
+    return limit > 0 ? Math.min(window.scrollY / limit, 1) : 0;
+  }
+
+  function updateCurrentSection() {
+    const section = getCurrentSection();
+    if (section === currentSection) return;
+
+    const previous = currentSection;
+    currentSection = section;
+
+    document.dispatchEvent(new CustomEvent('scrollSectionChange', {
+      detail: { id: section ? section.id : null, element: section, previous }
+    }));
+  }
+
+  function reportProgress() {
+    progressFrame = null;
+
+    const scroll = window.scrollY;
+    const direction = scroll === lastScroll ? 0 : (scroll > lastScroll ? 1 : -1);
+    lastScroll = scroll;
+
+    document.dispatchEvent(new CustomEvent('scrollProgress', {
+      detail: { scroll, limit: getLimit(), progress: getProgress(), direction }
+    }));
+
+    updateCurrentSection();
+  }
+
+  function scheduleProgress() {
+    if (progressFrame === null) progressFrame = requestAnimationFrame(reportProgress);
+  }
+
+  // Lenis runs on the GSAP ticker so ScrollTrigger and smooth scrolling share a frame
+  function tick(time) {
+    if (lenis) lenis.raf(time * 1000);
+  }
+
+  function startSmoothScroll() {
+    if (lenis || typeof Lenis === 'undefined' || typeof gsap === 'undefined') return;
+    if (window.MotionPolicy && !MotionPolicy.shouldSmoothScroll()) return;
+
+    try {
+      lenis = new Lenis(LENIS_OPTIONS);
+    } catch (error) {
+      // Native scrolling still works
+      console.warn('Lenis initialization failed:', error);
+      return;
+    }
+
+    if (typeof ScrollTrigger !== 'undefined') lenis.on('scroll', ScrollTrigger.update);
+    if (lockCount > 0) lenis.stop();
+
+    gsap.ticker.add(tick);
+    gsap.ticker.lagSmoothing(0);
+  }
+
+  function stopSmoothScroll() {
+    if (!lenis) return;
+
+    gsap.ticker.remove(tick);
+    gsap.ticker.lagSmoothing(500, 33);
+    lenis.destroy();
+    lenis = null;
+  }
+
+  /**
+   * Get the anchor of a link that points at a section of the current page
+   */
+  function getSamePageHash(link) {
+    const url = new URL(link.href, window.location.href);
+    const current = window.location;
+
+    if (!url.hash || url.hash === '#') return null;
+    if (url.origin !== current.origin || url.pathname !== current.pathname || url.search !== current.search) return null;
+
+    return url.hash;
+  }
+
+  /**
+   * Scroll to sections of this page instead of jumping; links to a section
+   * of another page land there once it has loaded (or been soft-navigated to)
+   */
+  function setupAnchorLinks() {
+    document.addEventListener('click', event => {
+      if (event.defaultPrevented || event.button !== 0) return;
+      if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+      const link = event.target.closest ? event.target.closest('a[href]') : null;
+      if (!link || link.target) return;
+
+      const hash = getSamePageHash(link);
+      if (!hash || !scrollTo(hash)) return;
+
+      event.preventDefault();
+      if (hash !== window.location.hash) {
+        window.history.pushState(window.history.state, '', hash);
+      }
+    });
+  }
+
+  /**
+   * Land on the section in the URL once the page (and the images above it)
+   * have laid out, e.g. after opening en/about.html#leadership
+   */
+  function scrollToHash() {
+    if (!window.location.hash) return;
+
+    const land = () => scrollTo(window.location.hash, { immediate: true });
+    land();
+
+    if (document.readyState !== 'complete') {
+      window.addEventListener('load', land, { once: true });
+    }
+  }
+
+  /**
+   * Start smooth scrolling, anchor links and scroll tracking
+   */
+  function initScrollManager() {
+    startSmoothScroll();
+    setupAnchorLinks();
+    scrollToHash();
+
+    window.addEventListener('scroll', scheduleProgress, { passive: true });
+    updateCurrentSection();
+  }
+
+  document.addEventListener('motionPolicyChange', () => {
+    if (window.MotionPolicy && MotionPolicy.shouldSmoothScroll()) {
+      startSmoothScroll();
+    } else {
+      stopSmoothScroll();
+    }
+  });
+
+  // Soft navigation (js/page-router.js) brings new sections
+  document.addEventListener('pageContentReplaced', () => {
+    if (lenis) lenis.resize();
+    currentSection = null;
+    updateCurrentSection();
+  });
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initScrollManager);
+  } else {
+    initScrollManager();
+  }
+
+  // Export functions for external use
+  window.ScrollManager = {
+    scrollTo,
+    lock,
+    unlock,
+    isLocked,
+    getCurrentSection,
+    getProgress,
+    getLenis: () => lenis
+  };
+
+})();
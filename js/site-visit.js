@@ -0,0 +1,621 @@
+/**
+ * Site Visit Booking for Calma Website
+ * The "Book a site visit" form on the contact page: choose a project, a day
+ * and a time slot, leave a name and phone number, and book through
+ * /api/site-visit. The confirmation offers a calendar invite (.ics) in
+ * Arabic or English.
+ *
+ * Days and slots follow the sales-office hours in data/site-visits.json
+ * (Fridays and holidays are closed, see api/_lib/visit-schedule.js); the
+ * endpoint reports which slots of a day are already taken.
+ *
+ * Needs js/project-catalog.js and js/contact-form.js, whose validation and
+ * submission it reuses. Every booking attempt dispatches siteVisitBooked
+ * (detail: form, project, date, time, ok, status, error, locale), which
+ * js/analytics.js tracks as site_visit_book.
+ */
+
+(function() {
+  'use strict';
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const dataRoot = new URL('../', scriptSrc);
+  const configUrl = new URL('data/site-visits.json', dataRoot).href;
+
+  const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const UNIFIED_NUMBER = '920006553';
+  const INVITE_DOMAIN = 'calma.sa';
+
+  const LABELS = {
+    ar: {
+      chooseProjectAndDay: 'اختر المشروع واليوم لعرض الأوقات المتاحة.',
+      loadingTimes: 'جارٍ تحميل الأوقات المتاحة…',
+      noTimes: 'لا توجد أوقات متاحة في هذا اليوم، يرجى اختيار يوم آخر.',
+      noDays: 'لا توجد أيام متاحة للحجز حاليًا. يرجى الاتصال بنا على الرقم الموحد.',
+      timesFailed: 'تعذّر تحميل الأوقات المتاحة. يرجى المحاولة مرة أخرى.',
+      chooseDay: 'يرجى اختيار يوم الزيارة.',
+      chooseTime: 'يرجى اختيار وقت الزيارة.',
+      booked: 'محجوز',
+      sending: 'جارٍ الحجز...',
+      confirmed: 'تم تأكيد موعد زيارتك',
+      project: 'المشروع',
+      day: 'اليوم',
+      time: 'الوقت',
+      reference: 'رقم الحجز',
+      addToCalendar: 'إضافة إلى التقويم (‎.ics)',
+      otherInvite: 'English calendar invite',
+      questions: 'لتغيير الموعد أو الاستفسار اتصل على الرقم الموحد',
+      bookAnother: 'حجز زيارة أخرى',
+      errors: {
+        slot_taken: 'تم حجز هذا الوقت للتو، يرجى اختيار وقت آخر.',
+        unavailable: 'لم يعد هذا الوقت متاحًا، يرجى اختيار وقت آخر.'
+      },
+      invite: {
+        summary: heading => `زيارة موقع كالما - ${heading}`,
+        intro: heading => `موعد زيارة مكتب المبيعات في مشروع ${heading}.`,
+        reference: 'رقم الحجز',
+        questions: 'لتغيير الموعد أو الاستفسار: الرقم الموحد'
+      }
+    },
+    en: {
+      chooseProjectAndDay: 'Choose a project and a day to see the available times.',
+      loadingTimes: 'Loading available times…',
+      noTimes: 'There are no times left on this day, please choose another day.',
+      noDays: 'There are no days open for booking right now. Please call our unified number.',
+      timesFailed: 'We could not load the available times. Please try again.',
+      chooseDay: 'Please choose a day for your visit.',
+      chooseTime: 'Please choose a time for your visit.',
+      booked: 'Booked',
+      sending: 'Booking...',
+      confirmed: 'Your site visit is booked',
+      project: 'Project',
+      day: 'Day',
+      time: 'Time',
+      reference: 'Reference',
+      addToCalendar: 'Add to calendar (.ics)',
+      otherInvite: 'دعوة التقويم بالعربية',
+      questions: 'To change your visit or ask a question, call our unified number',
+      bookAnother: 'Book another visit',
+      errors: {
+        slot_taken: 'This time has just been booked, please choose another.',
+        unavailable: 'This time is no longer available, please choose another.'
+      },
+      invite: {
+        summary: heading => `Calma site visit - ${heading}`,
+        intro: heading => `Your visit to the ${heading} sales office.`,
+        reference: 'Reference',
+        questions: 'To change your visit or ask a question: unified number'
+      }
+    }
+  };
+
+  let configPromise = null;
+
+  /**
+   * Fetch the sales-office hours once
+   */
+  function loadConfig() {
+    if (!configPromise) {
+      configPromise = fetch(configUrl, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Site visit hours request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          configPromise = null;
+          throw error;
+        });
+    }
+
+    return configPromise;
+  }
+
+  /* ===== SCHEDULE ===== */
+
+  function parseDate(date) {
+    const parts = String(date).split('-').map(Number);
+    return Date.UTC(parts[0], parts[1] - 1, parts[2]);
+  }
+
+  function toMinutes(time) {
+    const parts = String(time).split(':').map(Number);
+    return parts[0] * 60 + parts[1];
+  }
+
+  function formatMinutes(minutes) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  function getSlotEnd(config, time) {
+    return formatMinutes(toMinutes(time) + config.slotMinutes);
+  }
+
+  /**
+   * Get the instant (ms) a slot starts at, from office time
+   */
+  function getSlotStart(config, date, time) {
+    return parseDate(date) + (toMinutes(time) - config.utcOffset) * 60 * 1000;
+  }
+
+  function isHoliday(config, date) {
+    return (config.holidays || []).some(holiday => date >= holiday.from && date <= (holiday.to || holiday.from));
+  }
+
+  /**
+   * List the days that still have a slot to book, from today up to
+   * daysAhead days ahead (office time)
+   */
+  function getBookableDates(config, now = Date.now()) {
+    const today = parseDate(new Date(now + config.utcOffset * 60 * 1000).toISOString().slice(0, 10));
+    const earliest = now + config.minNoticeHours * 60 * 60 * 1000;
+    const dates = [];
+
+    for (let offset = 0; offset <= config.daysAhead; offset++) {
+      const day = new Date(today + offset * 24 * 60 * 60 * 1000);
+      const date = day.toISOString().slice(0, 10);
+      const ranges = config.hours[WEEKDAYS[day.getUTCDay()]] || [];
+      if (ranges.length === 0 || isHoliday(config, date)) continue;
+
+      const lastStart = Math.max.apply(null, ranges.map(range => toMinutes(range[1]) - config.slotMinutes));
+      if (getSlotStart(config, date, formatMinutes(lastStart)) >= earliest) {
+        dates.push(date);
+      }
+    }
+
+    return dates;
+  }
+
+  /* ===== FORMATTING ===== */
+
+  function getDateLocale(locale) {
+    return locale === 'ar' ? 'ar-SA-u-ca-gregory' : 'en-GB';
+  }
+
+  function formatDate(date, locale, long) {
+    const options = long
+      ? { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }
+      : { day: 'numeric', month: 'short', timeZone: 'UTC' };
+
+    return new Intl.DateTimeFormat(getDateLocale(locale), options).format(parseDate(date));
+  }
+
+  function formatWeekday(date, locale) {
+    return new Intl.DateTimeFormat(getDateLocale(locale), { weekday: 'short', timeZone: 'UTC' }).format(parseDate(date));
+  }
+
+  /**
+   * Format an office time ("16:00") for display: 16:00 or ٤:٠٠ م
+   */
+  function formatTime(time, locale) {
+    return new Intl.DateTimeFormat(getDateLocale(locale), { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+      .format(toMinutes(time) * 60 * 1000);
+  }
+
+  function formatTimeRange(slot, locale) {
+    return `${formatTime(slot.time, locale)} - ${formatTime(slot.end, locale)}`;
+  }
+
+  function getReference(id) {
+    return String(id || '').replace(/-/g, '').slice(0, 8).toUpperCase();
+  }
+
+  /* ===== CALENDAR INVITE ===== */
+
+  function formatIcsDate(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  function escapeIcsText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line at 75 octets (RFC 5545); Arabic letters take two
+   * octets each in UTF-8, so the line is measured in bytes, not characters
+   */
+  function foldIcsLine(line) {
+    const lines = [];
+    let current = '';
+    let size = 0;
+
+    Array.from(line).forEach(char => {
+      const code = char.codePointAt(0);
+      const bytes = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+
+      if (size + bytes > (lines.length === 0 ? 75 : 74)) {
+        lines.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += bytes;
+    });
+    lines.push(current);
+
+    return lines.join('\r\n ');
+  }
+
+  /**
+   * Build the .ics invite for a booking in the given language
+   * booking: { id, date, time, end }, in office time
+   */
+  function buildInvite(config, booking, project, locale) {
+    const labels = LABELS[locale].invite;
+    const heading = ProjectCatalog.getProjectHeading(project, locale);
+    const start = getSlotStart(config, booking.date, booking.time);
+    const url = ProjectCatalog.getProjectUrl(project, locale);
+    const description = [
+      labels.intro(heading),
+      `${labels.reference}: ${getReference(booking.id)}`,
+      `${labels.questions} ${UNIFIED_NUMBER}`,
+      url
+    ].join('\n');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//Calma//Site visits//${locale.toUpperCase()}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${booking.id}@${INVITE_DOMAIN}`,
+      `DTSTAMP:${formatIcsDate(Date.now())}`,
+      `DTSTART:${formatIcsDate(start)}`,
+      `DTEND:${formatIcsDate(start + config.slotMinutes * 60 * 1000)}`,
+      `SUMMARY;LANGUAGE=${locale}:${escapeIcsText(labels.summary(heading))}`,
+      `LOCATION;LANGUAGE=${locale}:${escapeIcsText(ProjectCatalog.localize(project.location, locale))}`,
+      `DESCRIPTION;LANGUAGE=${locale}:${escapeIcsText(description)}`,
+      `URL:${url}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(labels.summary(heading))}`,
+      'TRIGGER:-PT1H',
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+  }
+
+  function renderInviteLink(config, booking, project, locale, className, label) {
+    const escape = ProjectCatalog.escapeHtml;
+    const ics = buildInvite(config, booking, project, locale);
+    const file = `calma-site-visit-${booking.project}-${booking.date}-${locale}.ics`;
+
+    return `<a href="data:text/calendar;charset=utf-8,${encodeURIComponent(ics)}" download="${escape(file)}" hreflang="${locale}" lang="${locale}" class="${className}">${escape(label)}</a>`;
+  }
+
+  /* ===== FORM ===== */
+
+  /**
+   * Fill the project select from the catalog and preselect ?project=
+   */
+  function populateProjects(select, locale) {
+    const requested = new URLSearchParams(window.location.search).get('project');
+
+    return Promise.all([ProjectCatalog.getProjects(), requested ? ProjectCatalog.findProject(requested) : null])
+      .then(([projects, selected]) => {
+        const placeholder = select.options[0];
+        select.innerHTML = '';
+        if (placeholder) select.appendChild(placeholder);
+
+        projects.forEach(project => {
+          const option = document.createElement('option');
+          option.value = project.code || project.id;
+          option.textContent = ProjectCatalog.getProjectHeading(project, locale);
+          select.appendChild(option);
+        });
+
+        if (selected) select.value = selected.code || selected.id;
+      });
+  }
+
+  function getChecked(form, name) {
+    const input = form.querySelector(`input[name="${name}"]:checked`);
+    return input ? input.value : '';
+  }
+
+  /**
+   * Show or clear the message of the day / time choice
+   */
+  function setChoiceError(fieldset, message) {
+    const element = fieldset.querySelector('[data-site-visit-error]');
+
+    element.textContent = message || '';
+    element.hidden = !message;
+    fieldset.classList.toggle('is-invalid', Boolean(message));
+  }
+
+  function renderDates(form, config, locale) {
+    const escape = ProjectCatalog.escapeHtml;
+    const fieldset = form.querySelector('[data-site-visit-dates]');
+    const container = fieldset.querySelector('[data-site-visit-options]');
+    const dates = getBookableDates(config);
+
+    container.innerHTML = dates.length > 0
+      ? dates.map(date => `
+        <label class="site-visit-option">
+          <input type="radio" name="date" value="${date}" class="site-visit-radio">
+          <span class="site-visit-option-label">
+            <span class="site-visit-weekday">${escape(formatWeekday(date, locale))}</span>
+            <span class="site-visit-date">${escape(formatDate(date, locale))}</span>
+          </span>
+        </label>`).join('')
+      : `<p class="paragraph site-visit-status">${LABELS[locale].noDays}</p>`;
+  }
+
+  function setTimesStatus(fieldset, message) {
+    const status = fieldset.querySelector('[data-site-visit-status]');
+    status.textContent = message || '';
+    status.hidden = !message;
+  }
+
+  function renderSlots(fieldset, slots, locale) {
+    const escape = ProjectCatalog.escapeHtml;
+    const labels = LABELS[locale];
+    const container = fieldset.querySelector('[data-site-visit-options]');
+
+    container.innerHTML = slots.map(slot => `
+      <label class="site-visit-option${slot.available ? '' : ' is-booked'}">
+        <input type="radio" name="time" value="${escape(slot.time)}" class="site-visit-radio"${slot.available ? '' : ' disabled'}>
+        <span class="site-visit-option-label">
+          <span class="site-visit-time">${escape(formatTimeRange(slot, locale))}</span>
+          ${slot.available ? '' : `<span class="site-visit-booked">${labels.booked}</span>`}
+        </span>
+      </label>`).join('');
+
+    setTimesStatus(fieldset, slots.some(slot => slot.available) ? '' : labels.noTimes);
+  }
+
+  /**
+   * Wire one booking form
+   */
+  function setupSiteVisit(root) {
+    const form = root.querySelector('form[data-site-visit-form]');
+    if (!form || form.hasAttribute('data-site-visit-ready')) return;
+
+    const locale = ProjectCatalog.getLocale();
+    const labels = LABELS[locale];
+    const confirmation = root.querySelector('[data-site-visit-confirmation]');
+    const fail = root.querySelector('.w-form-fail');
+    const submit = form.querySelector('[type="submit"]');
+    const submitLabel = submit ? submit.value : '';
+    const started = form.querySelector('[name="_started"]');
+    const dateFieldset = form.querySelector('[data-site-visit-dates]');
+    const timeFieldset = form.querySelector('[data-site-visit-times]');
+    const projectSelect = form.elements.project;
+    const fields = [projectSelect, form.elements.name, form.elements.phone];
+    let slotRequest = 0;
+
+    form.setAttribute('data-site-visit-ready', '');
+    form.noValidate = true;
+    ContactForm.prepareFields(fields);
+    if (started) started.value = String(Date.now());
+    if (fail) fail.setAttribute('role', 'alert');
+
+    function showFail(message) {
+      if (!fail) return;
+      (fail.querySelector('div') || fail).textContent = message;
+      fail.style.display = 'block';
+    }
+
+    /**
+     * Ask the endpoint which slots of the chosen day are free
+     */
+    function loadSlots() {
+      const project = projectSelect.value;
+      const date = getChecked(form, 'date');
+      const request = ++slotRequest;
+      const url = new URL(form.action);
+
+      timeFieldset.querySelector('[data-site-visit-options]').innerHTML = '';
+      setChoiceError(timeFieldset, '');
+
+      if (!project || !date) {
+        setTimesStatus(timeFieldset, labels.chooseProjectAndDay);
+        return Promise.resolve();
+      }
+
+      setTimesStatus(timeFieldset, labels.loadingTimes);
+      timeFieldset.setAttribute('aria-busy', 'true');
+      url.searchParams.set('project', project);
+      url.searchParams.set('date', date);
+
+      return fetch(url.href, { credentials: 'same-origin', headers: { 'Accept': 'application/json' } })
+        .then(response => response.json().then(data => {
+          if (!response.ok || !data.ok) throw new Error(`Site visit slots request failed (${response.status})`);
+          return data;
+        }))
+        .then(data => {
+          if (request === slotRequest) renderSlots(timeFieldset, data.slots, locale);
+        })
+        .catch(error => {
+          console.warn('Site visit slots could not be loaded:', error);
+          if (request === slotRequest) setTimesStatus(timeFieldset, labels.timesFailed);
+        })
+        .then(() => {
+          if (request === slotRequest) timeFieldset.removeAttribute('aria-busy');
+        });
+    }
+
+    function showConfirmation(config, booking, project) {
+      const escape = ProjectCatalog.escapeHtml;
+      const otherLocale = locale === 'ar' ? 'en' : 'ar';
+
+      confirmation.innerHTML = `
+        <h3 class="site-visit-confirmation-heading">${labels.confirmed}</h3>
+        <dl class="site-visit-summary">
+          <div><dt>${labels.project}</dt><dd>${escape(ProjectCatalog.getProjectHeading(project, locale))}</dd></div>
+          <div><dt>${labels.day}</dt><dd>${escape(formatDate(booking.date, locale, true))}</dd></div>
+          <div><dt>${labels.time}</dt><dd>${escape(formatTimeRange(booking, locale))}</dd></div>
+          <div><dt>${labels.reference}</dt><dd dir="ltr">${escape(getReference(booking.id))}</dd></div>
+        </dl>
+        <div class="site-visit-actions">
+          ${renderInviteLink(config, booking, project, locale, 'button w-button', labels.addToCalendar)}
+          ${renderInviteLink(config, booking, project, otherLocale, 'site-visit-link', labels.otherInvite)}
+        </div>
+        <p class="paragraph site-visit-call">${labels.questions} <a href="tel:${UNIFIED_NUMBER}" class="site-visit-link" dir="ltr">${UNIFIED_NUMBER}</a></p>
+        <button type="button" class="site-visit-again" data-site-visit-again>${labels.bookAnother}</button>`;
+
+      form.style.display = 'none';
+      confirmation.hidden = false;
+      confirmation.focus();
+
+      confirmation.querySelector('[data-site-visit-again]').addEventListener('click', () => {
+        confirmation.hidden = true;
+        confirmation.innerHTML = '';
+        form.reset();
+        form.style.display = '';
+        if (started) started.value = String(Date.now());
+        renderDates(form, config, locale);
+        loadSlots();
+        projectSelect.focus();
+      });
+    }
+
+    function onSubmit(event, config) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (form.getAttribute('aria-busy') === 'true') return;
+
+      const errors = ContactForm.validateForm(form);
+      const date = getChecked(form, 'date');
+      const time = getChecked(form, 'time');
+
+      fields.forEach(control => ContactForm.setFieldError(control, errors[control.name], locale));
+      setChoiceError(dateFieldset, date ? '' : labels.chooseDay);
+      setChoiceError(timeFieldset, !date || time ? '' : labels.chooseTime);
+
+      // Focus the first problem in the order the form reads
+      const invalid = [
+        errors.project && projectSelect,
+        !date && (dateFieldset.querySelector('input') || dateFieldset),
+        date && !time && (timeFieldset.querySelector('input:not(:disabled)') || timeFieldset),
+        errors.name && form.elements.name,
+        errors.phone && form.elements.phone
+      ].filter(Boolean);
+
+      if (invalid.length > 0) {
+        invalid[0].focus();
+        return;
+      }
+
+      const payload = {};
+      new FormData(form).forEach((value, key) => {
+        payload[key] = typeof value === 'string' ? value : '';
+      });
+      payload.phone = ContactForm.normalizePhone(payload.phone) || payload.phone;
+      payload.locale = locale;
+      payload.page = window.location.pathname;
+
+      form.setAttribute('aria-busy', 'true');
+      if (submit) submit.value = labels.sending;
+      if (fail) fail.style.display = 'none';
+
+      Promise.all([
+        ContactForm.submitContactForm(form.action, payload),
+        ProjectCatalog.findProject(payload.project)
+      ]).then(([result, project]) => {
+        form.removeAttribute('aria-busy');
+        if (submit) submit.value = submitLabel;
+
+        if (result.ok && project) {
+          showConfirmation(config, {
+            id: result.id,
+            project: payload.project,
+            date: payload.date,
+            time: payload.time,
+            end: getSlotEnd(config, payload.time)
+          }, project);
+        } else {
+          const problems = (result.error && result.error.fields) || {};
+          const code = result.error ? result.error.code : 'default';
+
+          fields.forEach(control => {
+            if (problems[control.name]) ContactForm.setFieldError(control, problems[control.name], locale);
+          });
+
+          if (code === 'slot_taken' || problems.time) {
+            loadSlots().then(() => setChoiceError(timeFieldset, labels.errors[code] || labels.errors.unavailable));
+          } else {
+            showFail(ContactForm.getErrorMessage(code, locale));
+          }
+        }
+
+        document.dispatchEvent(new CustomEvent('siteVisitBooked', {
+          detail: {
+            form,
+            project: payload.project,
+            date: payload.date,
+            time: payload.time,
+            ok: result.ok,
+            status: result.status,
+            error: result.error,
+            locale
+          }
+        }));
+      });
+    }
+
+    populateProjects(projectSelect, locale).catch(error => {
+      console.warn('Project options could not be loaded:', error);
+    });
+
+    loadConfig()
+      .then(config => {
+        renderDates(form, config, locale);
+        setTimesStatus(timeFieldset, labels.chooseProjectAndDay);
+
+        form.addEventListener('change', event => {
+          if (event.target === projectSelect || event.target.name === 'date') {
+            if (event.target.name === 'date') setChoiceError(dateFieldset, '');
+            loadSlots();
+          } else if (event.target.name === 'time') {
+            setChoiceError(timeFieldset, '');
+          }
+        });
+        form.addEventListener('submit', event => onSubmit(event, config));
+      })
+      .catch(error => {
+        console.warn('Site visit hours could not be loaded:', error);
+        setTimesStatus(timeFieldset, labels.timesFailed);
+      });
+  }
+
+  /**
+   * Set up every booking form on the page
+   */
+  function initSiteVisits() {
+    if (typeof ProjectCatalog === 'undefined' || typeof ContactForm === 'undefined') return;
+
+    document.querySelectorAll('[data-site-visit]').forEach(setupSiteVisit);
+  }
+
+  // Pages opened through soft navigation (js/page-router.js)
+  document.addEventListener('pageContentReplaced', initSiteVisits);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSiteVisits);
+  } else {
+    initSiteVisits();
+  }
+
+  // Export functions for external use
+  window.SiteVisit = {
+    loadConfig,
+    getBookableDates,
+    getSlotStart,
+    buildInvite
+  };
+
+})();
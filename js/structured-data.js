@@ -0,0 +1,167 @@
+/**
+ * Structured Data for Calma Website
+ * Project detail pages are rendered in the browser, so their description,
+ * canonical link and JSON-LD (RealEstateListing + BreadcrumbList) are filled
+ * in here once the project is known. Every other page gets its meta tags and
+ * JSON-LD from scripts/build.js.
+ */
+
+(function() {
+  'use strict';
+
+  const LABELS = {
+    ar: { home: 'الرئيسية', projects: 'المشاريع' },
+    en: { home: 'Home', projects: 'Projects' }
+  };
+
+  const HOME_PAGES = { ar: '', en: 'en/home.html' };
+
+  // Catalog types that are buildings of several units vs single homes
+  const COMPLEX_TYPES = ['apartments', 'floors', 'offices'];
+  const HOUSE_TYPES = ['villas', 'townhouses'];
+
+  const DESCRIPTION_LENGTH = 160;
+
+  /**
+   * Shorten a description to what search results show, cutting at a word
+   */
+  function truncate(text, length = DESCRIPTION_LENGTH) {
+    if (text.length <= length) return text;
+
+    const cut = text.slice(0, length - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,،.]+$/, '')}…`;
+  }
+
+  function getPageUrl(page, locale) {
+    return ProjectCatalog.resolveAsset(locale === 'en' ? `en/${page}` : page);
+  }
+
+  /**
+   * Describe the project itself: an apartment or office building, a house,
+   * or a generic residence for mixed projects
+   */
+  function getResidence(project, catalog, locale) {
+    const types = project.types || [];
+    const isComplex = types.length > 0 && types.every(type => COMPLEX_TYPES.includes(type));
+    const isHouse = types.length > 0 && types.every(type => HOUSE_TYPES.includes(type));
+    const city = catalog.cities && catalog.cities[project.city];
+
+    const residence = {
+      '@type': isComplex ? 'ApartmentComplex' : (isHouse ? 'SingleFamilyResidence' : 'Residence'),
+      name: ProjectCatalog.getProjectHeading(project, locale),
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: ProjectCatalog.localize(project.location, locale),
+        addressLocality: ProjectCatalog.localize(city, locale),
+        addressCountry: 'SA'
+      }
+    };
+
+    if (isComplex && project.units) residence.numberOfAccommodationUnits = project.units;
+
+    return residence;
+  }
+
+  /**
+   * Build the JSON-LD graph for a project detail page
+   */
+  function getProjectStructuredData(project, catalog, locale) {
+    const labels = LABELS[locale] || LABELS.en;
+    const url = ProjectCatalog.getProjectUrl(project, locale);
+    const images = (project.images || []).map(image => ProjectCatalog.resolveAsset(image.src));
+
+    const listing = {
+      '@type': 'RealEstateListing',
+      '@id': `${url}#listing`,
+      url,
+      name: ProjectCatalog.getProjectHeading(project, locale),
+      description: ProjectCatalog.localize(project.description, locale),
+      inLanguage: locale,
+      image: images,
+      about: getResidence(project, catalog, locale),
+      provider: { '@id': ProjectCatalog.resolveAsset('#organization') }
+    };
+
+    const breadcrumb = {
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 1, name: labels.home, item: ProjectCatalog.resolveAsset(HOME_PAGES[locale] || '') },
+        { '@type': 'ListItem', position: 2, name: labels.projects, item: getPageUrl('projects.html', locale) },
+        { '@type': 'ListItem', position: 3, name: listing.name, item: url }
+      ]
+    };
+
+    return { '@context': 'https://schema.org', '@graph': [listing, breadcrumb] };
+  }
+
+  function setMeta(selector, content) {
+    const meta = document.head.querySelector(selector);
+    if (meta) meta.setAttribute('content', content);
+  }
+
+  /**
+   * Add a <link> or <meta> tag to the head unless the page already has one
+   */
+  function ensureHeadElement(tagName, selector, attributes) {
+    let element = document.head.querySelector(selector);
+    if (!element) {
+      element = document.createElement(tagName);
+      document.head.appendChild(element);
+    }
+    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+    return element;
+  }
+
+  /**
+   * Point the description, canonical link and social tags at the project
+   */
+  function updateProjectMeta(project, locale) {
+    const url = ProjectCatalog.getProjectUrl(project, locale);
+    const description = truncate(ProjectCatalog.localize(project.description, locale));
+    const image = project.images && project.images[0];
+
+    ['meta[name="description"]', 'meta[property="og:description"]', 'meta[property="twitter:description"]']
+      .forEach(selector => setMeta(selector, description));
+
+    if (image) {
+      const imageUrl = ProjectCatalog.resolveAsset(image.src);
+      setMeta('meta[property="og:image"]', imageUrl);
+      setMeta('meta[property="twitter:image"]', imageUrl);
+    }
+
+    ensureHeadElement('link', 'link[rel="canonical"]', { rel: 'canonical', href: url });
+    ensureHeadElement('meta', 'meta[property="og:url"]', { property: 'og:url', content: url });
+  }
+
+  /**
+   * Replace the project JSON-LD (soft navigation can render another project)
+   */
+  function updateProjectStructuredData(project, locale) {
+    return ProjectCatalog.loadCatalog().then(catalog => {
+      const script = ensureHeadElement('script', 'script[data-project-structured-data]', {
+        type: 'application/ld+json',
+        'data-project-structured-data': ''
+      });
+      script.textContent = JSON.stringify(getProjectStructuredData(project, catalog, locale)).replace(/</g, '\\u003c');
+    });
+  }
+
+  document.addEventListener('projectDetailRendered', event => {
+    if (typeof ProjectCatalog === 'undefined') return;
+
+    const { project, locale } = event.detail;
+    updateProjectMeta(project, locale);
+    updateProjectStructuredData(project, locale).catch(error => {
+      console.warn('Project structured data could not be added:', error);
+    });
+  });
+
+  // Export functions for external use
+  window.StructuredData = {
+    getProjectStructuredData,
+    updateProjectMeta,
+    updateProjectStructuredData
+  };
+
+})();
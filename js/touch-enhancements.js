@@ -18,6 +18,19 @@
   let touchEndY = 0;
   let isScrolling = false;
 
+  // Text direction of the page ('rtl' on the Arabic site, 'ltr' on /en/)
+  let pageDirection = null;
+
+  // Whether the open mobile menu holds a scroll lock
+  let menuScrollLocked = false;
+
+  /**
+   * Check the motion policy (js/motion-policy.js) before adding motion
+   */
+  function isReducedMotion() {
+    return Boolean(window.MotionPolicy && MotionPolicy.isReduced());
+  }
+
   /**
    * Initialize touch enhancements when DOM is ready
    */
@@ -32,17 +45,68 @@
     setupSwipeGestures();
     setupMobileMenuEnhancements();
     setupFormOptimizations();
-    setupImageGalleryTouch();
     setupScrollOptimizations();
     
     console.log('Touch enhancements initialized');
   }
 
+  /**
+   * Set up the new content after a soft navigation (js/page-router.js);
+   * the navigation and menu outside it keep their listeners
+   */
+  function refreshTouchEnhancements(event) {
+    if (!isTouchDevice) return;
+
+    const container = event.detail.container;
+    setupTouchFeedback(container);
+    setupSwipeGestures(container);
+    setupFormOptimizations(container);
+  }
+
+  /**
+   * Detect the page direction from dir / lang, falling back to the Arabic
+   * mobile menu that only the Arabic pages carry
+   */
+  function detectPageDirection() {
+    const root = document.documentElement;
+    const dir = root.getAttribute('dir') || (document.body && document.body.getAttribute('dir'));
+    if (dir) return dir.toLowerCase() === 'rtl' ? 'rtl' : 'ltr';
+
+    const lang = root.getAttribute('lang');
+    if (lang) return /^(ar|fa|he|ur)\b/i.test(lang) ? 'rtl' : 'ltr';
+
+    return document.querySelector('.mobile-menu.arabic') ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Get the direction for an element; an explicit dir attribute wins
+   */
+  function getDirection(element) {
+    const explicit = element && element.closest ? element.closest('[dir]') : null;
+    if (explicit && /^(rtl|ltr)$/i.test(explicit.getAttribute('dir'))) {
+      return explicit.getAttribute('dir').toLowerCase();
+    }
+
+    if (!pageDirection) pageDirection = detectPageDirection();
+    return pageDirection;
+  }
+
+  /**
+   * Translate a horizontal swipe (end X minus start X) into 'next' or 'prev':
+   * swiping left moves forward in LTR, swiping right moves forward in RTL
+   */
+  function getSwipeAction(diffX, element) {
+    const swipedLeft = diffX < 0;
+    const forwardIsLeft = getDirection(element) === 'ltr';
+
+    return swipedLeft === forwardIsLeft ? 'next' : 'prev';
+  }
+
   /**
    * Add visual feedback for touch interactions
    */
-  function setupTouchFeedback() {
-    const touchElements = document.querySelectorAll(
+  function setupTouchFeedback(root = document) {
+    const touchElements = root.querySelectorAll(
       '.navlink, .button, .mobile-page-link, .language-switch-div, .page-link, .section-heading.dark.nav'
     );
 
@@ -71,6 +135,8 @@
    * Create ripple effect for touch feedback
    */
   function createRippleEffect(element, touch) {
+    if (isReducedMotion()) return;
+
     const rect = element.getBoundingClientRect();
     const ripple = document.createElement('div');
     const size = Math.max(rect.width, rect.height);
@@ -109,19 +175,19 @@
   /**
    * Setup swipe gesture detection
    */
-  function setupSwipeGestures() {
+  function setupSwipeGestures(root = document) {
     // Mobile menu swipe to close
-    const mobileMenu = document.querySelector('.mobile-menu');
+    const mobileMenu = root.querySelector('.mobile-menu');
     if (mobileMenu) {
       setupSwipeToClose(mobileMenu);
     }
 
     // Enhanced slider swipe navigation
-    const sliders = document.querySelectorAll('.w-slider');
+    const sliders = root.querySelectorAll('.w-slider');
     sliders.forEach(setupSliderSwipe);
 
     // Image gallery swipe navigation
-    const imageGalleries = document.querySelectorAll('.cta-image-wrapper, .grid-image-wrapper');
+    const imageGalleries = root.querySelectorAll('.cta-image-wrapper, .grid-image-wrapper');
     imageGalleries.forEach(setupImageSwipe);
   }
 
@@ -153,11 +219,11 @@
       if (isScrolling) return;
 
       touchEndX = e.changedTouches[0].clientX;
-      const swipeDistance = touchStartX - touchEndX;
+      const diffX = touchEndX - touchStartX;
       const swipeThreshold = 100;
 
-      // Swipe left to close (for RTL layout)
-      if (swipeDistance > swipeThreshold) {
+      // Swipe "back" to close: left on the Arabic site, right on the English one
+      if (Math.abs(diffX) > swipeThreshold && getSwipeAction(diffX, menu) === 'prev') {
         closeMobileMenu();
       }
 
@@ -204,15 +270,9 @@
       this.style.transition = 'transform 0.3s ease';
       this.style.transform = 'translateX(0)';
 
-      // Handle swipe actions
+      // Handle swipe actions in the reading direction
       if (Math.abs(diffX) > threshold) {
-        if (diffX > 0) {
-          // Swipe right - previous image
-          navigateImage(this, 'prev');
-        } else {
-          // Swipe left - next image
-          navigateImage(this, 'next');
-        }
+        navigateImage(this, getSwipeAction(diffX, this));
       }
 
       isDragging = false;
@@ -288,13 +348,9 @@
       
       // Trigger navigation based on swipe direction and velocity
       if (Math.abs(diffX) > swipeThreshold || velocity > swipeVelocityThreshold) {
-        if (diffX > 0) {
-          // Swipe right - previous slide
-          if (leftArrow) leftArrow.click();
-        } else {
-          // Swipe left - next slide
-          if (rightArrow) rightArrow.click();
-        }
+        // Webflow's right arrow always advances; the swipe maps to it by direction
+        const arrow = getSwipeAction(diffX, slider) === 'next' ? rightArrow : leftArrow;
+        if (arrow) arrow.click();
       }
       
       resetSliderTouch();
@@ -313,19 +369,19 @@
   }
 
   /**
-   * Navigate between images (placeholder for future gallery implementation)
+   * Give visual feedback for an image swipe and let other scripts handle it
    */
   function navigateImage(container, direction) {
     // Add visual feedback
     container.style.transform = direction === 'next' ? 'scale(0.95)' : 'scale(1.05)';
-    
+
     setTimeout(() => {
       container.style.transform = 'scale(1)';
     }, 200);
 
     // Dispatch custom event for other scripts to handle
     const event = new CustomEvent('imageNavigate', {
-      detail: { direction, container }
+      detail: { direction, container, textDirection: getDirection(container) }
     });
     document.dispatchEvent(event);
   }
@@ -340,6 +396,24 @@
     }
   }
 
+  /**
+   * Lock page scrolling through js/scroll-manager.js while the menu is open
+   */
+  function setMenuScrollLock(locked) {
+    if (locked === menuScrollLocked) return;
+    menuScrollLocked = locked;
+
+    if (window.ScrollManager) {
+      if (locked) {
+        ScrollManager.lock();
+      } else {
+        ScrollManager.unlock();
+      }
+    } else {
+      document.body.style.overflow = locked ? 'hidden' : '';
+    }
+  }
+
   /**
    * Enhance mobile menu interactions
    */
@@ -359,7 +433,7 @@
       menuButton.setAttribute('aria-label', 'Toggle navigation menu');
     }
 
-    // Prevent body scroll when menu is open
+    // Prevent page scroll when menu is open
     if (mobileMenu) {
       const observer = new MutationObserver(function(mutations) {
         mutations.forEach(function(mutation) {
@@ -367,11 +441,7 @@
             const isVisible = mobileMenu.style.display !== 'none' && 
                             mobileMenu.style.visibility !== 'hidden';
             
-            if (isVisible) {
-              document.body.style.overflow = 'hidden';
-            } else {
-              document.body.style.overflow = '';
-            }
+            setMenuScrollLock(isVisible);
           }
         });
       });
@@ -386,8 +456,8 @@
   /**
    * Optimize forms for touch input
    */
-  function setupFormOptimizations() {
-    const inputs = document.querySelectorAll('input, textarea, select');
+  function setupFormOptimizations(root = document) {
+    const inputs = root.querySelectorAll('input, textarea, select');
     
     inputs.forEach(input => {
       // Prevent zoom on iOS
@@ -405,28 +475,10 @@
   }
 
   /**
-   * Setup scroll optimizations for touch devices
+   * Setup scroll optimizations for touch devices; anchor links are
+   * handled by js/scroll-manager.js
    */
   function setupScrollOptimizations() {
-    // Smooth scroll behavior for anchor links
-    const anchorLinks = document.querySelectorAll('a[href^="#"]');
-    
-    anchorLinks.forEach(link => {
-      link.addEventListener('click', function(e) {
-        const targetId = this.getAttribute('href').substring(1);
-        const targetElement = document.getElementById(targetId);
-        
-        if (targetElement) {
-          e.preventDefault();
-          
-          targetElement.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-          });
-        }
-      });
-    });
-
     // Optimize scroll performance
     let ticking = false;
     
@@ -477,6 +529,8 @@
     document.head.appendChild(style);
   }
 
+  document.addEventListener('pageContentReplaced', refreshTouchEnhancements);
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', function() {
@@ -492,6 +546,8 @@
   window.TouchEnhancements = {
     createRippleEffect,
     closeMobileMenu,
+    getDirection,
+    getSwipeAction,
     isTouchDevice
   };
 
@@ -0,0 +1,551 @@
+/**
+ * Unit Inventory for Calma Website
+ * Unit availability and prices from data/inventory.json: an "x of y units
+ * available" line on the project cards and, on the project pages, a
+ * filterable unit table with a building / floor grid coloured by status.
+ *
+ * data/inventory.json lists one file per project (for example
+ * data/inventory/ys200.json) with its unit types, buildings, floors from the
+ * ground up, and units:
+ *
+ *   { "id": "B01-G", "building": "b01", "floor": "ground", "type": "ground",
+ *     "area": 215, "price": 1420000, "status": "available" }
+ *
+ * A unit has a price, a "priceBand": [min, max], or neither (price on
+ * request). Status is available, reserved or sold; changing availability is
+ * an edit to the project's file.
+ *
+ * Dispatches unitInventoryRendered { project, inventory, locale } on
+ * document once a project's units are on the page.
+ */
+
+(function() {
+  'use strict';
+
+  const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+  const dataRoot = new URL('../', scriptSrc);
+  const indexUrl = new URL('data/inventory.json', dataRoot).href;
+
+  const STATUSES = ['available', 'reserved', 'sold'];
+
+  const LABELS = {
+    ar: {
+      heading: 'الوحدات المتاحة',
+      availability: (available, total) => `${available} من ${total} وحدة متاحة`,
+      soldOut: 'تم بيع جميع الوحدات',
+      updated: 'آخر تحديث',
+      statusHeading: 'الحالة',
+      status: { available: 'متاحة', reserved: 'محجوزة', sold: 'مباعة' },
+      filters: 'تصفية الوحدات',
+      allStatuses: 'جميع الحالات',
+      allTypes: 'جميع النماذج',
+      allBuildings: 'جميع المباني',
+      allFloors: 'جميع الطوابق',
+      clear: 'مسح التصفية',
+      count: (shown, total) => `عرض ${shown} من ${total} وحدة`,
+      empty: 'لا توجد وحدات مطابقة للتصفية.',
+      grid: 'المباني والطوابق',
+      unit: 'الوحدة',
+      building: 'المبنى',
+      floor: 'الطابق',
+      type: 'النموذج',
+      bedrooms: 'غرف النوم',
+      area: 'المساحة',
+      areaUnit: 'م²',
+      price: 'السعر',
+      onRequest: 'عند الطلب',
+      range: (min, max) => `${min} - ${max}`
+    },
+    en: {
+      heading: 'Unit availability',
+      availability: (available, total) => `${available} of ${total} units available`,
+      soldOut: 'All units sold',
+      updated: 'Updated',
+      statusHeading: 'Status',
+      status: { available: 'Available', reserved: 'Reserved', sold: 'Sold' },
+      filters: 'Filter units',
+      allStatuses: 'All statuses',
+      allTypes: 'All types',
+      allBuildings: 'All buildings',
+      allFloors: 'All floors',
+      clear: 'Clear filters',
+      count: (shown, total) => `Showing ${shown} of ${total} units`,
+      empty: 'No units match these filters.',
+      grid: 'Buildings and floors',
+      unit: 'Unit',
+      building: 'Building',
+      floor: 'Floor',
+      type: 'Type',
+      bedrooms: 'Bedrooms',
+      area: 'Area',
+      areaUnit: 'm²',
+      price: 'Price',
+      onRequest: 'On request',
+      range: (min, max) => `${min} – ${max}`
+    }
+  };
+
+  // Filter controls, in the order they are shown
+  const FILTERS = ['status', 'type', 'building', 'floor'];
+
+  let indexPromise = null;
+  const inventoryPromises = {};
+
+  /**
+   * Fetch the inventory index once
+   */
+  function loadIndex() {
+    if (!indexPromise) {
+      indexPromise = fetch(indexUrl, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Inventory index request failed (${response.status})`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          indexPromise = null;
+          throw error;
+        });
+    }
+
+    return indexPromise;
+  }
+
+  /**
+   * Fetch a project's units once; resolves with null when the project has
+   * no inventory file
+   */
+  function loadInventory(projectId) {
+    if (!inventoryPromises[projectId]) {
+      inventoryPromises[projectId] = loadIndex()
+        .then(index => {
+          const file = (index.projects || {})[projectId];
+          if (!file) return null;
+
+          return fetch(new URL(file, dataRoot).href, { credentials: 'same-origin' })
+            .then(response => {
+              if (!response.ok) {
+                throw new Error(`Inventory request failed (${response.status})`);
+              }
+              return response.json();
+            })
+            .then(inventory => Object.assign({ currency: index.currency || 'SAR' }, inventory));
+        })
+        .catch(error => {
+          delete inventoryPromises[projectId];
+          throw error;
+        });
+    }
+
+    return inventoryPromises[projectId];
+  }
+
+  /**
+   * Count the units per status: { total, available, reserved, sold }
+   */
+  function getSummary(inventory) {
+    const summary = { total: 0 };
+    STATUSES.forEach(status => {
+      summary[status] = 0;
+    });
+
+    (inventory.units || []).forEach(unit => {
+      summary.total++;
+      if (summary[unit.status] !== undefined) summary[unit.status]++;
+    });
+
+    return summary;
+  }
+
+  /* ===== FORMATTING ===== */
+
+  function getNumberLocale(locale) {
+    return locale === 'ar' ? 'ar-SA' : 'en-GB';
+  }
+
+  function formatNumber(value, locale) {
+    return new Intl.NumberFormat(getNumberLocale(locale)).format(value);
+  }
+
+  function formatMoney(value, locale, currency, compact) {
+    return new Intl.NumberFormat(getNumberLocale(locale), {
+      style: 'currency',
+      currency,
+      notation: compact ? 'compact' : 'standard',
+      maximumFractionDigits: compact ? 1 : 0
+    }).format(value);
+  }
+
+  function formatDate(isoDate, locale) {
+    const date = new Date(`${isoDate}T00:00:00`);
+    if (isNaN(date.getTime())) return isoDate;
+
+    return date.toLocaleDateString(getNumberLocale(locale), { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  /**
+   * Price of a unit; sold units show none
+   */
+  function formatPrice(unit, locale, currency) {
+    const labels = LABELS[locale];
+
+    if (unit.status === 'sold') return '—';
+    if (typeof unit.price === 'number') return formatMoney(unit.price, locale, currency);
+    if (Array.isArray(unit.priceBand) && unit.priceBand.length === 2) {
+      return labels.range(formatMoney(unit.priceBand[0], locale, currency, true), formatMoney(unit.priceBand[1], locale, currency, true));
+    }
+    return labels.onRequest;
+  }
+
+  function getAvailabilityText(summary, locale) {
+    const labels = LABELS[locale];
+    if (summary.available === 0) return labels.soldOut;
+
+    return labels.availability(formatNumber(summary.available, locale), formatNumber(summary.total, locale));
+  }
+
+  /* ===== PROJECT CARDS ===== */
+
+  /**
+   * Add the availability line to the catalog rows of projects with an
+   * inventory file
+   */
+  function renderCatalogSummaries() {
+    if (typeof ProjectCatalog === 'undefined') return Promise.resolve();
+
+    const locale = ProjectCatalog.getLocale();
+    const escape = ProjectCatalog.escapeHtml;
+
+    return loadIndex().then(index => {
+      const rows = Array.from(document.querySelectorAll('.catalog-row[data-project-id]'))
+        .filter(row => (index.projects || {})[row.getAttribute('data-project-id')] && !row.querySelector('[data-unit-availability]'));
+
+      return Promise.all(rows.map(row => {
+        const projectId = row.getAttribute('data-project-id');
+
+        return loadInventory(projectId).then(inventory => {
+          const link = row.querySelector('.project-detail-link');
+          if (!inventory || !link || row.querySelector('[data-unit-availability]')) return;
+
+          const summary = getSummary(inventory);
+          const arabicClass = locale === 'ar' ? ' arabic' : '';
+          const href = `${link.getAttribute('href')}#units`;
+
+          link.insertAdjacentHTML('beforebegin', `
+            <p class="unit-availability${arabicClass}" data-unit-availability="${escape(projectId)}">
+              <span class="unit-status-dot is-${summary.available ? 'available' : 'sold'}" aria-hidden="true"></span>
+              <a href="${escape(href)}" class="unit-availability-link">${escape(getAvailabilityText(summary, locale))}</a>
+            </p>`);
+        });
+      }));
+    });
+  }
+
+  /* ===== PROJECT PAGE ===== */
+
+  function getName(collection, id, locale) {
+    const entry = Array.isArray(collection)
+      ? collection.find(item => item.id === id)
+      : (collection || {})[id];
+
+    return entry ? ProjectCatalog.localize(entry.name, locale) : id;
+  }
+
+  /**
+   * Options for one filter, in the file's order; only values used by a unit
+   */
+  function getFilterOptions(inventory, filter, locale) {
+    const labels = LABELS[locale];
+    const units = inventory.units || [];
+    const used = value => units.some(unit => unit[filter] === value);
+
+    if (filter === 'status') {
+      return STATUSES.filter(used).map(status => [status, labels.status[status]]);
+    }
+    if (filter === 'type') {
+      return Object.keys(inventory.unitTypes || {}).filter(used).map(id => [id, getName(inventory.unitTypes, id, locale)]);
+    }
+
+    const collection = filter === 'building' ? inventory.buildings : inventory.floors;
+    return (collection || []).filter(entry => used(entry.id)).map(entry => [entry.id, ProjectCatalog.localize(entry.name, locale)]);
+  }
+
+  function renderFilters(inventory, locale) {
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const placeholders = { status: labels.allStatuses, type: labels.allTypes, building: labels.allBuildings, floor: labels.allFloors };
+    const arabicClass = locale === 'ar' ? ' arabic' : '';
+
+    const selects = FILTERS.map(filter => {
+      const options = getFilterOptions(inventory, filter, locale);
+      if (options.length < 2) return '';
+
+      return `
+        <select name="${filter}" class="text-field w-select" aria-label="${escape(labels[filter === 'status' ? 'statusHeading' : filter])}">
+          <option value="">${escape(placeholders[filter])}</option>
+          ${options.map(([value, label]) => `<option value="${escape(value)}">${escape(label)}</option>`).join('')}
+        </select>`;
+    }).join('');
+
+    return `
+      <form class="unit-filters" data-unit-filters aria-label="${escape(labels.filters)}">
+        <div class="unit-filter-grid">${selects}</div>
+        <div class="unit-filter-footer">
+          <p class="paragraph dark${arabicClass}" data-unit-count aria-live="polite"></p>
+          <button type="reset" class="button grey${arabicClass} w-button">${escape(labels.clear)}</button>
+        </div>
+      </form>`;
+  }
+
+  function renderLegend(summary, locale) {
+    const labels = LABELS[locale];
+
+    return `
+      <ul class="unit-legend">
+        ${STATUSES.map(status => `
+          <li class="unit-legend-item">
+            <span class="unit-status-dot is-${status}" aria-hidden="true"></span>
+            ${labels.status[status]} <span class="unit-legend-count">${formatNumber(summary[status], locale)}</span>
+          </li>`).join('')}
+      </ul>`;
+  }
+
+  function renderTable(inventory, locale) {
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const hasBuildings = (inventory.buildings || []).length > 1;
+    const hasBedrooms = Object.keys(inventory.unitTypes || {}).some(id => inventory.unitTypes[id].bedrooms);
+
+    const rows = (inventory.units || []).map(unit => {
+      const type = (inventory.unitTypes || {})[unit.type] || {};
+
+      return `
+        <tr id="unit-${escape(unit.id)}" class="unit-row" tabindex="-1" data-unit-id="${escape(unit.id)}" data-status="${escape(unit.status)}" data-type="${escape(unit.type)}" data-building="${escape(unit.building || '')}" data-floor="${escape(unit.floor)}">
+          <th scope="row">${escape(unit.id)}</th>
+          ${hasBuildings ? `<td>${escape(getName(inventory.buildings, unit.building, locale))}</td>` : ''}
+          <td>${escape(getName(inventory.floors, unit.floor, locale))}</td>
+          <td>${escape(getName(inventory.unitTypes, unit.type, locale))}</td>
+          ${hasBedrooms ? `<td>${type.bedrooms ? formatNumber(type.bedrooms, locale) : '—'}</td>` : ''}
+          <td>${unit.area ? `${formatNumber(unit.area, locale)} ${labels.areaUnit}` : '—'}</td>
+          <td>${escape(formatPrice(unit, locale, inventory.currency))}</td>
+          <td><span class="unit-status is-${escape(unit.status)}">${escape(labels.status[unit.status] || unit.status)}</span></td>
+        </tr>`;
+    }).join('');
+
+    return `
+      <div class="unit-table-scroll" tabindex="0" role="region" aria-label="${escape(labels.heading)}">
+        <table class="unit-table">
+          <thead>
+            <tr>
+              <th scope="col">${labels.unit}</th>
+              ${hasBuildings ? `<th scope="col">${labels.building}</th>` : ''}
+              <th scope="col">${labels.floor}</th>
+              <th scope="col">${labels.type}</th>
+              ${hasBedrooms ? `<th scope="col">${labels.bedrooms}</th>` : ''}
+              <th scope="col">${labels.area}</th>
+              <th scope="col">${labels.price}</th>
+              <th scope="col">${labels.statusHeading}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+      </div>
+      <p class="paragraph dark unit-empty" data-unit-empty hidden>${labels.empty}</p>`;
+  }
+
+  /**
+   * One block per building with its floors stacked top down; each unit is
+   * a cell coloured by status that points at its table row
+   */
+  function renderGrid(inventory, locale) {
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const units = inventory.units || [];
+    const buildings = (inventory.buildings || []).length ? inventory.buildings : [{ id: '', name: '' }];
+    const floors = (inventory.floors || []).slice().reverse();
+
+    const blocks = buildings.map(building => {
+      const inBuilding = units.filter(unit => (unit.building || '') === building.id);
+      if (inBuilding.length === 0) return '';
+
+      const rows = floors.map(floor => {
+        const cells = inBuilding.filter(unit => unit.floor === floor.id);
+        if (cells.length === 0) return '';
+
+        return `
+          <div class="unit-floor">
+            <span class="unit-floor-name">${escape(ProjectCatalog.localize(floor.name, locale))}</span>
+            <div class="unit-floor-cells">
+              ${cells.map(unit => `<button type="button" class="unit-cell is-${escape(unit.status)}" data-unit-cell="${escape(unit.id)}" aria-label="${escape(`${unit.id} · ${labels.status[unit.status] || unit.status}`)}" title="${escape(`${unit.id} · ${labels.status[unit.status] || unit.status}`)}">${escape(unit.id)}</button>`).join('')}
+            </div>
+          </div>`;
+      }).join('');
+
+      return `
+        <div class="unit-building">
+          ${building.name ? `<h4 class="unit-building-name">${escape(ProjectCatalog.localize(building.name, locale))}</h4>` : ''}
+          ${rows}
+        </div>`;
+    }).join('');
+
+    return `<div class="unit-grid" aria-label="${escape(labels.grid)}" role="group">${blocks}</div>`;
+  }
+
+  /**
+   * Show the table rows and grid cells that match the filters
+   */
+  function applyFilters(section) {
+    const form = section.querySelector('[data-unit-filters]');
+    const labels = LABELS[ProjectCatalog.getLocale()];
+    const state = {};
+
+    FILTERS.forEach(filter => {
+      if (form.elements[filter] && form.elements[filter].value) state[filter] = form.elements[filter].value;
+    });
+
+    const matches = row => Object.keys(state).every(filter => row.getAttribute(`data-${filter}`) === state[filter]);
+    const rows = Array.from(section.querySelectorAll('.unit-row'));
+    let shown = 0;
+
+    rows.forEach(row => {
+      const match = matches(row);
+      row.hidden = !match;
+      if (match) shown++;
+
+      const cell = section.querySelector(`[data-unit-cell="${CSS.escape(row.getAttribute('data-unit-id'))}"]`);
+      if (cell) cell.classList.toggle('is-dimmed', !match);
+    });
+
+    section.querySelector('[data-unit-count]').textContent = labels.count(formatNumber(shown, ProjectCatalog.getLocale()), formatNumber(rows.length, ProjectCatalog.getLocale()));
+    section.querySelector('[data-unit-empty]').hidden = shown > 0;
+  }
+
+  /**
+   * Bring a unit's row into view, clearing filters that hide it
+   */
+  function showUnit(section, unitId) {
+    const row = section.querySelector(`.unit-row[data-unit-id="${CSS.escape(unitId)}"]`);
+    if (!row) return;
+
+    if (row.hidden) {
+      section.querySelector('[data-unit-filters]').reset();
+      applyFilters(section);
+    }
+
+    section.querySelectorAll('.unit-row.is-highlighted').forEach(other => other.classList.remove('is-highlighted'));
+    row.classList.add('is-highlighted');
+
+    if (window.ScrollManager) {
+      ScrollManager.scrollTo(row, { offset: -120 });
+    } else {
+      row.scrollIntoView({ block: 'center' });
+    }
+    row.focus({ preventScroll: true });
+  }
+
+  function bindSection(section) {
+    const form = section.querySelector('[data-unit-filters]');
+
+    form.addEventListener('change', () => applyFilters(section));
+    form.addEventListener('submit', event => event.preventDefault());
+    form.addEventListener('reset', () => {
+      // Let the browser clear the controls before reading them back
+      setTimeout(() => applyFilters(section), 0);
+    });
+
+    section.querySelector('.unit-grid').addEventListener('click', event => {
+      const cell = event.target.closest('[data-unit-cell]');
+      if (cell) showUnit(section, cell.getAttribute('data-unit-cell'));
+    });
+  }
+
+  /**
+   * Add the inventory section to a project page, before the features
+   */
+  function renderDetailInventory(project, inventory, locale) {
+    const container = document.querySelector('[data-project-detail]');
+    if (!container || container.querySelector('[data-unit-inventory]')) return null;
+
+    const labels = LABELS[locale];
+    const escape = ProjectCatalog.escapeHtml;
+    const summary = getSummary(inventory);
+    const arabicClass = locale === 'ar' ? ' arabic' : '';
+    const anchor = container.querySelector('.section.projects');
+    const html = `
+      <section id="units" class="section unit-inventory-section${arabicClass}" data-unit-inventory="${escape(project.id)}">
+        <div class="w-layout-blockcontainer container w-container">
+          <h2 class="section-heading dark" data-animate="words-up" data-split="words">${escape(labels.heading)}</h2>
+          <div class="unit-summary">
+            <p class="unit-summary-text">${escape(getAvailabilityText(summary, locale))}</p>
+            ${inventory.updated ? `<span class="unit-updated">${escape(labels.updated)} ${escape(formatDate(inventory.updated, locale))}</span>` : ''}
+          </div>
+          ${renderLegend(summary, locale)}
+          ${renderGrid(inventory, locale)}
+          ${renderFilters(inventory, locale)}
+          ${renderTable(inventory, locale)}
+        </div>
+      </section>`;
+
+    if (anchor) {
+      anchor.insertAdjacentHTML('beforebegin', html);
+    } else {
+      container.insertAdjacentHTML('beforeend', html);
+    }
+
+    const section = container.querySelector('[data-unit-inventory]');
+    bindSection(section);
+    applyFilters(section);
+
+    return section;
+  }
+
+  function onProjectDetailRendered(event) {
+    const { project, locale } = event.detail || {};
+    if (!project) return;
+
+    loadInventory(project.id)
+      .then(inventory => {
+        if (!inventory || !renderDetailInventory(project, inventory, locale)) return;
+
+        if (typeof ScrollTrigger !== 'undefined') {
+          ScrollTrigger.refresh();
+        }
+
+        document.dispatchEvent(new CustomEvent('unitInventoryRendered', {
+          detail: { project, inventory, locale }
+        }));
+
+        // Links such as projects/ys200#units land once the section exists
+        if (window.location.hash === '#units' && window.ScrollManager) {
+          ScrollManager.scrollTo('#units', { immediate: true });
+        }
+      })
+      .catch(error => {
+        console.warn('Unit inventory could not be rendered:', error);
+      });
+  }
+
+  function onCatalogRendered() {
+    renderCatalogSummaries().catch(error => {
+      console.warn('Unit availability could not be rendered:', error);
+    });
+  }
+
+  // The filters (js/project-filters.js) re-render the rows without the summaries
+  ['projectCatalogRendered', 'projectFiltersChanged'].forEach(eventName => {
+    document.addEventListener(eventName, onCatalogRendered);
+  });
+  document.addEventListener('projectDetailRendered', onProjectDetailRendered);
+
+  // Export functions for external use
+  window.UnitInventory = {
+    loadIndex,
+    loadInventory,
+    getSummary,
+    formatPrice,
+    STATUSES
+  };
+
+})();
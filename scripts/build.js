@@ -0,0 +1,776 @@
+/**
+ * Page Builder for Calma Website
+ * Generates the Arabic pages (site root) and English pages (en/) from the
+ * shared layout and partials in src/, the string files in src/locales and the
+ * per-page content in src/pages/<locale>/. Run with `npm run build` after
+ * editing anything under src/; `npm run build -- --check` only reports pages
+ * that are out of date.
+ *
+ * The same run writes sitemap.xml and robots.txt, and gives every page its
+ * meta description, social image, canonical / hreflang links and JSON-LD
+ * (Organization, BreadcrumbList and the project list). It also writes the web
+ * app manifest of each language and sw.js, the service worker rendered from
+ * src/service-worker.js with the list of files to precache.
+ *
+ * Templates understand {{path}} values, {{> partial}} includes and
+ * {{#if path}}...{{else}}...{{/if}} / {{#each path}}...{{/each}} blocks.
+ * Values under t. come from the locale file; a key that is missing, or only
+ * present in one of the locale files, fails the build.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const srcDir = path.join(root, 'src');
+const checkOnly = process.argv.includes('--check');
+
+// Folders whose URLs need rewriting on pages that live in a locale folder
+const ASSET_DIRS = ['css', 'js', 'images', 'fonts', 'videos', 'documents', 'data'];
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'data-src', 'poster', 'data-poster-url', 'data-video-urls'];
+
+const TAG_PATTERN = /\{\{\s*([^}]*?)\s*\}\}/g;
+
+class BuildError extends Error {}
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(srcDir, file), 'utf8'));
+
+const site = readJson('site.json');
+const localeCodes = Object.keys(site.locales);
+const strings = {};
+localeCodes.forEach(code => {
+  strings[code] = readJson(`locales/${code}.json`);
+});
+const catalog = JSON.parse(fs.readFileSync(path.join(root, 'data', 'projects.json'), 'utf8'));
+
+/* ===== TEMPLATES ===== */
+
+/**
+ * Parse a template into a tree of text, value, partial and block nodes.
+ * Block and partial tags that sit alone on a line take the whole line with
+ * them; standalone partials are indented to the tag's column.
+ */
+function parseTemplate(source, name) {
+  const tree = { children: [] };
+  const stack = [tree];
+  let cursor = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const push = node => {
+    const block = current();
+    (block.inElse ? block.otherwise : block.children).push(node);
+  };
+  const pushText = text => {
+    if (text) push({ type: 'text', value: text });
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    const tag = match[1];
+    let start = match.index;
+    let end = TAG_PATTERN.lastIndex;
+    let indent = null;
+
+    if (/^[#/>]/.test(tag) || tag === 'else') {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+
+      if (lineStart >= cursor && /^[ \t]*$/.test(source.slice(lineStart, start)) &&
+          /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd))) {
+        indent = source.slice(lineStart, start);
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    pushText(source.slice(cursor, start));
+    cursor = end;
+    TAG_PATTERN.lastIndex = end;
+
+    if (tag.startsWith('>')) {
+      push({ type: 'partial', name: tag.slice(1).trim(), indent, template: name });
+    } else if (tag.startsWith('#')) {
+      const [kind, valuePath] = tag.slice(1).split(/\s+/);
+      if (kind !== 'if' && kind !== 'each') {
+        throw new BuildError(`Unknown block "{{${tag}}}" in ${name}`);
+      }
+      const block = { type: kind, path: valuePath, children: [], otherwise: [], template: name };
+      push(block);
+      stack.push(block);
+    } else if (tag === 'else') {
+      const block = current();
+      if (block.type !== 'if' || block.inElse) throw new BuildError(`Unexpected {{else}} in ${name}`);
+      block.inElse = true;
+    } else if (tag.startsWith('/')) {
+      const block = stack.pop();
+      if (stack.length === 0 || block.type !== tag.slice(1)) {
+        throw new BuildError(`Unexpected {{${tag}}} in ${name}`);
+      }
+    } else {
+      push({ type: 'value', path: tag, template: name });
+    }
+  }
+
+  if (stack.length > 1) throw new BuildError(`Unclosed {{#${current().type}}} in ${name}`);
+  pushText(source.slice(cursor));
+
+  return tree.children;
+}
+
+const templateCache = new Map();
+
+function loadTemplate(file) {
+  if (!templateCache.has(file)) {
+    const fullPath = path.join(srcDir, file);
+    if (!fs.existsSync(fullPath)) throw new BuildError(`Missing template ${path.relative(root, fullPath)}`);
+    templateCache.set(file, parseTemplate(fs.readFileSync(fullPath, 'utf8'), `src/${file}`));
+  }
+  return templateCache.get(file);
+}
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (
+    value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(Object(value), key)
+      ? value[key]
+      : undefined
+  ), object);
+}
+
+/**
+ * Resolve a template path against the current {{#each}} item first, then the
+ * page context
+ */
+function lookup(keyPath, scope) {
+  if (keyPath === 'this') return scope.item;
+  if (keyPath.startsWith('this.')) return getPath(scope.item, keyPath.slice(5));
+
+  if (scope.item && typeof scope.item === 'object') {
+    const value = getPath(scope.item, keyPath);
+    if (value !== undefined) return value;
+  }
+  return getPath(scope.context, keyPath);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scope) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'value': {
+        const value = lookup(node.path, scope);
+        if (value === undefined || value === null || typeof value === 'object') {
+          const reason = node.path.startsWith('t.')
+            ? `Missing translation "${node.path.slice(2)}"`
+            : `Unknown value "${node.path}"`;
+          throw new BuildError(`${reason} in ${node.template}`);
+        }
+        return String(value);
+      }
+
+      case 'if':
+        return renderNodes(isTruthy(lookup(node.path, scope)) ? node.children : node.otherwise, scope);
+
+      case 'each': {
+        const list = lookup(node.path, scope) || [];
+        if (!Array.isArray(list)) throw new BuildError(`"${node.path}" is not a list in ${node.template}`);
+        return list.map(item => renderNodes(node.children, { ...scope, item })).join('');
+      }
+
+      case 'partial': {
+        const name = node.name === 'this' ? scope.item : node.name;
+        const nodes = name === 'content' ? scope.context.content : loadTemplate(`partials/${name}.html`);
+        const output = renderNodes(nodes, scope);
+
+        if (node.indent === null) return output.replace(/\n$/, '');
+        return output.replace(/\n?$/, '\n').replace(/^(?=.)/gm, node.indent);
+      }
+
+      default:
+        throw new BuildError(`Unknown template node "${node.type}"`);
+    }
+  }).join('');
+}
+
+/* ===== LOCALES ===== */
+
+function flattenKeys(object, prefix = '') {
+  return Object.keys(object).reduce((keys, key) => {
+    const value = object[key];
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return keys.concat(value && typeof value === 'object' ? flattenKeys(value, keyPath) : [keyPath]);
+  }, []);
+}
+
+/**
+ * Every locale file has to define the same keys
+ */
+function checkLocaleKeys() {
+  const errors = [];
+  const keys = {};
+  localeCodes.forEach(code => {
+    keys[code] = new Set(flattenKeys(strings[code]));
+  });
+
+  localeCodes.forEach(code => {
+    localeCodes.filter(other => other !== code).forEach(other => {
+      keys[other].forEach(key => {
+        if (!keys[code].has(key)) {
+          errors.push(`Missing translation "${key}" in src/locales/${code}.json (defined in ${other}.json)`);
+        }
+      });
+    });
+  });
+
+  return errors;
+}
+
+function translate(locale, key) {
+  const value = getPath(strings[locale], key);
+  if (typeof value !== 'string') throw new BuildError(`Missing translation "${key}" in src/locales/${locale}.json`);
+  return value;
+}
+
+/* ===== PAGES ===== */
+
+const getPageLocales = page => page.locales || localeCodes;
+const getPageFile = (id, page, locale) => (page.files && page.files[locale]) || `${id}.html`;
+
+function getOutputPath(locale, file) {
+  return path.join(root, site.locales[locale].dir, file);
+}
+
+/**
+ * URL of a page in the target locale, relative to a page in the current one
+ */
+function getRelativeUrl(fromLocale, toLocale, file) {
+  const fromDir = `/${site.locales[fromLocale].dir}`;
+  const target = path.posix.join('/', site.locales[toLocale].dir, file);
+  return path.posix.relative(fromDir, target);
+}
+
+/**
+ * Link to a page from the given locale, falling back to the default locale
+ * for pages that only exist in one language
+ */
+function getPageUrl(id, locale) {
+  const page = site.pages[id];
+  if (!page) throw new BuildError(`Unknown page "${id}"`);
+
+  const locales = getPageLocales(page);
+  const target = locales.includes(locale)
+    ? locale
+    : (locales.includes(site.defaultLocale) ? site.defaultLocale : locales[0]);
+
+  return getRelativeUrl(locale, target, getPageFile(id, page, target));
+}
+
+function getAlternateUrl(id, locale) {
+  const other = localeCodes.find(code => code !== locale);
+  const page = site.pages[id];
+
+  return getPageLocales(page).includes(other)
+    ? getRelativeUrl(locale, other, getPageFile(id, page, other))
+    : getRelativeUrl(locale, other, getPageFile('home', site.pages.home, other));
+}
+
+/**
+ * Webflow lays the navbar and footer rows out left to right, so RTL locales
+ * list them in reverse
+ */
+function getNavigation(items, locale) {
+  const links = items.map(item => ({
+    href: getPageUrl(item.page, locale) + (item.hash ? `#${item.hash}` : ''),
+    label: translate(locale, item.label)
+  }));
+  return site.locales[locale].rtl ? links.reverse() : links;
+}
+
+function markCurrentLinks(html, file) {
+  return html.replace(/<a\b([^>]*?) href="([^"]*)"([^>]*)>/g, (tag, before, href, after) => {
+    if (href !== file || tag.includes('aria-current=')) return tag;
+    const marked = after.replace(/ class="([^"]*)"/, (attribute, classes) => ` class="${classes} w--current"`);
+    return `<a${before} href="${href}" aria-current="page"${marked}>`;
+  });
+}
+
+/**
+ * Prefix asset URLs (css/, images/, ...) so pages in a locale folder keep
+ * loading them from the site root
+ */
+function localizeAssetUrls(html, prefix) {
+  if (!prefix) return html;
+
+  const dirs = ASSET_DIRS.join('|');
+  const assetPath = new RegExp(`(^|[\\s,])((?:${dirs})/)`, 'g');
+  const attributes = new RegExp(`(\\s(?:${URL_ATTRIBUTES.join('|')})=")([^"]*)"`, 'g');
+
+  return html
+    .replace(attributes, (attribute, name, value) => `${name}${value.replace(assetPath, `$1${prefix}$2`)}"`)
+    .replace(new RegExp(`url\\((&quot;|['"]?)((?:${dirs})/)`, 'g'), `url($1${prefix}$2`);
+}
+
+function buildPage(id, locale) {
+  const page = site.pages[id];
+  const localeConfig = site.locales[locale];
+  const file = getPageFile(id, page, locale);
+  const contentFile = `pages/${locale}/${file}`;
+
+  if (!page.wfPage || !page.wfPage[locale]) throw new BuildError(`Missing ${locale} wfPage id for page "${id}" in src/site.json`);
+
+  const url = {};
+  Object.keys(site.pages).forEach(pageId => {
+    url[pageId] = getPageUrl(pageId, locale);
+  });
+
+  const context = {
+    site,
+    locale: { code: locale, ...localeConfig },
+    webflow: localeConfig.webflow,
+    t: strings[locale],
+    page: {
+      id,
+      file,
+      title: translate(locale, `pages.${id}.title`),
+      wfPage: page.wfPage[locale],
+      base: page.base ? path.posix.join('/', localeConfig.dir, '/') : '',
+      bodyClass: page.bodyClass || '',
+      preloader: Boolean(page.preloader),
+      noindex: Boolean(page.noindex),
+      styles: page.styles || [],
+      scripts: page.scripts || [],
+      head: page.head || []
+    },
+    url,
+    seo: getSeo(id, locale),
+    alternate: getAlternateUrl(id, locale),
+    nav: getNavigation(site.navigation.navbar, locale),
+    footer: getNavigation(site.navigation.footer, locale),
+    content: loadTemplate(contentFile)
+  };
+
+  const html = renderNodes(loadTemplate('layouts/page.html'), { context, item: null });
+  const prefix = localeConfig.dir ? path.posix.relative(`/${localeConfig.dir}`, '/') + '/' : '';
+
+  return localizeAssetUrls(markCurrentLinks(html, file), prefix);
+}
+
+/**
+ * Content files under src/pages must belong to a page and locale listed in
+ * site.json
+ */
+function checkContentFiles() {
+  const errors = [];
+  const expected = new Set();
+
+  Object.keys(site.pages).forEach(id => {
+    getPageLocales(site.pages[id]).forEach(locale => {
+      expected.add(`${locale}/${getPageFile(id, site.pages[id], locale)}`);
+    });
+  });
+
+  localeCodes.forEach(locale => {
+    const dir = path.join(srcDir, 'pages', locale);
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).filter(file => file.endsWith('.html')).forEach(file => {
+      if (!expected.has(`${locale}/${file}`)) {
+        errors.push(`src/pages/${locale}/${file} is not listed in src/site.json`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/* ===== SEO ===== */
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Absolute URL of a site path; index.html is served as the folder itself
+ */
+function getAbsoluteUrl(sitePath) {
+  return new URL(sitePath.replace(/(^|\/)index\.html$/, '$1'), `${site.url}/`).href;
+}
+
+function getCanonicalUrl(id, locale) {
+  const page = site.pages[id];
+  return getAbsoluteUrl(path.posix.join(site.locales[locale].dir, getPageFile(id, page, locale)));
+}
+
+/**
+ * Canonical URLs of a page in each of its languages, plus x-default for
+ * the default locale
+ */
+function getAlternates(id) {
+  const locales = getPageLocales(site.pages[id]);
+  const alternates = locales.map(code => ({ hreflang: code, href: getCanonicalUrl(id, code) }));
+
+  if (locales.includes(site.defaultLocale)) {
+    alternates.push({ hreflang: 'x-default', href: getCanonicalUrl(id, site.defaultLocale) });
+  }
+  return alternates;
+}
+
+/**
+ * Detail page URL of a project, matching ProjectCatalog.getProjectUrl()
+ */
+function getProjectUrl(project, locale) {
+  return getAbsoluteUrl(path.posix.join(site.locales[locale].dir, 'projects', encodeURIComponent(project.id)));
+}
+
+function getProjectHeading(project, locale) {
+  return `${project.name[locale]} - ${project.title[locale]}`;
+}
+
+/**
+ * JSON-LD for a page: the organization on every page, a breadcrumb below the
+ * home page and the project list on the projects page. Project detail pages
+ * add their own listing in js/structured-data.js.
+ */
+function getStructuredData(id, locale) {
+  const organizationId = `${site.url}/#organization`;
+  const homeUrl = getCanonicalUrl('home', getPageLocales(site.pages.home).includes(locale) ? locale : site.defaultLocale);
+  const { organization } = site;
+
+  const graph = [
+    {
+      '@type': 'Organization',
+      '@id': organizationId,
+      name: strings[locale].site.name,
+      alternateName: localeCodes.filter(code => code !== locale).map(code => strings[code].site.name),
+      url: homeUrl,
+      logo: getAbsoluteUrl(organization.logo),
+      telephone: organization.telephone,
+      email: organization.email,
+      contactPoint: {
+        '@type': 'ContactPoint',
+        telephone: organization.telephone,
+        contactType: 'customer service',
+        areaServed: 'SA',
+        availableLanguage: localeCodes
+      },
+      sameAs: organization.sameAs
+    }
+  ];
+
+  if (site.pages[id].canonical !== false && id !== 'home') {
+    graph.push({
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 1, name: translate(locale, 'pages.home.title'), item: homeUrl },
+        { '@type': 'ListItem', position: 2, name: translate(locale, `pages.${id}.title`), item: getCanonicalUrl(id, locale) }
+      ]
+    });
+  }
+
+  if (id === 'projects') {
+    graph.push({
+      '@type': 'ItemList',
+      name: translate(locale, 'pages.projects.title'),
+      numberOfItems: catalog.projects.length,
+      itemListElement: catalog.projects.map((project, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: getProjectHeading(project, locale),
+        url: getProjectUrl(project, locale)
+      }))
+    });
+  }
+
+  // Keep "</script>" inside a string from closing the tag
+  return JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2)
+    .replace(/</g, '\\u003c')
+    .replace(/^/gm, '  ');
+}
+
+function getSeo(id, locale) {
+  const page = site.pages[id];
+  const canonical = page.canonical !== false;
+
+  return {
+    description: escapeAttribute(translate(locale, `pages.${id}.description`)),
+    image: getAbsoluteUrl(page.image || site.image),
+    url: canonical ? getCanonicalUrl(id, locale) : '',
+    // js/language-router.js reads these to find the page in the other
+    // language; template pages are filled in per project at runtime
+    alternates: page.base ? [] : getAlternates(id),
+    ogLocale: site.locales[locale].ogLocale,
+    jsonLd: getStructuredData(id, locale)
+  };
+}
+
+/**
+ * sitemap.xml with every page in every language, linked to its translations,
+ * followed by the project detail pages
+ */
+function buildSitemap() {
+  const entries = [];
+
+  Object.keys(site.pages).filter(id => site.pages[id].canonical !== false).forEach(id => {
+    const alternates = getAlternates(id);
+    getPageLocales(site.pages[id]).forEach(locale => {
+      entries.push({ loc: getCanonicalUrl(id, locale), alternates });
+    });
+  });
+
+  catalog.projects.forEach(project => {
+    const alternates = localeCodes.map(code => ({ hreflang: code, href: getProjectUrl(project, code) }))
+      .concat({ hreflang: 'x-default', href: getProjectUrl(project, site.defaultLocale) });
+    localeCodes.forEach(locale => {
+      entries.push({ loc: getProjectUrl(project, locale), alternates });
+    });
+  });
+
+  const urls = entries.map(entry => [
+    '  <url>',
+    `    <loc>${escapeAttribute(entry.loc)}</loc>`,
+    ...entry.alternates.map(link => (
+      `    <xhtml:link rel="alternate" hreflang="${link.hreflang}" href="${escapeAttribute(link.href)}"/>`
+    )),
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!-- Generated by scripts/build.js from src/site.json and data/projects.json -->',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function buildRobots() {
+  return [
+    '# Generated by scripts/build.js',
+    'User-agent: *',
+    'Allow: /',
+    'Disallow: /api/',
+    'Disallow: /src/',
+    '',
+    `Sitemap: ${getAbsoluteUrl('sitemap.xml')}`,
+    ''
+  ].join('\n');
+}
+
+/* ===== APP ===== */
+
+// Shipped with the service worker besides the pages; images are cached as they are viewed
+const PRECACHE_DIRS = ['css', 'js', 'fonts', 'data'];
+const PRECACHE_FILES = ['documents/Animation---1748768860373.json', 'images/favicon.jpg'];
+
+const FONT_WEIGHTS = { normal: 400, bold: 700 };
+
+function listFiles(dir) {
+  const fullPath = path.join(root, dir);
+  if (!fs.existsSync(fullPath)) return [];
+
+  return fs.readdirSync(fullPath, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .reduce((files, entry) => {
+      const file = path.posix.join(dir, entry.name);
+      if (entry.isDirectory()) return files.concat(listFiles(file));
+      return entry.name.startsWith('.') ? files : files.concat(file);
+    }, []);
+}
+
+function buildManifest(locale) {
+  const localeConfig = site.locales[locale];
+  const home = path.posix.join('/', localeConfig.dir, getPageFile('home', site.pages.home, locale));
+
+  return `${JSON.stringify({
+    name: strings[locale].site.name,
+    short_name: strings[locale].site.name,
+    description: translate(locale, 'pages.home.description'),
+    lang: locale,
+    dir: localeConfig.rtl ? 'rtl' : 'ltr',
+    start_url: home.replace(/\/index\.html$/, '/'),
+    scope: '/',
+    display: 'standalone',
+    background_color: site.app.backgroundColor,
+    theme_color: site.app.themeColor,
+    icons: [
+      { src: `/${site.app.icon.src}`, sizes: site.app.icon.sizes, type: site.app.icon.type, purpose: 'any' }
+    ]
+  }, null, 2)}\n`;
+}
+
+/**
+ * Weight the browser picks from a family's @font-face weights for the one a
+ * rule asks for (CSS Fonts font matching)
+ */
+function matchFontWeight(weights, wanted) {
+  if (weights.includes(wanted)) return wanted;
+
+  const lighter = weights.filter(weight => weight < wanted).sort((a, b) => b - a);
+  const heavier = weights.filter(weight => weight > wanted).sort((a, b) => a - b);
+  if (wanted >= 400 && wanted <= 500) {
+    return heavier.find(weight => weight <= 500) || lighter[0] || heavier[0];
+  }
+  return wanted < 400 ? lighter[0] || heavier[0] : heavier[0] || lighter[0];
+}
+
+/**
+ * Font files the stylesheets use: every rule's font-family, custom
+ * properties resolved, at its font-weight (400 when it sets none). Weights a
+ * rule only inherits are not seen here; the worker caches those on first use
+ */
+function getUsedFonts() {
+  const css = listFiles('css')
+    .filter(file => file.endsWith('.css'))
+    .map(file => fs.readFileSync(path.join(root, file), 'utf8'))
+    .join('\n')
+    .replace(/\/\*[\s\S]*?\*\//g, '');
+  const getValue = (body, property) => {
+    const match = body.match(new RegExp(`(?:^|[;\\s])${property}\\s*:\\s*([^;]+)`));
+    return match ? match[1].trim() : null;
+  };
+  const getWeight = value => FONT_WEIGHTS[value] || parseInt(value, 10) || 400;
+  const getFamily = value => value.split(',')[0].replace(/['"]/g, '').trim().toLowerCase();
+
+  const variables = {};
+  css.replace(/(--[\w-]+)\s*:\s*([^;{}]+)/g, (match, name, value) => { variables[name] = value.trim(); });
+
+  const faces = new Map();
+  const used = new Set();
+  const rules = Array.from(css.matchAll(/([^{}]+)\{([^{}]*)\}/g));
+
+  rules.filter(([, selector]) => selector.trim() === '@font-face').forEach(([, , body]) => {
+    const family = getFamily(getValue(body, 'font-family') || '');
+    const weight = getWeight(getValue(body, 'font-weight'));
+    const files = Array.from((getValue(body, 'src') || '').matchAll(/url\(['"]?([^'")]+)['"]?\)/g))
+      .map(([, url]) => path.posix.join('css', url));
+
+    if (!faces.has(family)) faces.set(family, new Map());
+    faces.get(family).set(weight, (faces.get(family).get(weight) || []).concat(files));
+  });
+
+  rules.filter(([, selector]) => selector.trim() !== '@font-face').forEach(([, , body]) => {
+    const value = getValue(body, 'font-family');
+    if (!value) return;
+
+    const family = faces.get(getFamily(value.replace(/var\((--[\w-]+)\)/g, (match, name) => variables[name] || '')));
+    if (!family) return;
+
+    const weight = matchFontWeight(Array.from(family.keys()), getWeight(getValue(body, 'font-weight')));
+    family.get(weight).forEach(file => used.add(file));
+  });
+
+  return used;
+}
+
+/**
+ * Render sw.js with the site-relative URLs to precache and a version hashed
+ * from the contents of everything the worker keeps in its shell cache;
+ * generated files are hashed as they are about to be written.
+ *
+ * Only the pages of the visitor's language and the fonts the stylesheets
+ * use are precached, under PRECACHE_URLS[locale] and PRECACHE_URLS.shared;
+ * the other language and font files are cached as they are requested
+ */
+function buildServiceWorker(outputs) {
+  const generated = new Map(outputs.map(output => [path.relative(root, output.file).split(path.sep).join('/'), output]));
+  const files = Array.from(generated.keys())
+    .filter(file => file.endsWith('.html') || file.endsWith('.webmanifest'))
+    .concat(...PRECACHE_DIRS.map(listFiles), PRECACHE_FILES, site.app.icon.src)
+    .filter(file => !file.endsWith('.md'))
+    .filter(file => generated.has(file) || fs.existsSync(path.join(root, file)));
+
+  const hash = crypto.createHash('sha256');
+  files.forEach(file => {
+    hash.update(file);
+    hash.update(generated.has(file) ? generated.get(file).html : fs.readFileSync(path.join(root, file)));
+  });
+
+  const usedFonts = getUsedFonts();
+  const toUrl = file => `/${file}`.replace(/(^|\/)index\.html$/, '$1');
+  const precache = { shared: [] };
+  localeCodes.forEach(locale => { precache[locale] = []; });
+  files.forEach(file => {
+    if (file.startsWith('fonts/') && !usedFonts.has(file)) return;
+
+    const locale = generated.has(file) ? generated.get(file).locale : null;
+    precache[locale || 'shared'].push(toUrl(file));
+  });
+
+  const context = {
+    version: hash.digest('hex').slice(0, 12),
+    precache: JSON.stringify(precache, null, 2)
+  };
+
+  return renderNodes(loadTemplate('service-worker.js'), { context, item: null });
+}
+
+/* ===== BUILD ===== */
+
+function build() {
+  const errors = checkLocaleKeys().concat(checkContentFiles());
+  const outputs = [];
+
+  Object.keys(site.pages).forEach(id => {
+    getPageLocales(site.pages[id]).forEach(locale => {
+      try {
+        outputs.push({
+          file: getOutputPath(locale, getPageFile(id, site.pages[id], locale)),
+          html: buildPage(id, locale),
+          locale
+        });
+      } catch (error) {
+        if (!(error instanceof BuildError)) throw error;
+        errors.push(`${locale}/${id}: ${error.message}`);
+      }
+    });
+  });
+
+  outputs.push(
+    { file: path.join(root, 'sitemap.xml'), html: buildSitemap() },
+    { file: path.join(root, 'robots.txt'), html: buildRobots() },
+    ...localeCodes.map(locale => ({
+      file: getOutputPath(locale, 'manifest.webmanifest'),
+      html: buildManifest(locale),
+      locale
+    }))
+  );
+  outputs.push({ file: path.join(root, 'sw.js'), html: buildServiceWorker(outputs) });
+
+  if (errors.length > 0) {
+    console.error(`Build failed:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  const stale = outputs.filter(output => (
+    !fs.existsSync(output.file) || fs.readFileSync(output.file, 'utf8') !== output.html
+  ));
+
+  if (checkOnly) {
+    if (stale.length > 0) {
+      console.error(`Out of date, run npm run build:\n  ${stale.map(output => path.relative(root, output.file)).join('\n  ')}`);
+      process.exit(1);
+    }
+    console.log(`All ${outputs.length} files are up to date`);
+    return;
+  }
+
+  stale.forEach(output => {
+    fs.mkdirSync(path.dirname(output.file), { recursive: true });
+    fs.writeFileSync(output.file, output.html);
+  });
+
+  console.log(`Built ${outputs.length} files (${stale.length} updated)`);
+}
+
+build();
@@ -0,0 +1,198 @@
+/**
+ * Local development server for Calma Website
+ * Serves the static site, applies the redirects and rewrites from vercel.json and runs
+ * the serverless functions in api/ the way Vercel does.
+ *
+ *   npm run dev            http://localhost:3000
+ *   PORT=8080 npm run dev
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+
+// Source, server and tooling folders that are not part of the site; dot
+// folders such as .data (saved leads) and .git are never served either
+const PRIVATE_DIRS = ['src', 'api', 'scripts', 'node_modules'];
+const port = Number(process.env.PORT) || 3000;
+const vercelConfig = JSON.parse(fs.readFileSync(path.join(root, 'vercel.json'), 'utf8'));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf'
+};
+
+/**
+ * Turn a vercel.json source like /projects/:id into a RegExp
+ */
+function compileRewrite(rewrite) {
+  const pattern = rewrite.source
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:[a-zA-Z]+/g, '[^/]+');
+
+  return { pattern: new RegExp(`^${pattern}/?$`), destination: rewrite.destination };
+}
+
+const rewrites = (vercelConfig.rewrites || []).map(compileRewrite);
+const redirects = (vercelConfig.redirects || []).map(redirect => Object.assign(compileRewrite(redirect), redirect));
+
+function applyRewrites(pathname) {
+  const match = rewrites.find(rewrite => rewrite.pattern.test(pathname));
+  return match ? match.destination : pathname;
+}
+
+function getCookie(req, key) {
+  const match = String(req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${key}=([^;]*)`));
+  if (!match) return undefined;
+
+  // Keep a value that is not valid percent-encoding as it was sent
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+/**
+ * Check one vercel.json has / missing condition (header, cookie or query)
+ */
+function matchesCondition(req, url, condition) {
+  let value;
+  if (condition.type === 'header') value = req.headers[condition.key.toLowerCase()];
+  if (condition.type === 'cookie') value = getCookie(req, condition.key);
+  if (condition.type === 'query') value = url.searchParams.get(condition.key) || undefined;
+
+  if (value === undefined) return false;
+  return condition.value === undefined || new RegExp(condition.value).test(value);
+}
+
+function findRedirect(req, url) {
+  return redirects.find(redirect => {
+    return redirect.pattern.test(url.pathname) &&
+      (redirect.has || []).every(condition => matchesCondition(req, url, condition)) &&
+      !(redirect.missing || []).some(condition => matchesCondition(req, url, condition));
+  });
+}
+
+/**
+ * Run api/<name>.js; handlers stay loaded so in-memory state such as
+ * the rate limiter behaves like a warm Vercel function
+ */
+function handleApi(req, res, pathname) {
+  const name = pathname.replace(/^\/api\//, '').replace(/\/$/, '');
+  const file = path.join(root, 'api', `${name}.js`);
+
+  if (!/^[a-z0-9-]+$/i.test(name) || !fs.existsSync(file)) {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({ ok: false, error: { code: 'not_found', message: 'Unknown API route' } }));
+    return;
+  }
+
+  Promise.resolve().then(() => require(file)(req, res)).catch(error => {
+    console.error(error);
+    if (!res.headersSent) {
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify({ ok: false, error: { code: 'internal_error', message: 'Unexpected server error' } }));
+  });
+}
+
+/**
+ * Check whether a file under the root may be served
+ */
+function isPublic(file) {
+  const segments = path.relative(root, file).split(path.sep);
+  return !segments.some(segment => segment.startsWith('.')) && PRIVATE_DIRS.indexOf(segments[0]) === -1;
+}
+
+function sendNotFound(res) {
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end('Not found');
+}
+
+/**
+ * Serve a file from the site root, falling back to index.html for folders
+ */
+function serveStatic(res, pathname) {
+  let file;
+  try {
+    file = path.join(root, decodeURIComponent(pathname));
+  } catch (error) {
+    res.statusCode = 400;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end('Bad request');
+    return;
+  }
+
+  if (!file.startsWith(root + path.sep) && file !== root) {
+    res.statusCode = 403;
+    res.end('Forbidden');
+    return;
+  }
+
+  if (file !== root && !isPublic(file)) {
+    sendNotFound(res);
+    return;
+  }
+
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      sendNotFound(res);
+      return;
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const { pathname } = url;
+
+  const redirect = findRedirect(req, url);
+  if (redirect) {
+    res.statusCode = redirect.permanent ? 308 : 307;
+    res.setHeader('Location', redirect.destination);
+    res.end();
+    return;
+  }
+
+  if (pathname.startsWith('/api/')) {
+    handleApi(req, res, pathname);
+    return;
+  }
+
+  serveStatic(res, applyRewrites(pathname));
+});
+
+// Local only: the dev server is not meant to be reachable from the network
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Calma Website running at http://localhost:${port}`);
+});
@@ -0,0 +1,62 @@
+/**
+ * Document Manifest Updater for Calma Website
+ * Fills in the size (bytes) and last-updated date of every entry in
+ * data/documents.json from the files on disk. Run with `npm run documents`
+ * after adding or replacing PDFs under documents/.
+ *
+ * A file keeps its "updated" date while its size stays the same, because a
+ * checkout or clone resets modification times. New or changed files take
+ * the date of their last commit, or their modification time when they are
+ * not committed yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const root = path.resolve(__dirname, '..');
+const manifestPath = path.join(root, 'data', 'documents.json');
+
+const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+const missing = [];
+
+function git(args) {
+  try {
+    return execFileSync('git', args, { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Get the date ("YYYY-MM-DD") a file last changed: its last commit, unless
+ * it has uncommitted changes
+ */
+function getChangeDate(file, stats) {
+  const committed = !git(['status', '--porcelain', '--', file]) && git(['log', '-1', '--format=%cs', '--', file]);
+  return committed || stats.mtime.toISOString().slice(0, 10);
+}
+
+manifest.documents.forEach(doc => {
+  const filePath = path.join(root, doc.file);
+
+  if (!fs.existsSync(filePath)) {
+    doc.size = null;
+    doc.updated = null;
+    missing.push(doc.file);
+    return;
+  }
+
+  const stats = fs.statSync(filePath);
+  if (doc.size !== stats.size || !doc.updated) {
+    doc.updated = getChangeDate(doc.file, stats);
+  }
+  doc.size = stats.size;
+});
+
+fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+console.log(`Updated ${manifest.documents.length - missing.length} of ${manifest.documents.length} documents`);
+if (missing.length > 0) {
+  console.warn(`Missing files:\n  ${missing.join('\n  ')}`);
+}
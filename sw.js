@@ -0,0 +1,302 @@
+/**
+ * Service Worker for Calma Website
+ * Generated by scripts/build.js from src/service-worker.js - edit that file,
+ * not sw.js.
+ *
+ * Keeps the site usable with a poor or no connection:
+ *   - the pages of the visitor's language, the stylesheets, scripts, data
+ *     files and the fonts the stylesheets use are precached on install; the
+ *     other language and fonts are cached as they are requested. The cache
+ *     name carries a hash of their contents
+ *   - pages, including the soft navigations of js/page-router.js, are
+ *     fetched from the network first and fall back to the cache, then to
+ *     offline.html in the page's language; /projects/<id> is served by the
+ *     cached project.html like the rewrite in vercel.json
+ *   - images are cache-first and kept in their own cache
+ *   - documents saved with "Save offline" (js/offline.js) are served from
+ *     the documents cache
+ */
+
+const VERSION = 'efcd07ec858c';
+const PRECACHE_URLS = {
+  "shared": [
+    "/css/calma-website.webflow.css",
+    "/css/contact-form.css",
+    "/css/cookie-consent.css",
+    "/css/financing-calculator.css",
+    "/css/floorplan-viewer.css",
+    "/css/motion.css",
+    "/css/normalize.css",
+    "/css/offline.css",
+    "/css/project-catalog.css",
+    "/css/project-gallery.css",
+    "/css/project-map.css",
+    "/css/project-progress.css",
+    "/css/project-shortlist.css",
+    "/css/site-visit.css",
+    "/css/touch-optimizations.css",
+    "/css/unit-inventory.css",
+    "/css/webflow.css",
+    "/js/analytics.js",
+    "/js/animations.js",
+    "/js/contact-form.js",
+    "/js/cookie-consent.js",
+    "/js/downloads-center.js",
+    "/js/financing-calculator.js",
+    "/js/floorplan-viewer.js",
+    "/js/language-router.js",
+    "/js/motion-policy.js",
+    "/js/offline.js",
+    "/js/page-router.js",
+    "/js/project-catalog.js",
+    "/js/project-detail.js",
+    "/js/project-filters.js",
+    "/js/project-gallery.js",
+    "/js/project-map.js",
+    "/js/project-progress.js",
+    "/js/project-shortlist.js",
+    "/js/projects-stat-hover.js",
+    "/js/scroll-manager.js",
+    "/js/site-visit.js",
+    "/js/structured-data.js",
+    "/js/touch-enhancements.js",
+    "/js/unit-inventory.js",
+    "/js/vendor/gsap-3.12.2.min.js",
+    "/js/vendor/jquery-3.5.1.min.js",
+    "/js/vendor/lenis-1.0.26.min.js",
+    "/js/vendor/ScrollTrigger-3.12.2.min.js",
+    "/js/vendor/split-type-0.3.4.min.js",
+    "/js/webflow.js",
+    "/fonts/BluteauArabicSans-Book.otf",
+    "/fonts/BluteauArabicSans-Light.otf",
+    "/fonts/BluteauArabicSans-Medium.otf",
+    "/fonts/BluteauArabicSans-Regular.otf",
+    "/fonts/SpicaArabic-Book.otf",
+    "/fonts/SpicaArabic-Medium.otf",
+    "/data/documents.json",
+    "/data/financing.json",
+    "/data/floorplans/gh220.json",
+    "/data/floorplans/nk250.json",
+    "/data/inventory/ht210.json",
+    "/data/inventory/one-by-calma-tower.json",
+    "/data/inventory/ys200.json",
+    "/data/inventory.json",
+    "/data/map.json",
+    "/data/progress.json",
+    "/data/projects.json",
+    "/data/site-visits.json",
+    "/documents/Animation---1748768860373.json",
+    "/images/favicon.jpg",
+    "/images/webclip.jpg"
+  ],
+  "ar": [
+    "/",
+    "/about.html",
+    "/projects.html",
+    "/project.html",
+    "/compare.html",
+    "/contact.html",
+    "/updates.html",
+    "/brochures.html",
+    "/floorplans.html",
+    "/factsheets.html",
+    "/reports.html",
+    "/financing-options.html",
+    "/guarantees.html",
+    "/privacy-policy.html",
+    "/cookie-policy.html",
+    "/offline.html",
+    "/terms-of-service.html",
+    "/manifest.webmanifest"
+  ],
+  "en": [
+    "/en/home.html",
+    "/en/about.html",
+    "/en/projects.html",
+    "/en/project.html",
+    "/en/compare.html",
+    "/en/contact.html",
+    "/en/updates.html",
+    "/en/brochures.html",
+    "/en/floorplans.html",
+    "/en/factsheets.html",
+    "/en/reports.html",
+    "/en/financing-options.html",
+    "/en/guarantees.html",
+    "/en/privacy-policy.html",
+    "/en/cookie-policy.html",
+    "/en/offline.html",
+    "/en/manifest.webmanifest"
+  ]
+};
+
+const SHELL_CACHE = `calma-shell-${VERSION}`;
+const IMAGE_CACHE = 'calma-images';
+// Filled by js/offline.js; survives new versions of the worker
+const DOCUMENT_CACHE = 'calma-documents';
+
+const IMAGE_LIMIT = 300;
+
+const OFFLINE_PAGES = { ar: '/offline.html', en: '/en/offline.html' };
+const DETAIL_PATH = /^\/(en\/)?projects\/[^/]+\/?$/;
+
+function getLocale(url) {
+  return url.pathname === '/en' || url.pathname.startsWith('/en/') ? 'en' : 'ar';
+}
+
+/**
+ * Languages of the open pages; on the first install that is the page that
+ * registered the worker, so only the visitor's language is downloaded
+ */
+function getClientLocales() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+    const locales = new Set(clients.map(client => getLocale(new URL(client.url))));
+    return locales.size > 0 ? Array.from(locales) : ['ar'];
+  });
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE), getClientLocales()])
+      .then(([cache, locales]) => {
+        const urls = PRECACHE_URLS.shared.concat(...locales.map(locale => PRECACHE_URLS[locale]));
+        return cache.addAll(urls.map(url => new Request(url, { cache: 'reload' })));
+      })
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('calma-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Cache key of a page: the file Vercel serves for it, without the query
+ */
+function getPageKey(url) {
+  const match = url.pathname.match(DETAIL_PATH);
+  if (match) return match[1] ? '/en/project.html' : '/project.html';
+  if (url.pathname === '/index.html') return '/';
+  if (url.pathname === '/en' || url.pathname === '/en/') return '/en/home.html';
+
+  return url.pathname;
+}
+
+function getOfflinePage(url) {
+  return OFFLINE_PAGES[getLocale(url)];
+}
+
+/**
+ * Navigations, and the fetches js/page-router.js makes for soft
+ * navigations, which ask for the page by its .html path or route
+ */
+function isPageRequest(request, url) {
+  if (request.mode === 'navigate') return true;
+  if ((request.headers.get('Accept') || '').includes('text/html')) return true;
+
+  return url.pathname.endsWith('.html') || url.pathname.endsWith('/') || DETAIL_PATH.test(url.pathname);
+}
+
+function handleNavigation(request) {
+  const url = new URL(request.url);
+  const key = getPageKey(url);
+
+  return fetch(request)
+    .then(response => {
+      if (response.ok && response.type === 'basic') {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(key, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(key)
+      .then(cached => cached || caches.match(getOfflinePage(url))));
+}
+
+/**
+ * Drop the oldest images once the cache holds more than IMAGE_LIMIT
+ */
+function trimImages() {
+  return caches.open(IMAGE_CACHE).then(cache => cache.keys().then(keys => (
+    Promise.all(keys.slice(0, Math.max(0, keys.length - IMAGE_LIMIT)).map(key => cache.delete(key)))
+  )));
+}
+
+function handleImage(request) {
+  return caches.match(request).then(cached => {
+    if (cached) return cached;
+
+    return fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(IMAGE_CACHE)
+          .then(cache => cache.put(request, copy))
+          .then(trimImages);
+      }
+      return response;
+    });
+  });
+}
+
+/**
+ * Data changes between deploys of the pages that show it, so it is
+ * fetched first and the cached copy only used offline
+ */
+function handleData(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => cached || Response.error()));
+}
+
+/**
+ * Stylesheets, scripts and fonts only change with a new version of the
+ * worker, so the cached copy is used; what was not precached is kept once
+ * it has been fetched
+ */
+function handleAsset(request) {
+  return caches.match(request, { ignoreSearch: true }).then(cached => {
+    if (cached) return cached;
+
+    return fetch(request).then(response => {
+      if (response.ok && response.type === 'basic') {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    });
+  });
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+  // Analytics and Speed Insights report to Vercel directly
+  if (url.pathname.startsWith('/_vercel/')) return;
+  // Videos are streamed with range requests, which the Cache API cannot answer
+  if (url.pathname.startsWith('/videos/')) return;
+
+  if (isPageRequest(request, url)) {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith('/images/')) {
+    event.respondWith(handleImage(request));
+  } else if (url.pathname.startsWith('/data/')) {
+    event.respondWith(handleData(request));
+  } else {
+    event.respondWith(handleAsset(request));
+  }
+});